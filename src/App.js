@@ -1,63 +1,184 @@
-import React, { useState, useRef, useCallback } from 'react';
-import { Upload, X, FileImage, AlertCircle, MapPin, Check, Trash2 } from 'lucide-react';
+import React, { useState, useRef, useCallback, useEffect, useMemo } from 'react';
+import { Upload, AlertCircle, Check, Download, Star, Camera, FolderOpen, FileText, Map as MapIcon } from 'lucide-react';
 import './App.css';
-import EXIF from 'exif-js';
+import { findSimilarPairs, mergePairs, annotatePairAccuracy } from './utils/proximity';
+import { computePerceptualHash, findVisualPairs, scoreDuplicatePairs } from './utils/visualSimilarity';
+import { buildClusters, getPairAction, getRemovedImageIds, pickBestImage } from './utils/duplicateClusters';
+import {
+  assignPlots,
+  countByPlot,
+  filterPairsWithinPlots,
+  loadPlotBoundaries,
+  parsePlotBoundaries,
+  savePlotBoundaries
+} from './utils/plots';
+import { extractExifMetadata } from './utils/exif';
+import {
+  isPersistenceAvailable,
+  listSessions,
+  createSession,
+  loadSession,
+  saveSessionState,
+  saveImages,
+  deleteImages,
+  deleteSession
+} from './utils/sessionStore';
+import { buildExportRows, toCSV, toDecisionLogCSV, toGeoJSON, toKML, downloadFile } from './utils/exporters';
+import { createBatchId, getBatchId, groupDecisionBatches } from './utils/decisionHistory';
+import { buildDatasetZip, getDatasetImages } from './utils/datasetExport';
+import { buildReportData, makeThumbnail, toReportHTML } from './utils/surveyReport';
+import { listSavedModels, saveModel, deleteSavedModel } from './utils/modelStore';
+import {
+  createUrlModelConfig,
+  createFilesModelConfig,
+  loadTeachableModel,
+  getModelLabels
+} from './utils/modelLoader';
+import { compareModelPredictions, getAgreementSummary } from './utils/predictions';
+import {
+  OUTCOME_LABELS,
+  getOutcome,
+  getThresholds,
+  countOutcomes,
+  getAvailableLabels,
+  loadClassificationConfig,
+  saveClassificationConfig
+} from './utils/classification';
+import { runWithConcurrency } from './utils/processingQueue';
+import { collectDroppedItems, loadUploadFile, prepareUploads, toUploadItems } from './utils/fileIntake';
+import {
+  DEFAULT_FILTERS,
+  DEFAULT_SORT,
+  filterResults,
+  getTopClasses,
+  paginate,
+  sortResults
+} from './utils/resultFilters';
+import { BACKEND_URL, getBackendMode, postToBackend, saveBackendMode, subscribeToRequests } from './utils/backendClient';
+import { enqueue, flushOutbox, getOutbox } from './utils/outbox';
+import { DEFAULT_PREPROCESSING, getRecordedOptions, preprocessImage } from './utils/imagePreprocessing';
+import { computeOcclusionMap, renderHeatmap } from './utils/occlusion';
+import {
+  ENSEMBLE_MODELS,
+  averagePredictions,
+  combineEnsemble,
+  getAugmentations,
+  loadRobustSettings,
+  renderAugmentation,
+  saveRobustSettings
+} from './utils/augmentation';
+import { loadTileTemplate, saveTileTemplate } from './utils/mapProjection';
+import {
+  loadGeotagSettings,
+  locateFromTrack,
+  makeInferredLocation,
+  parseGPX,
+  saveGeotagSettings
+} from './utils/geotagging';
+import {
+  buildEvaluationItems,
+  loadEvaluationSettings,
+  parseLabelsCSV,
+  saveEvaluationSettings
+} from './utils/evaluation';
+import SessionPanel from './components/SessionPanel';
+import ProcessingProgress from './components/ProcessingProgress';
+import PreprocessingSettings from './components/PreprocessingSettings';
+import RobustPredictionSettings from './components/RobustPredictionSettings';
+import BackendStatus from './components/BackendStatus';
+import MockBackendInspector from './components/MockBackendInspector';
+import ClassificationSettings from './components/ClassificationSettings';
+import ResultCard from './components/ResultCard';
+import ResultsFilters from './components/ResultsFilters';
+import Pagination from './components/Pagination';
+import DuplicatePairCard from './components/DuplicatePairCard';
+import DuplicateClusterPanel from './components/DuplicateClusterPanel';
+import DecisionHistoryPanel from './components/DecisionHistoryPanel';
+import ModelSettingsPanel from './components/ModelSettingsPanel';
+import PlotBoundariesPanel from './components/PlotBoundariesPanel';
+import CameraCapture from './components/CameraCapture';
+import MapView from './components/MapView';
+import EvaluationPanel from './components/EvaluationPanel';
+import GeotagPanel from './components/GeotagPanel';
+
+// Default Teachable Machine model; Create React App only exposes REACT_APP_* variables
+const DEFAULT_MODEL_CONFIG = createUrlModelConfig(
+  process.env.REACT_APP_TEACHABLE_MACHINE_URL || 'https://teachablemachine.withgoogle.com/models/6UdJBojDI/',
+  'Default model'
+);
 
 const TeachableMachineImageClassifier = () => {
   const [model, setModel] = useState(null);
   const [isModelLoading, setIsModelLoading] = useState(false);
-  const [modelType, setModelType] = useState('teachable_machine'); // 'teachable_machine' or 'mobilenet'
+  const [modelConfig, setModelConfig] = useState(DEFAULT_MODEL_CONFIG);
+  const [savedModels, setSavedModels] = useState([]);
+  const [modelType, setModelType] = useState('teachable_machine'); // 'teachable_machine', 'mobilenet', 'compare' or 'ensemble'
   const [imageResults, setImageResults] = useState([]);
   const [isProcessing, setIsProcessing] = useState(false);
+  const [progress, setProgress] = useState(null); // { total, completed, failed, current, cancelled }
+  const [concurrency, setConcurrency] = useState(3);
+  const [preprocessingOptions, setPreprocessingOptions] = useState(DEFAULT_PREPROCESSING);
+  const [robustSettings, setRobustSettings] = useState(loadRobustSettings); // test-time augmentation and ensemble weights
+  const [classificationConfig, setClassificationConfig] = useState(loadClassificationConfig);
   const [duplicatePairs, setDuplicatePairs] = useState([]);
   const [isCheckingDuplicates, setIsCheckingDuplicates] = useState(false);
+  const [proximityMode, setProximityMode] = useState('auto'); // 'auto' (backend, local fallback), 'backend' or 'local'
+  const [proximityRadius, setProximityRadius] = useState(1); // meters
+  const [visualMatching, setVisualMatching] = useState(true);
+  const [visualThreshold, setVisualThreshold] = useState(0.9); // minimum fingerprint similarity
+  const [plots, setPlots] = useState(loadPlotBoundaries);
+  const [plotScopedDuplicates, setPlotScopedDuplicates] = useState(false); // only pair images within one plot
+  const [duplicateDecisions, setDuplicateDecisions] = useState([]);
+  const [removedImages, setRemovedImages] = useState([]); // images removed by duplicate decisions, kept for undo
+  const [sessions, setSessions] = useState([]);
+  const [sessionId, setSessionId] = useState(null);
+  const [isSessionLoading, setIsSessionLoading] = useState(false);
+  const [backendRequests, setBackendRequests] = useState([]); // latest event per request id
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [outboxCount, setOutboxCount] = useState(() => getOutbox().length);
+  const [backendMode, setBackendMode] = useState(getBackendMode); // 'server' or 'mock'
+  const [pairErrors, setPairErrors] = useState({}); // pairId -> message
+  const [clusterKeepers, setClusterKeepers] = useState({}); // clusterId -> image ids to keep
+  const [activeClusterIndex, setActiveClusterIndex] = useState(0);
+  const [isFieldCaptureOpen, setIsFieldCaptureOpen] = useState(false);
+  const [isDragActive, setIsDragActive] = useState(false);
+  const [explainProgress, setExplainProgress] = useState({}); // image id -> fraction of masked copies classified
+  const [filters, setFilters] = useState(DEFAULT_FILTERS);
+  const [sortOrder, setSortOrder] = useState(DEFAULT_SORT);
+  const [page, setPage] = useState(0);
+  const [pageSize, setPageSize] = useState(48);
+  const [showMap, setShowMap] = useState(false);
+  const [tileTemplate, setTileTemplate] = useState(loadTileTemplate);
+  const [focusedResultId, setFocusedResultId] = useState(null); // card highlighted from the map
+  const [evaluationSettings, setEvaluationSettings] = useState(loadEvaluationSettings);
+  const [gpxTrack, setGpxTrack] = useState(null); // { name, fileName, points } used to geotag photos without GPS
+  const [geotagSettings, setGeotagSettings] = useState(loadGeotagSettings);
+  const [placingResultId, setPlacingResultId] = useState(null); // image being placed by clicking the map
+  const [includeModelLabels, setIncludeModelLabels] = useState(false); // export unreviewed images under their predicted class
   const fileInputRef = useRef(null);
+  const folderInputRef = useRef(null);
+  const abortControllerRef = useRef(null);
+  // Results as last written to IndexedDB, keyed by id, so only changed images are re-saved
+  const persistedImagesRef = useRef(new Map());
+  const hasRestoredRef = useRef(false);
+
+  // Point-in-polygon for every result is the expensive part of plot counts, so only redo it
+  // when results or plots change
+  const plotAssignments = useMemo(() => assignPlots(imageResults, plots), [imageResults, plots]);
+
+  // Labeled results paired with their predicted class while evaluation mode is on
+  const evaluationItems = useMemo(
+    () => (evaluationSettings.enabled ? buildEvaluationItems(imageResults, evaluationSettings, evaluationSettings.model) : []),
+    [imageResults, evaluationSettings]
+  );
 
-  // Backend URL from environment variable
-  const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:8000';
-
-  // Your Teachable Machine model URL - replace with your actual model URL
-  const MODEL_URL = process.env.TEACHABLE_MACHINE_URL || 'https://teachablemachine.withgoogle.com/models/6UdJBojDI/';
-
-  // Extract GPS coordinates from EXIF data
-  // Helper function to convert DMS (Degrees, Minutes, Seconds) to Decimal Degrees
-  const convertDMSToDD = (dms, ref) => {
-    let dd = dms[0] + dms[1] / 60 + dms[2] / 3600;
-    if (ref === "S" || ref === "W") {
-      dd = dd * -1;
-    }
-    return dd;
-  };
-
-  const extractGPSFromExif = async (file) => {
-    return new Promise((resolve) => {
-      EXIF.getData(file, function () {
-        const lat = EXIF.getTag(this, "GPSLatitude");
-        const lon = EXIF.getTag(this, "GPSLongitude");
-        const latRef = EXIF.getTag(this, "GPSLatitudeRef");
-        const lonRef = EXIF.getTag(this, "GPSLongitudeRef");
-
-        if (lat && lon && latRef && lonRef) {
-          const latitude = convertDMSToDD(lat, latRef);
-          const longitude = convertDMSToDD(lon, lonRef);
-          resolve({ latitude, longitude });
-        } else {
-          resolve(null); // No GPS data available
-        }
-      });
-    });
-  };
-
-  // Load the Teachable Machine model
+  // Load the active Teachable Machine model
   const loadModel = useCallback(async () => {
     if (model) return model;
 
     setIsModelLoading(true);
     try {
-      const modelURL = MODEL_URL + "model.json";
-      const metadataURL = MODEL_URL + "metadata.json";
-
-      const loadedModel = await window.tmImage.load(modelURL, metadataURL);
+      const loadedModel = await loadTeachableModel(modelConfig);
       setModel(loadedModel);
       return loadedModel;
     } catch (error) {
@@ -67,65 +188,303 @@ const TeachableMachineImageClassifier = () => {
     } finally {
       setIsModelLoading(false);
     }
-  }, [model]);
+  }, [model, modelConfig]);
+
+  // Switch to another model: drop the cached one so no result comes from the old model,
+  // then load the new one right away to validate it and read its class labels
+  const activateModel = async (config) => {
+    setModel(null);
+    setModelConfig(config);
+    setIsModelLoading(true);
+    try {
+      const loadedModel = await loadTeachableModel(config);
+      const labels = getModelLabels(loadedModel);
+      const loadedConfig = { ...config, labels: labels.length > 0 ? labels : config.labels };
+
+      setModel(loadedModel);
+      setModelConfig(loadedConfig);
+      await saveModel(loadedConfig);
+      localStorage.setItem('activeModelId', loadedConfig.id);
+      setSavedModels(await listSavedModels());
+    } catch (error) {
+      console.error('Error loading model:', error);
+      alert(`Failed to load model "${config.name}". ${error.message || ''}`);
+    } finally {
+      setIsModelLoading(false);
+    }
+  };
 
-  // Convert image to base64
-  const imageToBase64 = (imageElement) => {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    canvas.width = imageElement.width;
-    canvas.height = imageElement.height;
-    ctx.drawImage(imageElement, 0, 0);
-    return canvas.toDataURL('image/jpeg');
+  const loadModelFromFiles = async (fileList) => {
+    try {
+      await activateModel(await createFilesModelConfig(fileList));
+    } catch (error) {
+      alert(error.message);
+    }
   };
 
-  // Process a single image through the model
-  const classifyImage = async (imageElement, loadedModel) => {
+  const forgetModel = async (id) => {
     try {
-      if (modelType === 'teachable_machine') {
-        const predictions = await loadedModel.predict(imageElement);
-        return predictions.map(pred => ({
-          className: pred.className,
-          probability: pred.probability
-        }));
-      } else if (modelType === 'mobilenet') {
-        // Send to backend for MobileNetV2 classification
-        const base64Image = imageToBase64(imageElement);
-
-        const response = await fetch(`${BACKEND_URL}/classify-image`, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify({
-            image_data: base64Image,
-            model_type: 'mobilenet'
-          })
-        });
+      await deleteSavedModel(id);
+      setSavedModels(await listSavedModels());
+    } catch (error) {
+      console.error('Error removing saved model:', error);
+    }
+  };
 
-        if (response.ok) {
-          const result = await response.json();
-          return result.predictions;
-        } else {
-          throw new Error('Backend classification failed');
+  // Restore remembered models; the last used one becomes active and loads on first upload
+  useEffect(() => {
+    const restoreModels = async () => {
+      try {
+        const stored = await listSavedModels();
+        setSavedModels(stored);
+        const active = stored.find(saved => saved.id === localStorage.getItem('activeModelId'));
+        if (active) {
+          setModelConfig(active);
         }
+      } catch (error) {
+        console.error('Error loading saved models:', error);
       }
+    };
+
+    restoreModels();
+  }, []);
+
+  // Run one preprocessed image through a single classifier; throws on failure
+  const classifyWithModel = async (type, prepared, loadedModel) => {
+    if (type === 'teachable_machine') {
+      const predictions = await loadedModel.predict(prepared.canvas);
+      return predictions.map(pred => ({
+        className: pred.className,
+        probability: pred.probability
+      }));
+    }
+
+    // Send to backend for MobileNetV2 classification
+    const base64Image = prepared.dataUrl;
+
+    const result = await postToBackend('/classify-image', {
+      image_data: base64Image,
+      model_type: 'mobilenet'
+    });
+    return result.predictions;
+  };
+
+  // Classify every augmented view of one image (just the original when robust mode is off).
+  // Returns [{ predictions, weight }] with the views sharing a total weight of 1.
+  const classifyViews = async (type, prepared, loadedModel) => {
+    const views = getAugmentations(robustSettings);
+    const sets = [];
+    for (const view of views) {
+      const input = renderAugmentation(prepared, view, {
+        withJpeg: type === 'mobilenet',
+        jpegQuality: prepared.info.jpegQuality
+      });
+      sets.push({ predictions: await classifyWithModel(type, input, loadedModel), weight: 1 / views.length });
+    }
+    return sets;
+  };
+
+  // Process a single image through the selected model, or through both in comparison and
+  // ensemble mode. Returns { predictions, comparison, uncertainty, modelId } or null when no
+  // classifier produced a result. `modelId` names the model behind `predictions`: the
+  // Teachable Machine model's config id, 'mobilenet', or null for an ensemble blend.
+  const classifyImage = async (prepared, loadedModel) => {
+    try {
+      if (modelType === 'compare' || modelType === 'ensemble') {
+        const [teachable, mobilenet] = await Promise.allSettled([
+          classifyViews('teachable_machine', prepared, loadedModel),
+          classifyViews('mobilenet', prepared, loadedModel)
+        ]);
+        [teachable, mobilenet]
+          .filter(outcome => outcome.status === 'rejected')
+          .forEach(outcome => console.error('Error classifying image:', outcome.reason));
+
+        const teachableAverage = teachable.value ? averagePredictions(teachable.value) : null;
+        const mobilenetAverage = mobilenet.value ? averagePredictions(mobilenet.value) : null;
+        const comparison = compareModelPredictions(
+          teachableAverage && teachableAverage.predictions,
+          mobilenetAverage && mobilenetAverage.predictions
+        );
+
+        if (modelType === 'ensemble') {
+          // Each model's views share that model's weight, so the spread covers both
+          // augmentations and disagreement between the models
+          const ensemble = combineEnsemble(
+            { teachable_machine: teachable.value, mobilenet: mobilenet.value },
+            robustSettings.weights
+          );
+          return ensemble && ensemble.predictions.length > 0
+            ? {
+              predictions: ensemble.predictions,
+              comparison,
+              uncertainty: ensemble.uncertainty,
+              ensemble: { weights: ensemble.weights, failed: ensemble.failed },
+              modelId: null
+            }
+            : null;
+        }
+
+        const primary = teachableAverage || mobilenetAverage;
+        return primary
+          ? {
+            predictions: primary.predictions,
+            comparison,
+            uncertainty: primary.uncertainty,
+            modelId: teachableAverage ? modelConfig.id : 'mobilenet'
+          }
+          : null;
+      }
+
+      return {
+        ...averagePredictions(await classifyViews(modelType, prepared, loadedModel)),
+        modelId: modelType === 'mobilenet' ? 'mobilenet' : modelConfig.id
+      };
     } catch (error) {
       console.error('Error classifying image:', error);
       return null;
     }
   };
 
+  // Replace the in-memory review state with a stored session
+  const applySession = (loaded) => {
+    persistedImagesRef.current = new Map(loaded.images.map(result => [result.id, result]));
+    setImageResults(loaded.images.filter(result => !result.removedBy));
+    setRemovedImages(loaded.images.filter(result => result.removedBy));
+    setDuplicatePairs(loaded.session.duplicatePairs || []);
+    setDuplicateDecisions(loaded.session.duplicateDecisions || []);
+    setSessionId(loaded.session.id);
+  };
+
+  const refreshSessions = async () => {
+    setSessions(await listSessions());
+  };
+
+  // Start an empty session; the previous one stays in storage
+  const startNewSession = async () => {
+    if (!isPersistenceAvailable()) return;
+    try {
+      const session = await createSession();
+      [...imageResults, ...removedImages].forEach(result => URL.revokeObjectURL(result.imageUrl));
+      applySession({ session, images: [] });
+      await refreshSessions();
+    } catch (error) {
+      console.error('Error creating session:', error);
+    }
+  };
+
+  const switchSession = async (id) => {
+    if (id === sessionId) return;
+    setIsSessionLoading(true);
+    try {
+      const loaded = await loadSession(id);
+      if (loaded) {
+        [...imageResults, ...removedImages].forEach(result => URL.revokeObjectURL(result.imageUrl));
+        applySession(loaded);
+      }
+    } catch (error) {
+      console.error('Error loading session:', error);
+      alert('Failed to load the saved session.');
+    } finally {
+      setIsSessionLoading(false);
+    }
+  };
+
+  const removeSession = async (id) => {
+    if (!window.confirm('Delete this session and all of its images?')) return;
+    try {
+      await deleteSession(id);
+      if (id === sessionId) {
+        await startNewSession();
+      } else {
+        await refreshSessions();
+      }
+    } catch (error) {
+      console.error('Error deleting session:', error);
+    }
+  };
+
+  // Restore the most recently updated session on load
+  useEffect(() => {
+    // StrictMode mounts twice in development; only restore once
+    if (!isPersistenceAvailable() || hasRestoredRef.current) return;
+    hasRestoredRef.current = true;
+
+    const restore = async () => {
+      setIsSessionLoading(true);
+      try {
+        const stored = await listSessions();
+        const loaded = stored.length > 0 ? await loadSession(stored[0].id) : null;
+        if (loaded) {
+          applySession(loaded);
+          setSessions(stored);
+        } else {
+          const session = await createSession();
+          applySession({ session, images: [] });
+          setSessions([session]);
+        }
+      } catch (error) {
+        console.error('Error restoring session:', error);
+      } finally {
+        setIsSessionLoading(false);
+      }
+    };
+
+    restore();
+  }, []);
+
+  // Write changes to the active session as they happen
+  useEffect(() => {
+    if (!sessionId) return;
+
+    // Images set aside by duplicate decisions stay stored so they can still be restored
+    const stored = [...imageResults, ...removedImages];
+    const persisted = persistedImagesRef.current;
+    const changed = stored.filter(result => persisted.get(result.id) !== result);
+    const currentIds = new Set(stored.map(result => result.id));
+    const removedIds = [...persisted.keys()].filter(id => !currentIds.has(id));
+
+    persistedImagesRef.current = new Map(stored.map(result => [result.id, result]));
+
+    const persist = async () => {
+      try {
+        if (changed.length > 0) await saveImages(sessionId, changed);
+        if (removedIds.length > 0) await deleteImages(removedIds);
+        await saveSessionState(sessionId, {
+          imageCount: imageResults.length,
+          duplicatePairs,
+          duplicateDecisions
+        });
+        setSessions(await listSessions());
+      } catch (error) {
+        console.error('Error saving session:', error);
+      }
+    };
+
+    persist();
+  }, [sessionId, imageResults, removedImages, duplicatePairs, duplicateDecisions]);
+
+  // Run the built-in haversine engine over the same payload the backend receives
+  const checkProximityLocally = (locationData, newImageIds) =>
+    findSimilarPairs(locationData, proximityRadius, newImageIds);
+
   // Send images with location data to backend
-  const sendMangoLocationsToBackend = async (allImages) => {
-    // Filter only images that have location data
-    const imagesWithLocation = allImages.filter(img => img.location !== null);
+  // New uploads are checked against each other and against images from earlier batches.
+  // Visual fingerprints add pairs the GPS check cannot see (including images without location)
+  // and score every pair with a visual similarity and combined confidence.
+  const sendMangoLocationsToBackend = async (newImages, previousImages = []) => {
+    const newWithLocation = newImages.filter(img => img.location !== null);
 
-    if (imagesWithLocation.length === 0) {
+    if (newWithLocation.length === 0 && !visualMatching) {
       console.log('No images with location data to send to backend');
       return;
     }
 
+    const imagesWithLocation = [
+      ...previousImages.filter(img => img.location !== null),
+      ...newWithLocation
+    ];
+    const newImageIds = new Set(newImages.map(img => String(img.id)));
+
     try {
       setIsCheckingDuplicates(true);
 
@@ -133,135 +492,676 @@ const TeachableMachineImageClassifier = () => {
         imageName: img.file.name,
         latitude: img.location.latitude,
         longitude: img.location.longitude,
+        accuracy: img.location.accuracy ?? null,
         imageId: String(img.id)
       }));
 
-      console.log(`Sending ${locationData.length} images with location data (out of ${allImages.length} total):`, locationData);
+      let pairs = null;
 
-      const response = await fetch(`${BACKEND_URL}/check-proximity`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ locations: locationData })
-      });
+      if (newWithLocation.length === 0) {
+        pairs = [];
+      } else if (proximityMode === 'local') {
+        pairs = checkProximityLocally(locationData, newImageIds);
+      } else {
+        console.log(`Sending ${locationData.length} images with location data (${newWithLocation.length} new):`, locationData);
 
-      console.log('Response status:', response.status);
+        try {
+          const duplicateData = await postToBackend('/check-proximity', {
+            locations: locationData,
+            radius: proximityRadius
+          });
+          console.log('Received duplicate data:', duplicateData);
+          // Pairs between two earlier images were already offered for review
+          pairs = (duplicateData.similar_pairs || []).filter(pair =>
+            newImageIds.has(String(pair.imageId1)) || newImageIds.has(String(pair.imageId2))
+          );
+        } catch (error) {
+          console.error('Error checking for duplicates:', error);
+        }
 
-      if (response.ok) {
-        const duplicateData = await response.json();
-        console.log('Received duplicate data:', duplicateData);
-        setDuplicatePairs(duplicateData.similar_pairs || []);
-      } else {
-        const errorText = await response.text();
-        console.error('Backend error:', response.status, errorText);
+        // Backend unavailable: fall back to the local engine
+        if (pairs === null && proximityMode === 'auto') {
+          pairs = checkProximityLocally(locationData, newImageIds);
+        }
+      }
+
+      const allImages = [...previousImages, ...newImages];
+      const fingerprintsById = new Map(allImages.map(img => [String(img.id), img.fingerprint]));
+
+      if (visualMatching) {
+        const visualPairs = findVisualPairs(
+          allImages.map(img => ({ imageId: String(img.id), fingerprint: img.fingerprint, location: img.location })),
+          visualThreshold,
+          newImageIds,
+          proximityRadius
+        );
+        pairs = mergePairs(pairs || [], visualPairs);
+      }
+
+      if (pairs && plotScopedDuplicates && plots.length > 0) {
+        pairs = filterPairsWithinPlots(pairs, assignPlots(allImages, plots));
+      }
+
+      if (pairs) {
+        const annotated = scoreDuplicatePairs(
+          annotatePairAccuracy(pairs, locationData, proximityRadius),
+          fingerprintsById,
+          proximityRadius
+        );
+        setDuplicatePairs(prev => mergePairs(prev, annotated));
       }
-    } catch (error) {
-      console.error('Error checking for duplicates:', error);
     } finally {
       setIsCheckingDuplicates(false);
     }
   };
 
-  // Handle file upload and processing
-  const handleFileUpload = async (event) => {
-    const files = Array.from(event.target.files);
-    if (files.length === 0) return;
+  // Give results new locations (inferred, or null to clear) and run duplicate detection for
+  // them again. Their open pairs are dropped first, since those were found at the old position.
+  const relocateImages = async (locationsById) => {
+    if (locationsById.size === 0) return;
+    const relocate = (result) => ({ ...result, location: locationsById.get(String(result.id)) });
+    const updated = imageResults.filter(result => locationsById.has(String(result.id))).map(relocate);
+    const others = imageResults.filter(result => !locationsById.has(String(result.id)));
+
+    setImageResults(prev => prev.map(result => (locationsById.has(String(result.id)) ? relocate(result) : result)));
+    setDuplicatePairs(prev => prev.filter(pair =>
+      !locationsById.has(String(pair.imageId1)) && !locationsById.has(String(pair.imageId2))
+    ));
+    await sendMangoLocationsToBackend(updated, others);
+  };
+
+  // Manual fallback: coordinates typed on a card or picked on the map; null clears them
+  const setManualLocation = (id, coordinates) => {
+    setPlacingResultId(null);
+    relocateImages(new Map([[String(id), coordinates ? makeInferredLocation(coordinates, 'manual') : null]]));
+  };
+
+  // Photos the GPX track can place: no location yet, or placed from the track before
+  // (so a changed clock offset can be re-applied)
+  const getTrackLocations = () => {
+    const locations = new Map();
+    if (!gpxTrack) return locations;
+    imageResults
+      .filter(result => !result.location || result.location.inferred === 'gpx_track')
+      .forEach(result => {
+        const location = locateFromTrack(result, gpxTrack, geotagSettings);
+        if (location) locations.set(String(result.id), location);
+      });
+    return locations;
+  };
+
+  const importGpxTrack = async (file) => {
+    try {
+      setGpxTrack({ ...parseGPX(await file.text()), fileName: file.name });
+    } catch (error) {
+      console.error('Error importing GPX track:', error);
+      alert(`Could not import GPX track: ${error.message}`);
+    }
+  };
+
+  const updateGeotagSettings = (settings) => {
+    setGeotagSettings(settings);
+    saveGeotagSettings(settings);
+  };
+
+  // EXIF read, preprocess and classify one upload item ({ file, path, metadata, contentHash });
+  // throws with a readable reason on failure. `metadata` fills in what EXIF lacks, e.g. the
+  // device location of an in-app camera shot. Photos still without a location are placed from
+  // the GPX track when one is loaded.
+  const processFile = async (item, loadedModel) => {
+    const { metadata: fieldMetadata = {} } = item;
+    const file = await loadUploadFile(item);
+    const imageUrl = URL.createObjectURL(file);
+
+    try {
+      // Extract GPS coordinates, capture time and camera details
+      const exif = await extractExifMetadata(file);
+      const captureTime = exif.captureTime || fieldMetadata.captureTime || null;
+      const prepared = await preprocessImage(file, imageUrl, exif.orientation, preprocessingOptions);
+      const classification = await classifyImage(prepared, loadedModel);
+
+      if (!classification || classification.predictions.length === 0) {
+        throw new Error('Classification failed');
+      }
+
+      return {
+        id: Date.now() + Math.random(),
+        file: file,
+        imageUrl: imageUrl,
+        predictions: classification.predictions, // Keep original order for now, will sort in display
+        comparison: classification.comparison || null,
+        uncertainty: classification.uncertainty || null,
+        ensemble: classification.ensemble || null,
+        modelName: modelType === 'mobilenet'
+          ? 'MobileNetV2'
+          : modelType === 'ensemble'
+            ? Object.keys(classification.ensemble.weights)
+              .map(model => (model === 'teachable_machine' ? modelConfig.name : ENSEMBLE_MODELS[model]))
+              .join(' + ')
+            : modelConfig.name,
+        modelId: classification.modelId,
+        preprocessing: prepared.info,
+        timestamp: new Date().toLocaleTimeString(),
+        processedAt: Date.now(),
+        captureTime,
+        camera: fieldMetadata.camera || exif.camera,
+        dimensions: {
+          width: exif.width || prepared.info.originalWidth,
+          height: exif.height || prepared.info.originalHeight
+        },
+        location: exif.location || fieldMetadata.location || locateFromTrack({ captureTime }, gpxTrack, geotagSettings),
+        sourcePath: item.path,
+        contentHash: item.contentHash,
+        fingerprint: computePerceptualHash(prepared.canvas)
+      };
+    } catch (error) {
+      URL.revokeObjectURL(imageUrl);
+      throw error;
+    }
+  };
+
+  // Cancel the running batch; files already in progress still finish and are kept
+  const cancelProcessing = () => {
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      setProgress(prev => prev && { ...prev, cancelled: true });
+    }
+  };
+
+  // Classify a batch of upload items through the bounded-concurrency queue. Archives are
+  // expanded and unsupported or already-loaded files skipped first; results are added to the
+  // grid as each file finishes.
+  const processFiles = async (items) => {
+    if (items.length === 0) return;
 
     setIsProcessing(true);
+    const previousResults = imageResults;
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
 
     try {
+      const { accepted, skipped } = await prepareUploads(items, previousResults);
+      if (accepted.length === 0) {
+        setProgress(skipped.length > 0
+          ? { total: 0, completed: 0, failed: [], skipped, current: [], cancelled: false }
+          : null);
+        return;
+      }
+
       let loadedModel = null;
-      if (modelType === 'teachable_machine') {
+      if (modelType !== 'mobilenet') {
         loadedModel = await loadModel();
         if (!loadedModel) {
-          setIsProcessing(false);
           return;
         }
       }
       // For mobilenet, we don't need to load a model on frontend
 
-      const newResults = [];
-
-      for (const file of files) {
-        if (file.type.startsWith('image/')) {
-          const img = new Image();
-          const imageUrl = URL.createObjectURL(file);
-
-          // Extract GPS coordinates
-          const location = await extractGPSFromExif(file);
-
-          await new Promise((resolve) => {
-            img.onload = async () => {
-              const predictions = await classifyImage(img, loadedModel);
-
-              if (predictions) {
-                const result = {
-                  id: Date.now() + Math.random(),
-                  file: file,
-                  imageUrl: imageUrl,
-                  predictions: predictions, // Keep original order for now, will sort in display
-                  timestamp: new Date().toLocaleTimeString(),
-                  location: location
-                };
-
-                newResults.push(result);
-              }
-              resolve();
-            };
-            img.src = imageUrl;
-          });
+      setProgress({ total: accepted.length, completed: 0, failed: [], skipped, current: [], cancelled: false });
+
+      const outcomes = await runWithConcurrency(accepted, item => processFile(item, loadedModel), {
+        concurrency,
+        signal: abortController.signal,
+        onStart: (item) => {
+          setProgress(prev => ({ ...prev, current: [...prev.current, item.path] }));
+        },
+        onSettled: (item, outcome) => {
+          if (outcome.status === 'fulfilled') {
+            setImageResults(prev => [...prev, outcome.value]);
+          } else {
+            console.error('Error processing image:', item.path, outcome.reason);
+          }
+          setProgress(prev => ({
+            ...prev,
+            current: prev.current.filter(name => name !== item.path),
+            completed: prev.completed + (outcome.status === 'fulfilled' ? 1 : 0),
+            failed: outcome.status === 'rejected'
+              ? [...prev.failed, { name: item.path, reason: outcome.reason.message || 'Unknown error' }]
+              : prev.failed
+          }));
         }
-      }
+      });
 
-      setImageResults(prev => [...prev, ...newResults]);
+      const newResults = outcomes
+        .filter(outcome => outcome && outcome.status === 'fulfilled')
+        .map(outcome => outcome.value);
 
       // Send images with location data to backend
       if (newResults.length > 0) {
-        await sendMangoLocationsToBackend(newResults);
+        await sendMangoLocationsToBackend(newResults, previousResults);
       }
 
     } catch (error) {
       console.error('Error processing images:', error);
       alert('Error processing images. Please try again.');
     } finally {
+      abortControllerRef.current = null;
       setIsProcessing(false);
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
+      // Keep the summary visible after failures, skips or a cancel so the user can see what was left out
+      setProgress(prev => (prev && (prev.failed.length > 0 || prev.skipped.length > 0 || prev.cancelled)
+        ? { ...prev, current: [], finished: true }
+        : null));
     }
   };
 
-  // Handle duplicate resolution
-  const handleDuplicateAction = async (pairId, action, imageId1, imageId2) => {
+  // Handle file upload and processing (single files, ZIP archives or a whole folder)
+  const handleFileUpload = async (event) => {
+    const items = toUploadItems(event.target.files);
+    event.target.value = '';
+    await processFiles(items);
+  };
+
+  // Dropped files, folders and archives
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    if (!isProcessing) setIsDragActive(true);
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setIsDragActive(false);
+    if (isModelLoading || isProcessing || isSessionLoading) return;
+    // Entries must be read before the event handler yields
+    const items = await collectDroppedItems(event.dataTransfer);
+    await processFiles(items);
+  };
+
+  // A field capture shot goes through the same classification and proximity flow as an upload
+  const handleFieldCapture = (file, metadata) => processFiles([{ file, path: file.name, metadata }]);
+
+  // Send one decision. Resolves to 'synced', or 'queued' when the backend cannot be reached
+  // (the decision waits in the outbox under `key`); throws when the backend rejects it outright.
+  const saveDecision = async (decision, key) => {
     try {
-      const response = await fetch(`${BACKEND_URL}/save-decision`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          pairId: pairId,
-          action: action,
-          imageId1: imageId1,
-          imageId2: imageId2
-        })
-      });
+      await postToBackend('/save-decision', decision);
+      return 'synced';
+    } catch (error) {
+      console.error('Error saving decision:', error);
+      if (!error.retryable) throw error;
+      enqueue('/save-decision', decision, key);
+      setOutboxCount(getOutbox().length);
+      return 'queued';
+    }
+  };
 
-      if (response.ok) {
-        // Remove the pair from duplicates list
-        setDuplicatePairs(prev => prev.filter(pair => pair.pairId !== pairId));
+  // Handle duplicate resolution for a set of pairs (one pair, or every pair in a cluster).
+  // Each pair's action follows from which images are kept. An image is removed once a decision
+  // removing it was saved or queued; rejected pairs stay in place with the error shown, so a
+  // partly failed cluster can be retried for the images that are left.
+  // Removed images are set aside rather than discarded so the batch can be undone.
+  const resolveDuplicatePairs = async (pairs, keeperIds) => {
+    const keepers = new Set(keeperIds.map(String));
+    const batchId = createBatchId();
+    setPairErrors(prev => {
+      const next = { ...prev };
+      pairs.forEach(pair => { next[pair.pairId] = null; });
+      return next;
+    });
 
-        // Remove images from results if needed
-        if (action === 'keep_first_remove_second') {
-          removeImageResult(imageId2);
-        } else if (action === 'remove_first_keep_second') {
-          removeImageResult(imageId1);
-        }
-        // For 'save_both', we don't remove any images
+    const saved = await Promise.all(pairs.map(async (pair, index) => {
+      const decision = {
+        pairId: pair.pairId,
+        action: getPairAction(pair, keepers),
+        imageId1: pair.imageId1,
+        imageId2: pair.imageId2
+      };
+      const id = `${batchId}_${index}`;
+      try {
+        return {
+          ...decision,
+          id,
+          batchId,
+          pair,
+          imageName1: findImage(pair.imageId1)?.file.name || '',
+          imageName2: findImage(pair.imageId2)?.file.name || '',
+          distance: pair.distance ?? null,
+          syncStatus: await saveDecision(decision, id)
+        };
+      } catch (error) {
+        setPairErrors(prev => ({ ...prev, [pair.pairId]: error.message }));
+        return null;
+      }
+    }));
+
+    const decisions = saved.filter(Boolean);
+    const decidedAt = new Date().toISOString();
+    setDuplicateDecisions(prev => [...prev, ...decisions.map(decision => ({
+      ...decision,
+      imageId1: String(decision.imageId1),
+      imageId2: String(decision.imageId2),
+      decidedAt
+    }))]);
+
+    // Remove the decided pairs from duplicates list
+    const decidedIds = new Set(decisions.map(decision => decision.pairId));
+    setDuplicatePairs(prev => prev.filter(pair => !decidedIds.has(pair.pairId)));
+
+    // Set aside the images whose removal was recorded
+    const removedIds = getRemovedImageIds(decisions);
+    if (removedIds.size === 0) return;
+
+    const removed = imageResults.filter(result => removedIds.has(String(result.id)));
+    setRemovedImages(prev => [...prev, ...removed.map(result => ({ ...result, removedBy: batchId }))]);
+    setImageResults(prev => prev.filter(result => !removedIds.has(String(result.id))));
+    setDuplicatePairs(prev => prev.filter(pair =>
+      !removedIds.has(String(pair.imageId1)) && !removedIds.has(String(pair.imageId2))
+    ));
+  };
+
+  // Reverse a decision batch: restore the images it removed and its pairs, then tell the
+  // backend. The original decisions stay in the log, marked as undone.
+  const undoDecisionBatch = async (batchId) => {
+    const decisions = duplicateDecisions.filter(decision => getBatchId(decision) === batchId && !decision.undoneAt);
+    if (decisions.length === 0) return;
+
+    const restored = removedImages.filter(result => result.removedBy === batchId);
+    const restoredIds = new Set(restored.map(result => String(result.id)));
+    setRemovedImages(prev => prev.filter(result => result.removedBy !== batchId));
+    setImageResults(prev => [
+      ...prev.filter(result => !restoredIds.has(String(result.id))),
+      ...restored.map(({ removedBy, ...result }) => result)
+    ]);
+
+    // A later batch may have removed one of the pair's images; such pairs are not reopened
+    const availableIds = new Set([...imageResults.map(result => String(result.id)), ...restoredIds]);
+    const restoredPairs = decisions
+      .map(decision => decision.pair || {
+        pairId: decision.pairId,
+        imageId1: decision.imageId1,
+        imageId2: decision.imageId2,
+        distance: decision.distance
+      })
+      .filter(pair => availableIds.has(String(pair.imageId1)) && availableIds.has(String(pair.imageId2)));
+    setDuplicatePairs(prev => mergePairs(prev, restoredPairs));
+
+    const undoneAt = new Date().toISOString();
+    const statuses = await Promise.all(decisions.map(async decision => {
+      try {
+        return await saveDecision({
+          pairId: decision.pairId,
+          action: 'undo',
+          undoneAction: decision.action,
+          imageId1: decision.imageId1,
+          imageId2: decision.imageId2
+        }, `${decision.id || decision.pairId}:undo`);
+      } catch (error) {
+        setPairErrors(prev => ({ ...prev, [decision.pairId]: `Undo not saved: ${error.message}` }));
+        return 'rejected';
+      }
+    }));
+
+    const decisionKey = (decision) => decision.id || decision.pairId;
+    const statusByKey = new Map(decisions.map((decision, index) => [decisionKey(decision), statuses[index]]));
+    setDuplicateDecisions(prev => prev.map(decision => !decision.undoneAt && statusByKey.has(decisionKey(decision))
+      ? { ...decision, undoneAt, undoSyncStatus: statusByKey.get(decisionKey(decision)) }
+      : decision
+    ));
+  };
+
+  const handleDuplicateAction = async (pairId, action, imageId1, imageId2) => {
+    const pair = duplicatePairs.find(p => p.pairId === pairId) || { pairId, imageId1, imageId2 };
+    const keepers = action === 'save_both'
+      ? [imageId1, imageId2]
+      : action === 'keep_first_remove_second' ? [imageId1] : [imageId2];
+    await resolveDuplicatePairs([pair], keepers);
+  };
+
+  // Overlapping pairs grouped into clusters; pairs whose images are gone are skipped
+  const imagesById = new Map(imageResults.map(img => [String(img.id), img]));
+  const findImage = (imageId) => imagesById.get(String(imageId));
+  const duplicateClusters = buildClusters(duplicatePairs.filter(pair => findImage(pair.imageId1) && findImage(pair.imageId2)));
+
+  // Confidence for the configured target class(es), used to pick the best photo in a cluster
+  const getTargetScore = (imageId) => {
+    const image = findImage(imageId);
+    return image ? getOutcome(image.predictions, classificationConfig).probability : 0;
+  };
+
+  const getClusterKeepers = (cluster) =>
+    new Set(clusterKeepers[cluster.clusterId] || [pickBestImage(cluster.imageIds, getTargetScore)]);
+
+  const toggleClusterKeeper = (cluster, imageId) => {
+    const keepers = getClusterKeepers(cluster);
+    if (keepers.has(imageId)) {
+      keepers.delete(imageId);
+    } else {
+      keepers.add(imageId);
+    }
+    setClusterKeepers(prev => ({ ...prev, [cluster.clusterId]: [...keepers] }));
+  };
+
+  const resolveCluster = async (cluster, keeperIds) => {
+    await resolveDuplicatePairs(cluster.pairs, keeperIds);
+    setClusterKeepers(prev => {
+      const { [cluster.clusterId]: resolved, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  // Batch rules over every open cluster
+  const keepBestInAllClusters = async () => {
+    for (const cluster of duplicateClusters) {
+      await resolveCluster(cluster, [pickBestImage(cluster.imageIds, getTargetScore)]);
+    }
+  };
+
+  const keepAllInAllClusters = async () => {
+    for (const cluster of duplicateClusters) {
+      await resolveCluster(cluster, cluster.imageIds);
+    }
+  };
+
+  // Keyboard shortcuts for the active cluster: j/k move, 1-9 toggle a photo (or pick it in a pair),
+  // Enter keeps the selection, a keeps all, b keeps the best
+  const handleDuplicateShortcut = (event) => {
+    if (duplicateClusters.length === 0 || event.metaKey || event.ctrlKey || event.altKey) return;
+    if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+
+    const index = Math.min(activeClusterIndex, duplicateClusters.length - 1);
+    const cluster = duplicateClusters[index];
+    const key = event.key.toLowerCase();
+
+    if (key === 'j' || key === 'k') {
+      const step = key === 'j' ? 1 : -1;
+      setActiveClusterIndex((index + step + duplicateClusters.length) % duplicateClusters.length);
+    } else if (/^[1-9]$/.test(key)) {
+      const imageId = cluster.imageIds[Number(key) - 1];
+      if (!imageId) return;
+      if (cluster.imageIds.length === 2) {
+        resolveCluster(cluster, [imageId]);
+      } else {
+        toggleClusterKeeper(cluster, imageId);
       }
+    } else if (key === 'enter' && cluster.imageIds.length > 2) {
+      const keepers = getClusterKeepers(cluster);
+      if (keepers.size > 0) resolveCluster(cluster, [...keepers]);
+    } else if (key === 'a') {
+      resolveCluster(cluster, cluster.imageIds);
+    } else if (key === 'b') {
+      resolveCluster(cluster, [pickBestImage(cluster.imageIds, getTargetScore)]);
+    } else {
+      return;
+    }
+    event.preventDefault();
+  };
+
+  // The listener is registered once and always calls the latest handler
+  const shortcutHandlerRef = useRef(handleDuplicateShortcut);
+  shortcutHandlerRef.current = handleDuplicateShortcut;
+
+  useEffect(() => {
+    const onKeyDown = (event) => shortcutHandlerRef.current(event);
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Replay queued decisions and mark them as synced (or rejected) once the backend answers
+  const syncOutbox = useCallback(async () => {
+    const { delivered, rejected } = await flushOutbox();
+    setOutboxCount(getOutbox().length);
+    if (delivered.length === 0 && rejected.length === 0) return;
+
+    const deliveredKeys = new Set(delivered.map(entry => entry.key));
+    const rejectedKeys = new Set(rejected.map(entry => entry.key));
+    // Older entries were queued under the pair id
+    const statusFor = (key) => {
+      if (deliveredKeys.has(key)) return 'synced';
+      if (rejectedKeys.has(key)) return 'rejected';
+      return null;
+    };
+    setDuplicateDecisions(prev => prev.map(decision => {
+      const key = decision.id || decision.pairId;
+      let updated = decision;
+      if (decision.syncStatus === 'queued' && statusFor(key)) {
+        updated = { ...updated, syncStatus: statusFor(key) };
+      }
+      if (decision.undoSyncStatus === 'queued' && statusFor(`${key}:undo`)) {
+        updated = { ...updated, undoSyncStatus: statusFor(`${key}:undo`) };
+      }
+      return updated;
+    }));
+  }, []);
+
+  const importPlotBoundaries = async (file) => {
+    try {
+      const imported = parsePlotBoundaries(await file.text());
+      setPlots(imported);
+      savePlotBoundaries(imported);
     } catch (error) {
-      console.error('Error saving decision:', error);
+      console.error('Error importing plot boundaries:', error);
+      alert(`Could not import plot boundaries: ${error.message}`);
+    }
+  };
+
+  const updateEvaluationSettings = (settings) => {
+    setEvaluationSettings(settings);
+    saveEvaluationSettings(settings);
+  };
+
+  const importEvaluationLabels = async (file) => {
+    try {
+      const { labels } = parseLabelsCSV(await file.text());
+      updateEvaluationSettings({ ...evaluationSettings, csvName: file.name, csvLabels: labels });
+    } catch (error) {
+      console.error('Error importing evaluation labels:', error);
+      alert(`Could not import labels: ${error.message}`);
+    }
+  };
+
+  // Narrow the results grid to one group of evaluated images, e.g. a confusion matrix cell
+  const showEvaluatedImages = (changes) => {
+    setFilters({ ...DEFAULT_FILTERS, ...changes });
+    setPage(0);
+  };
+
+  const clearPlotBoundaries = () => {
+    setPlots([]);
+    savePlotBoundaries([]);
+  };
+
+  const updateBackendMode = (mode) => {
+    setBackendMode(mode);
+    saveBackendMode(mode);
+  };
+
+  const updateRobustSettings = (settings) => {
+    setRobustSettings(settings);
+    saveRobustSettings(settings);
+  };
+
+  const updateClassificationConfig = (config) => {
+    setClassificationConfig(config);
+    saveClassificationConfig(config);
+  };
+
+  // Track backend request status for the status bar
+  useEffect(() => subscribeToRequests(event => {
+    setBackendRequests(prev => [...prev.filter(request => request.id !== event.id), event].slice(-30));
+  }), []);
+
+  // Replay the outbox on start, when connectivity returns and periodically while it is not empty
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncOutbox();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncOutbox]);
+
+  useEffect(() => {
+    if (outboxCount === 0) return;
+    syncOutbox();
+    const interval = setInterval(syncOutbox, 30000);
+    return () => clearInterval(interval);
+  }, [outboxCount, syncOutbox]);
+
+  // Bring the map into view when a photo is being placed on it
+  useEffect(() => {
+    if (!placingResultId) return;
+    const map = document.querySelector('.map-view');
+    if (map) map.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [placingResultId]);
+
+  // Scroll to a card picked on the map once its page has rendered
+  useEffect(() => {
+    if (!focusedResultId) return;
+    const card = document.getElementById(`result-${focusedResultId}`);
+    if (card) card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusedResultId, page]);
+
+  // Apply changes to one result (e.g. a reviewer label); persistence picks up the new object
+  const updateImageResult = (id, changes) => {
+    setImageResults(prev => prev.map(result =>
+      String(result.id) === String(id) ? { ...result, ...changes } : result
+    ));
+  };
+
+  // Only the loaded Teachable Machine model can explain a prediction, and only one it made
+  // itself: not MobileNetV2, an ensemble blend or a different (or earlier, unrecorded) model
+  const canExplain = (result) => !!result.modelId && result.modelId === modelConfig.id;
+
+  // Occlusion explanation for one image, computed with the Teachable Machine model on the
+  // same model input it was classified from. Explains the class that decided the outcome,
+  // falling back to the first target class and then the top prediction.
+  const explainImage = async (id) => {
+    const result = findImage(id);
+    if (!result || !canExplain(result)) return;
+
+    // Rebuild the exact model input behind the prediction, not one from the current settings
+    const options = getRecordedOptions(result.preprocessing);
+    if (!options) {
+      alert('This image was classified before its preprocessing settings were recorded. Classify it again to explain it.');
+      return;
+    }
+
+    const loadedModel = await loadModel();
+    if (!loadedModel) return;
+
+    // computeOcclusionMap maps this onto the model's own label, or its top class if it has none
+    const { className } = getOutcome(result.predictions, classificationConfig);
+
+    setExplainProgress(prev => ({ ...prev, [id]: 0 }));
+    try {
+      const prepared = await preprocessImage(result.file, result.imageUrl, result.preprocessing.orientation, options);
+      const map = await computeOcclusionMap(input => loadedModel.predict(input), prepared.canvas, className, {
+        onProgress: fraction => setExplainProgress(prev => ({ ...prev, [id]: fraction }))
+      });
+      updateImageResult(id, { explanation: { ...map, heatmapUrl: renderHeatmap(map) } });
+    } catch (error) {
+      console.error('Error computing explanation:', error);
+      alert('Failed to compute the explanation for this image.');
+    } finally {
+      setExplainProgress(prev => {
+        const { [id]: finished, ...rest } = prev;
+        return rest;
+      });
     }
   };
 
@@ -288,13 +1188,128 @@ const TeachableMachineImageClassifier = () => {
     ));
   };
 
+  // Export every remaining image in the requested format
+  const exportResults = (format) => {
+    const rows = buildExportRows(imageResults, duplicatePairs, duplicateDecisions);
+    const baseName = `mango-survey-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      downloadFile(toCSV(rows), `${baseName}.csv`, 'text/csv');
+    } else if (format === 'geojson') {
+      downloadFile(toGeoJSON(rows), `${baseName}.geojson`, 'application/geo+json');
+    } else if (format === 'kml') {
+      downloadFile(toKML(rows), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+    }
+  };
+
+  const exportDecisionLog = () => {
+    downloadFile(
+      toDecisionLogCSV(duplicateDecisions),
+      `mango-duplicate-decisions-${new Date().toISOString().slice(0, 10)}.csv`,
+      'text/csv'
+    );
+  };
+
+  const exportDataset = async () => {
+    if (getDatasetImages(imageResults, { includeModelLabels }).length === 0) {
+      alert('No reviewed images to export yet. Confirm or correct labels with the Label selector, or include model-labeled images.');
+      return;
+    }
+    try {
+      const zip = await buildDatasetZip(imageResults, { includeModelLabels });
+      downloadFile(zip, `mango-dataset-${new Date().toISOString().slice(0, 10)}.zip`, 'application/zip');
+    } catch (error) {
+      console.error('Error building dataset ZIP:', error);
+      alert('Failed to build the dataset ZIP.');
+    }
+  };
+
+  // One-page HTML summary of the survey. Thumbnails are embedded as data URLs so the file
+  // still opens (and prints to PDF) after the session's blob URLs are gone.
+  const exportReport = async () => {
+    try {
+      const data = buildReportData(imageResults, {
+        duplicatePairs,
+        duplicateDecisions,
+        removedCount: removedImages.length,
+        classificationConfig
+      });
+      const thumbnails = new Map();
+      for (const item of data.lowConfidence) {
+        const result = findImage(item.id);
+        if (!result) continue;
+        try {
+          thumbnails.set(item.id, await makeThumbnail(result.imageUrl));
+        } catch (error) {
+          if (result.preprocessing) thumbnails.set(item.id, result.preprocessing.previewUrl);
+        }
+      }
+      downloadFile(
+        toReportHTML(data, thumbnails),
+        `mango-survey-report-${new Date().toISOString().slice(0, 10)}.html`,
+        'text/html'
+      );
+    } catch (error) {
+      console.error('Error building survey report:', error);
+      alert('Failed to build the survey report.');
+    }
+  };
+
   // Clear all results
   const clearAllResults = () => {
-    imageResults.forEach(result => URL.revokeObjectURL(result.imageUrl));
+    [...imageResults, ...removedImages].forEach(result => URL.revokeObjectURL(result.imageUrl));
     setImageResults([]);
+    setRemovedImages([]);
     setDuplicatePairs([]);
+    setDuplicateDecisions([]);
   };
 
+  const agreementSummary = getAgreementSummary(imageResults);
+  const outcomeCounts = countOutcomes(imageResults, classificationConfig);
+  const availableLabels = getAvailableLabels(modelType === 'mobilenet' ? [] : modelConfig.labels, imageResults);
+  const relabeledCount = imageResults.filter(result => result.humanLabel).length;
+  const plotCounts = countByPlot(
+    imageResults,
+    plots,
+    plotAssignments,
+    result => getOutcome(result.predictions, classificationConfig).outcome === 'detected'
+  );
+  const plotNames = useMemo(() => new Map(plots.map(plot => [plot.id, plot.name])), [plots]);
+  // Null outside every plot, undefined without plots or GPS
+  const getPlotName = (result) => {
+    const plotId = plotAssignments.get(String(result.id));
+    if (plotId === undefined) return undefined;
+    return plotId === null ? null : plotNames.get(plotId);
+  };
+  const unresolvedIds = useMemo(
+    () => new Set(duplicatePairs.flatMap(pair => [String(pair.imageId1), String(pair.imageId2)])),
+    [duplicatePairs]
+  );
+  const evaluationById = useMemo(() => new Map(evaluationItems.map(item => [item.id, item])), [evaluationItems]);
+  // Sort before filtering (filtering keeps the order), so typing a search does not re-sort
+  const sortedResults = useMemo(() => sortResults(imageResults, sortOrder), [imageResults, sortOrder]);
+  const visibleResults = useMemo(
+    () => filterResults(sortedResults, filters, { unresolvedIds, plotAssignments, evaluationById }),
+    [sortedResults, filters, unresolvedIds, plotAssignments, evaluationById]
+  );
+  const resultsPage = paginate(visibleResults, page, pageSize);
+
+  // Map markers come from the visible results, so the card is always on some page of them
+  const showResultCard = (id) => {
+    const index = visibleResults.findIndex(result => String(result.id) === String(id));
+    if (index === -1) return;
+    setPage(Math.floor(index / pageSize));
+    setFocusedResultId(String(id));
+  };
+
+  const updateTileTemplate = (template) => {
+    setTileTemplate(template);
+    saveTileTemplate(template);
+  };
+  const targetLabel = classificationConfig.targetClasses.length > 0
+    ? classificationConfig.targetClasses.join(' / ')
+    : 'target classes';
+
   return (
     <div className="app-container">
       <div className="header">
@@ -304,33 +1319,117 @@ const TeachableMachineImageClassifier = () => {
         </p>
       </div>
 
+      {/* Backend Status */}
+      <BackendStatus
+        requests={backendRequests}
+        isOnline={isOnline}
+        outboxCount={outboxCount}
+        mode={backendMode}
+        onSync={syncOutbox}
+        onClearErrors={() => setBackendRequests(prev => prev.filter(request => request.status !== 'error'))}
+      />
+
+      {/* Session Management */}
+      {isPersistenceAvailable() && (
+        <SessionPanel
+          sessions={sessions}
+          activeSessionId={sessionId}
+          onSelect={switchSession}
+          onCreate={startNewSession}
+          onDelete={removeSession}
+          disabled={isProcessing || isSessionLoading}
+        />
+      )}
+
       {/* Upload Section */}
       <div className="upload-section">
-        <div className="upload-area">
+        <div
+          className={`upload-area${isDragActive ? ' drag-active' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={() => setIsDragActive(false)}
+          onDrop={handleDrop}
+        >
           <input
             ref={fileInputRef}
             type="file"
             multiple
-            accept="image/*"
+            accept="image/*,.zip,application/zip"
+            onChange={handleFileUpload}
+            className="file-input"
+            disabled={isModelLoading || isProcessing || isSessionLoading}
+          />
+          <input
+            ref={folderInputRef}
+            type="file"
+            webkitdirectory=""
             onChange={handleFileUpload}
             className="file-input"
-            disabled={isModelLoading || isProcessing}
+            disabled={isModelLoading || isProcessing || isSessionLoading}
           />
 
           <div className="upload-content">
             <Upload size={48} className="upload-icon" />
             <button
               onClick={() => fileInputRef.current?.click()}
-              disabled={isModelLoading || isProcessing}
+              disabled={isModelLoading || isProcessing || isSessionLoading}
               className="upload-button"
             >
-              {isModelLoading ? 'Loading Model...' : isProcessing ? 'Processing...' : 'Upload Images'}
+              {isSessionLoading ? 'Restoring Session...' : isModelLoading ? 'Loading Model...' : isProcessing ? 'Processing...' : 'Upload Images'}
             </button>
             <p className="upload-text">
-              Select multiple image files with GPS location data (JPG, PNG, etc.)
+              Select or drop image files with GPS location data (JPG, PNG, etc.), whole folders or ZIP archives
             </p>
+            <button
+              onClick={() => folderInputRef.current?.click()}
+              disabled={isModelLoading || isProcessing || isSessionLoading}
+              className="session-button"
+            >
+              <FolderOpen size={14} />
+              Select Folder
+            </button>
+            {!isFieldCaptureOpen && (
+              <button
+                onClick={() => setIsFieldCaptureOpen(true)}
+                disabled={isModelLoading || isSessionLoading}
+                className="session-button"
+              >
+                <Camera size={14} />
+                Field Capture
+              </button>
+            )}
+            <label className="setting-field">
+              Files processed in parallel:
+              <input
+                type="number"
+                min="1"
+                max="16"
+                value={concurrency}
+                onChange={(e) => setConcurrency(Math.min(16, Math.max(1, Math.round(Number(e.target.value)) || 1)))}
+                disabled={isProcessing}
+                className="setting-input"
+              />
+            </label>
           </div>
         </div>
+
+        {isFieldCaptureOpen && (
+          <CameraCapture
+            isProcessing={isProcessing}
+            canClassifyLive={modelType !== 'mobilenet'}
+            loadModel={loadModel}
+            targetClasses={classificationConfig.targetClasses}
+            onCapture={handleFieldCapture}
+            onClose={() => setIsFieldCaptureOpen(false)}
+          />
+        )}
+
+        {progress && (
+          <ProcessingProgress
+            progress={progress}
+            onCancel={cancelProcessing}
+            onDismiss={() => setProgress(null)}
+          />
+        )}
       </div>
 
       {/* Model Selection */}
@@ -357,197 +1456,421 @@ const TeachableMachineImageClassifier = () => {
             />
             Fine-tuned MobileNetV2
           </label>
+          <label className="model-option">
+            <input
+              type="radio"
+              value="compare"
+              checked={modelType === 'compare'}
+              onChange={(e) => setModelType(e.target.value)}
+              disabled={isProcessing}
+            />
+            Compare Both
+          </label>
+          <label className="model-option">
+            <input
+              type="radio"
+              value="ensemble"
+              checked={modelType === 'ensemble'}
+              onChange={(e) => setModelType(e.target.value)}
+              disabled={isProcessing}
+            />
+            Weighted Ensemble
+          </label>
+        </div>
+
+        {modelType !== 'mobilenet' && (
+          <ModelSettingsPanel
+            activeModel={modelConfig}
+            savedModels={savedModels}
+            isLoading={isModelLoading}
+            disabled={isProcessing || isModelLoading}
+            onLoadUrl={(url) => activateModel(createUrlModelConfig(url))}
+            onLoadFiles={loadModelFromFiles}
+            onSelect={activateModel}
+            onForget={forgetModel}
+          />
+        )}
+      </div>
+
+      {/* Target Class Settings */}
+      <ClassificationSettings
+        config={classificationConfig}
+        labels={availableLabels}
+        onChange={updateClassificationConfig}
+        disabled={isProcessing}
+      />
+
+      {/* Preprocessing Settings */}
+      <PreprocessingSettings
+        options={preprocessingOptions}
+        onChange={setPreprocessingOptions}
+        disabled={isProcessing}
+      />
+
+      <RobustPredictionSettings
+        settings={robustSettings}
+        showWeights={modelType === 'ensemble'}
+        onChange={updateRobustSettings}
+        disabled={isProcessing}
+      />
+
+      {/* Backend Settings */}
+      <div className="model-selection">
+        <h3>Backend:</h3>
+        <div className="model-options">
+          <label className="model-option">
+            <input
+              type="radio"
+              value="server"
+              checked={backendMode === 'server'}
+              onChange={(e) => updateBackendMode(e.target.value)}
+              disabled={isProcessing}
+            />
+            Server ({BACKEND_URL})
+          </label>
+          <label className="model-option">
+            <input
+              type="radio"
+              value="mock"
+              checked={backendMode === 'mock'}
+              onChange={(e) => updateBackendMode(e.target.value)}
+              disabled={isProcessing}
+            />
+            Built-in mock (no server needed)
+          </label>
+        </div>
+        {backendMode === 'mock' && <MockBackendInspector />}
+      </div>
+
+      {/* Duplicate Detection Settings */}
+      <div className="model-selection">
+        <h3>Duplicate Detection:</h3>
+        <div className="model-options">
+          <label className="model-option">
+            <input
+              type="radio"
+              value="auto"
+              checked={proximityMode === 'auto'}
+              onChange={(e) => setProximityMode(e.target.value)}
+              disabled={isProcessing}
+            />
+            Backend (local fallback)
+          </label>
+          <label className="model-option">
+            <input
+              type="radio"
+              value="backend"
+              checked={proximityMode === 'backend'}
+              onChange={(e) => setProximityMode(e.target.value)}
+              disabled={isProcessing}
+            />
+            Backend only
+          </label>
+          <label className="model-option">
+            <input
+              type="radio"
+              value="local"
+              checked={proximityMode === 'local'}
+              onChange={(e) => setProximityMode(e.target.value)}
+              disabled={isProcessing}
+            />
+            Local only
+          </label>
+        </div>
+        <label className="setting-field">
+          Radius (meters):
+          <input
+            type="number"
+            min="0.1"
+            step="0.1"
+            value={proximityRadius}
+            onChange={(e) => setProximityRadius(Math.max(0.1, Number(e.target.value) || 0.1))}
+            disabled={isProcessing}
+            className="setting-input"
+          />
+        </label>
+        <div className="settings-row">
+          <label className="setting-field">
+            <input
+              type="checkbox"
+              checked={visualMatching}
+              onChange={(e) => setVisualMatching(e.target.checked)}
+              disabled={isProcessing}
+            />
+            Match visually similar images (also without GPS)
+          </label>
+          <label className="setting-field">
+            Min. visual similarity:
+            <input
+              type="number"
+              min="0.5"
+              max="1"
+              step="0.01"
+              value={visualThreshold}
+              onChange={(e) => setVisualThreshold(Math.min(1, Math.max(0.5, Number(e.target.value) || 0.9)))}
+              disabled={isProcessing || !visualMatching}
+              className="setting-input"
+            />
+          </label>
         </div>
       </div>
 
+      {/* Plot Boundaries */}
+      <PlotBoundariesPanel
+        plots={plots}
+        counts={plotCounts}
+        targetLabel={targetLabel}
+        scoped={plotScopedDuplicates}
+        onImport={importPlotBoundaries}
+        onClear={clearPlotBoundaries}
+        onScopedChange={setPlotScopedDuplicates}
+        disabled={isProcessing}
+      />
+
+      <GeotagPanel
+        track={gpxTrack}
+        settings={geotagSettings}
+        counts={{
+          withoutLocation: imageResults.filter(result => !result.location).length,
+          fromTrack: imageResults.filter(result => result.location && result.location.inferred === 'gpx_track').length,
+          locatable: gpxTrack ? getTrackLocations().size : 0
+        }}
+        onImport={importGpxTrack}
+        onSettingsChange={updateGeotagSettings}
+        onApply={() => relocateImages(getTrackLocations())}
+        onClearTrack={() => setGpxTrack(null)}
+        disabled={isProcessing || isCheckingDuplicates}
+      />
+
+      <EvaluationPanel
+        settings={evaluationSettings}
+        items={evaluationItems}
+        unlabeledCount={imageResults.length - evaluationItems.length}
+        hasComparison={imageResults.some(result => result.comparison)}
+        targetClasses={classificationConfig.targetClasses}
+        getThreshold={(className) => getThresholds(classificationConfig, className).detect}
+        onSettingsChange={updateEvaluationSettings}
+        onImportCSV={importEvaluationLabels}
+        onShowImages={showEvaluatedImages}
+        disabled={isProcessing}
+      />
+
       {/* Duplicate Pairs Section */}
       {duplicatePairs.length > 0 && (
         <div className="duplicates-section">
           <h2 className="duplicates-title">
-            Nearby Mango Trees Found ({duplicatePairs.length} pairs)
+            Nearby Mango Trees Found ({duplicatePairs.length} pairs in {duplicateClusters.length} groups)
             {isCheckingDuplicates && <span className="checking-text"> - Checking...</span>}
           </h2>
 
-          {duplicatePairs.map((pair) => {
-            const image1 = imageResults.find(img => String(img.id) === String(pair.imageId1));
-            const image2 = imageResults.find(img => String(img.id) === String(pair.imageId2));
+          {duplicateClusters.length > 1 && (
+            <div className="cluster-batch-actions">
+              <button className="action-btn keep-first" onClick={keepBestInAllClusters}>
+                <Star size={16} />
+                Keep highest {targetLabel} confidence in each cluster
+              </button>
+              <button className="action-btn save-both" onClick={keepAllInAllClusters}>
+                <Check size={16} />
+                Keep all in every cluster
+              </button>
+            </div>
+          )}
+          <p className="shortcut-hint">
+            Shortcuts: j/k next/previous group · 1-9 pick (pairs) or toggle (groups) · Enter keep selected · a keep all · b keep best
+          </p>
 
-            if (!image1 || !image2) {
-              console.log('Could not find images for pair:', pair, 'Available images:', imageResults.map(img => ({ id: img.id, name: img.file.name })));
-              return null;
+          {duplicateClusters.map((cluster, index) => {
+            const active = index === Math.min(activeClusterIndex, duplicateClusters.length - 1);
+            const error = cluster.pairs.map(pair => pairErrors[pair.pairId]).find(Boolean);
+
+            if (cluster.imageIds.length === 2) {
+              const [pair] = cluster.pairs;
+              return (
+                <DuplicatePairCard
+                  key={cluster.clusterId}
+                  pair={pair}
+                  image1={findImage(pair.imageId1)}
+                  image2={findImage(pair.imageId2)}
+                  error={error}
+                  active={active}
+                  onAction={(action) => handleDuplicateAction(pair.pairId, action, pair.imageId1, pair.imageId2)}
+                />
+              );
             }
 
+            const keepers = getClusterKeepers(cluster);
             return (
-              <div key={pair.pairId} className="duplicate-pair">
-                <div className="pair-info">
-                  <p className="distance-info">
-                    Distance: {pair.distance ? pair.distance.toFixed(2) : 'Unknown'}m apart
-                  </p>
-                </div>
-
-                <div className="pair-images">
-                  <div className="pair-image">
-                    <img src={image1.imageUrl} alt={image1.file.name} />
-                    <p className="image-name">{image1.file.name}</p>
-                    <p className="coordinates">
-                      <MapPin size={14} />
-                      {image1.location ? `${image1.location.latitude.toFixed(6)}, ${image1.location.longitude.toFixed(6)}` : 'No location'}
-                    </p>
-                  </div>
-
-                  <div className="pair-image">
-                    <img src={image2.imageUrl} alt={image2.file.name} />
-                    <p className="image-name">{image2.file.name}</p>
-                    <p className="coordinates">
-                      <MapPin size={14} />
-                      {image2.location ? `${image2.location.latitude.toFixed(6)}, ${image2.location.longitude.toFixed(6)}` : 'No location'}
-                    </p>
-                  </div>
-                </div>
-
-                <div className="pair-actions">
-                  <button
-                    className="action-btn save-both"
-                    onClick={() => handleDuplicateAction(pair.pairId, 'save_both', pair.imageId1, pair.imageId2)}
-                  >
-                    <Check size={16} />
-                    Save Both
-                  </button>
-                  <button
-                    className="action-btn keep-first"
-                    onClick={() => handleDuplicateAction(pair.pairId, 'keep_first_remove_second', pair.imageId1, pair.imageId2)}
-                  >
-                    <Trash2 size={16} />
-                    Keep First, Remove Second
-                  </button>
-                  <button
-                    className="action-btn keep-second"
-                    onClick={() => handleDuplicateAction(pair.pairId, 'remove_first_keep_second', pair.imageId1, pair.imageId2)}
-                  >
-                    <Trash2 size={16} />
-                    Remove First, Keep Second
-                  </button>
-                </div>
-              </div>
+              <DuplicateClusterPanel
+                key={cluster.clusterId}
+                cluster={cluster}
+                images={cluster.imageIds.map(findImage)}
+                keeperIds={keepers}
+                scoreLabel={`${targetLabel} confidence`}
+                scoreById={getTargetScore}
+                error={error}
+                active={active}
+                onToggle={(imageId) => toggleClusterKeeper(cluster, imageId)}
+                onKeepSelected={() => resolveCluster(cluster, [...keepers])}
+                onKeepAll={() => resolveCluster(cluster, cluster.imageIds)}
+                onKeepBest={() => resolveCluster(cluster, [pickBestImage(cluster.imageIds, getTargetScore)])}
+              />
             );
           })}
         </div>
       )}
 
+      {/* Decision History */}
+      <DecisionHistoryPanel
+        batches={groupDecisionBatches(duplicateDecisions)}
+        findImage={(imageId) => findImage(imageId) || removedImages.find(img => String(img.id) === String(imageId))}
+        onUndo={undoDecisionBatch}
+        onExport={exportDecisionLog}
+      />
+
       {/* Results Header */}
       {imageResults.length > 0 && (
         <div className="results-header">
           <h2 className="results-title">
             Classification Results ({imageResults.length})
             <span className="mango-count">
-              {imageResults.filter(result => {
-                const mangoTreePrediction = result.predictions.find(p =>
-                  p.className.toLowerCase() === 'mango_tree'
-                );
-                return mangoTreePrediction && mangoTreePrediction.probability > 0.5;
-              }).length} mango trees detected
+              {outcomeCounts.detected} {targetLabel} detected
             </span>
+            {plots.length > 0 && (
+              <span className="plot-counts">
+                {plotCounts.plots.map(({ plot, detected }) => (
+                  <span key={plot.id} className="plot-count">{plot.name}: {detected}</span>
+                ))}
+                {plotCounts.outside.total > 0 && (
+                  <span className="plot-count outside">Outside plots: {plotCounts.outside.total}</span>
+                )}
+              </span>
+            )}
+            <span className="outcome-counts">
+              {Object.entries(outcomeCounts).map(([outcome, count]) => (
+                <span key={outcome} className={`outcome-badge ${outcome}`}>
+                  {OUTCOME_LABELS[outcome]}: {count}
+                </span>
+              ))}
+            </span>
+            {relabeledCount > 0 && (
+              <span className="agreement-summary">
+                {relabeledCount} image{relabeledCount === 1 ? '' : 's'} labeled by reviewers
+              </span>
+            )}
+            {agreementSummary.compared > 0 && (
+              <span className="agreement-summary">
+                Model agreement: {agreementSummary.agreed}/{agreementSummary.compared} ({(agreementSummary.rate * 100).toFixed(1)}%)
+              </span>
+            )}
           </h2>
-          <button onClick={clearAllResults} className="clear-button">
-            Clear All
-          </button>
+          <div className="results-actions">
+            <button onClick={() => exportResults('csv')} className="export-button">
+              <Download size={14} />
+              CSV
+            </button>
+            <button onClick={() => exportResults('geojson')} className="export-button">
+              <Download size={14} />
+              GeoJSON
+            </button>
+            <button onClick={() => exportResults('kml')} className="export-button">
+              <Download size={14} />
+              KML
+            </button>
+            <button onClick={exportDataset} className="export-button" title="Reviewed images in one folder per class, with a manifest of original predictions">
+              <Download size={14} />
+              Dataset ZIP
+            </button>
+            <label className="export-option" title="Also export images nobody reviewed, labeled with the model's top class">
+              <input
+                type="checkbox"
+                checked={includeModelLabels}
+                onChange={(e) => setIncludeModelLabels(e.target.checked)}
+              />
+              Include unreviewed
+            </label>
+            <button onClick={exportReport} className="export-button" title="Printable HTML summary that can be saved as PDF">
+              <FileText size={14} />
+              Report
+            </button>
+            <button onClick={() => setShowMap(!showMap)} className="export-button" title="Plot geotagged results on a map">
+              <MapIcon size={14} />
+              {showMap ? 'Hide Map' : 'Map'}
+            </button>
+            <button onClick={clearAllResults} className="clear-button">
+              Clear All
+            </button>
+          </div>
         </div>
       )}
 
-      {/* Results Grid */}
-      <div className="results-grid">
-        {/* Sort results by timestamp (newest first) */}
-        {[...imageResults]
-          .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-          .map((result) => (
-            <div key={result.id} className="result-card">
-              <div className="image-container">
-                <img
-                  src={result.imageUrl}
-                  alt={result.file.name}
-                  className="result-image"
-                />
-                <button
-                  onClick={() => removeImageResult(result.id)}
-                  className="delete-button"
-                >
-                  <X size={16} />
-                </button>
-              </div>
-
-              <div className="card-content">
-                <div className="file-info">
-                  <FileImage size={16} className="file-icon" />
-                  <span className="file-name" title={result.file.name}>
-                    {result.file.name}
-                  </span>
-                </div>
-
-                {result.location ? (
-                  <div className="location-info">
-                    <MapPin size={14} className="location-icon" />
-                    <span className="coordinates">
-                      {result.location.latitude.toFixed(6)}, {result.location.longitude.toFixed(6)}
-                    </span>
-                  </div>
-                ) : (
-                  <div className="location-info">
-                    <MapPin size={14} className="location-icon no-location" />
-                    <span className="no-location-text">No GPS data available</span>
-                  </div>
-                )}
+      {/* Filters */}
+      {imageResults.length > 0 && (
+        <ResultsFilters
+          filters={filters}
+          sortOrder={sortOrder}
+          pageSize={pageSize}
+          classOptions={getTopClasses(imageResults)}
+          plots={plots}
+          evaluating={evaluationSettings.enabled}
+          shown={visibleResults.length}
+          total={imageResults.length}
+          onChange={(next) => {
+            setFilters(next);
+            setPage(0);
+          }}
+          onSortChange={setSortOrder}
+          onPageSizeChange={(size) => {
+            setPageSize(size);
+            setPage(0);
+          }}
+        />
+      )}
 
-                <div className="timestamp">
-                  Processed at {result.timestamp}
-                </div>
-
-                <div className="predictions">
-                  <h4 className="predictions-title">Predictions:</h4>
-                  {/* Sort predictions: mango_tree first, then not_mango_tree, then others by probability */}
-                  {result.predictions
-                    .sort((a, b) => {
-                      // Priority order: mango_tree, not_mango_tree, then others by probability
-                      const getPriority = (pred) => {
-                        if (pred.className.toLowerCase() === 'mango_tree') return 1;
-                        if (pred.className.toLowerCase() === 'not_mango_tree') return 2;
-                        return 3;
-                      };
-
-                      const priorityA = getPriority(a);
-                      const priorityB = getPriority(b);
-
-                      if (priorityA !== priorityB) {
-                        return priorityA - priorityB;
-                      }
-
-                      // If same priority, sort by probability (highest first)
-                      return b.probability - a.probability;
-                    })
-                    .slice(0, 3)
-                    .map((prediction, index) => (
-                      <div key={index} className="prediction-item">
-                        <span className="prediction-name">
-                          {prediction.className}
-                        </span>
-                        <div className="prediction-score">
-                          <div className="progress-bar">
-                            <div
-                              className="progress-fill"
-                              style={{ width: `${prediction.probability * 100}%` }}
-                            ></div>
-                          </div>
-                          <span className="probability">
-                            {(prediction.probability * 100).toFixed(1)}%
-                          </span>
-                        </div>
-                      </div>
-                    ))}
-                </div>
-              </div>
-            </div>
-          ))}
+      {/* Map of the filtered results; clicking a marker jumps to its card */}
+      {imageResults.length > 0 && (showMap || placingResultId) && (
+        <MapView
+          results={visibleResults}
+          pairs={duplicatePairs}
+          plots={plots}
+          targetClasses={classificationConfig.targetClasses}
+          tileTemplate={tileTemplate}
+          selectedId={focusedResultId}
+          placing={placingResultId ? findImage(placingResultId) : null}
+          onSelect={showResultCard}
+          onPlace={(coordinates) => setManualLocation(placingResultId, coordinates)}
+          onCancelPlacing={() => setPlacingResultId(null)}
+          onTileTemplateChange={updateTileTemplate}
+        />
+      )}
+
+      {/* Results Grid: one page of the filtered, sorted results keeps large batches responsive */}
+      <div className="results-grid">
+        {resultsPage.items.map((result) => (
+          <ResultCard
+            key={result.id}
+            result={result}
+            outcome={getOutcome(result.predictions, classificationConfig)}
+            targetClasses={classificationConfig.targetClasses}
+            labels={availableLabels}
+            plotName={getPlotName(result)}
+            groundTruth={evaluationById.get(String(result.id))}
+            explainProgress={explainProgress[result.id]}
+            focused={String(result.id) === String(focusedResultId)}
+            onExplain={canExplain(result) ? explainImage : undefined}
+            onRemove={removeImageResult}
+            onSetLocation={setManualLocation}
+            onPickLocation={(id) => setPlacingResultId(String(id))}
+            onRelabel={(id, humanLabel) => updateImageResult(id, { humanLabel, relabeledAt: humanLabel ? new Date().toISOString() : null })}
+          />
+        ))}
       </div>
 
+      <Pagination page={resultsPage.page} pageCount={resultsPage.pageCount} onChange={setPage} />
+
+      {imageResults.length > 0 && visibleResults.length === 0 && (
+        <p className="upload-text">No images match the current filters.</p>
+      )}
+
       {/* Empty State */}
       {imageResults.length === 0 && !isProcessing && (
         <div className="empty-state">
@@ -558,11 +1881,11 @@ const TeachableMachineImageClassifier = () => {
       )}
 
       {/* Loading State */}
-      {(isProcessing || isCheckingDuplicates) && (
+      {((isProcessing && !progress) || isCheckingDuplicates) && (
         <div className="loading-state">
           <div className="spinner"></div>
           <p className="loading-text">
-            {isProcessing ? 'Processing images...' : 'Checking for nearby duplicates...'}
+            {isCheckingDuplicates ? 'Checking for nearby duplicates...' : 'Processing images...'}
           </p>
         </div>
       )}
@@ -572,10 +1895,31 @@ const TeachableMachineImageClassifier = () => {
         <h4 className="instructions-title">Instructions:</h4>
         <ul className="instructions-list">
           <li>• Upload images with GPS location data for classification</li>
-          <li>• Images will be automatically sent to the backend for proximity checking</li>
-          <li>• If images are found within 1 meter of each other, you'll see duplicate resolution options</li>
-          <li>• Update TEACHABLE_MACHINE_URL and REACT_APP_BACKEND_URL in your environment</li>
+          <li>• Photos without GPS can be placed from a GPX track by capture time (set the camera time zone and clock offset if the times don't line up), or by entering coordinates or picking a spot on the map; these locations are marked as inferred and still checked for duplicates</li>
+          <li>• Images will be automatically checked for proximity by the backend, or by the built-in engine if it is unavailable</li>
+          <li>• New uploads are also compared against images from earlier batches</li>
+          <li>• Visually similar photos are flagged too, even without GPS; each pair shows a visual similarity and combined duplicate confidence</li>
+          <li>• If images are found within {proximityRadius} meter{proximityRadius === 1 ? '' : 's'} of each other, you'll see duplicate resolution options</li>
+          <li>• Every duplicate decision is listed in Decision History; Undo brings removed photos back and Export Log downloads the audit trail</li>
+          <li>• Photos that overlap across several pairs are grouped; pick the keepers once per group, or apply a batch rule to every group</li>
+          <li>• Paste a Teachable Machine model URL or load exported model files, or set REACT_APP_TEACHABLE_MACHINE_URL and REACT_APP_BACKEND_URL (or REACT_APP_BACKEND_MODE=mock) in your environment</li>
+          <li>• Choose Compare Both to run every image through both models and see where they disagree</li>
+          <li>• Images are straightened using their EXIF orientation and resized before classification; each card shows the model input and payload size</li>
+          <li>• Field Capture takes photos with the device camera and tags each one with the phone's current GPS position and accuracy</li>
+          <li>• Drop folders or ZIP archives to load every image inside; skipped files and byte-identical copies of loaded photos are listed after the batch</li>
+          <li>• Large batches are processed a few files at a time; Cancel keeps the images that already finished</li>
+          <li>• Choose the built-in mock backend to run MobileNet classification, proximity checks and decisions without a server; its traffic and the endpoint contract are shown in the inspector</li>
+          <li>• Duplicate decisions made while offline are saved locally and sent once the backend is reachable again</li>
+          <li>• Confirm or correct predictions with the Label selector, then export a Dataset ZIP of the reviewed images to retrain your Teachable Machine model</li>
+          <li>• Explain runs the Teachable Machine model on copies of the image with one patch greyed out at a time; the heatmap shows which areas drove the target class, so you can spot a model looking at sky or ground instead of the canopy</li>
+          <li>• Import plot boundaries as GeoJSON polygons to count detected trees per plot, flag photos taken outside every plot and optionally keep duplicate checks within a plot</li>
+          <li>• Use the search box, filters and sort order above the results to narrow large batches; results are shown one page at a time</li>
+          <li>• Robust predictions average each image over mirrored, cropped and zoomed copies and show how much the views disagree; the weighted ensemble combines Teachable Machine and MobileNetV2 with the weights you set</li>
+          <li>• Evaluation mode measures the model on images with known labels, taken from the folder each image was uploaded from or from a CSV of file names and labels; click a confusion matrix cell or Show misclassified to review the images behind a number</li>
+          <li>• Report downloads a printable summary page with totals per class, a confidence histogram, GPS coverage, duplicate resolutions, per-model statistics and the least confident images; open it and use Print to save it as PDF</li>
+          <li>• Map plots the filtered, geotagged results coloured by class, with duplicate pairs as dashed lines; click a marker to jump to its card. It needs no internet connection, and can draw locally hosted tiles from a URL template such as /tiles/{'{z}/{x}/{y}'}.png</li>
           <li>• Each image can be removed individually using the X button</li>
+          <li>• Your session is saved in this browser and restored after a reload; use New Session to start a fresh batch</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,82 @@
+import React from 'react';
+import { Wifi, WifiOff, RefreshCw, CheckCircle, AlertCircle, Loader, Server } from 'lucide-react';
+import { ENDPOINTS } from '../utils/backendContract';
+
+const STATUS_LABELS = {
+  pending: 'In progress',
+  retrying: 'Retrying',
+  success: 'OK',
+  error: 'Failed'
+};
+
+const StatusIcon = ({ status }) => {
+  if (status === 'success') return <CheckCircle size={14} />;
+  if (status === 'error') return <AlertCircle size={14} />;
+  return <Loader size={14} className="status-spinning" />;
+};
+
+// Connection state, queued decisions and the latest outcome of each backend endpoint
+const BackendStatus = ({ requests, isOnline, outboxCount, mode, onSync, onClearErrors }) => {
+  const latestByEndpoint = ENDPOINTS
+    .map(endpoint => [...requests].reverse().find(request => request.endpoint === endpoint))
+    .filter(Boolean);
+  const errors = requests.filter(request => request.status === 'error');
+
+  if (latestByEndpoint.length === 0 && outboxCount === 0 && isOnline && mode !== 'mock') {
+    return null;
+  }
+
+  return (
+    <div className="backend-status">
+      <div className="backend-status-row">
+        <span className={`status-chip ${isOnline ? 'success' : 'error'}`}>
+          {isOnline ? <Wifi size={14} /> : <WifiOff size={14} />}
+          {isOnline ? 'Online' : 'Offline'}
+        </span>
+
+        {mode === 'mock' && (
+          <span className="status-chip retrying">
+            <Server size={14} />
+            Mock backend
+          </span>
+        )}
+
+        {latestByEndpoint.map(request => (
+          <span
+            key={request.endpoint}
+            className={`status-chip ${request.status}`}
+            title={request.error || ''}
+          >
+            <StatusIcon status={request.status} />
+            {request.endpoint}: {STATUS_LABELS[request.status]}
+            {request.status === 'retrying' && ` (attempt ${request.attempt})`}
+          </span>
+        ))}
+
+        {outboxCount > 0 && (
+          <span className="status-chip retrying">
+            {outboxCount} decision{outboxCount === 1 ? '' : 's'} waiting to sync
+            <button onClick={onSync} className="status-action" title="Sync now">
+              <RefreshCw size={14} />
+            </button>
+          </span>
+        )}
+      </div>
+
+      {errors.length > 0 && (
+        <div className="backend-errors">
+          <ul className="instructions-list">
+            {errors.slice(-5).map(request => (
+              <li key={request.id}>
+                • {new Date(request.at).toLocaleTimeString()} {request.error}
+              </li>
+            ))}
+          </ul>
+          <button onClick={onClearErrors} className="status-action">Clear</button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackendStatus;
@@ -0,0 +1,191 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { Camera, MapPin, X, Eye, EyeOff, AlertCircle } from 'lucide-react';
+import { captureVideoFrame, isPositionStale, positionToLocation } from '../utils/fieldCapture';
+import PredictionList from './PredictionList';
+
+const LIVE_INTERVAL_MS = 500;
+
+// Field capture: live camera preview, current GPS fix and a shutter button.
+// Each shot is passed to `onCapture(file, metadata)` with the device location attached.
+// Live classification runs the Teachable Machine model on the video stream when enabled.
+const CameraCapture = ({ isProcessing, canClassifyLive, loadModel, targetClasses, onCapture, onClose }) => {
+  const videoRef = useRef(null);
+  const [cameraError, setCameraError] = useState(null);
+  const [isCameraReady, setIsCameraReady] = useState(false);
+  const [position, setPosition] = useState(null);
+  const [geoError, setGeoError] = useState(null);
+  const [isCapturing, setIsCapturing] = useState(false);
+  const [shotCount, setShotCount] = useState(0);
+  const [liveModel, setLiveModel] = useState(null);
+  const [livePredictions, setLivePredictions] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  // Open the rear camera when available; stop every track when the panel closes
+  useEffect(() => {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+      setCameraError('This browser does not support camera access.');
+      return;
+    }
+
+    let stream = null;
+    let cancelled = false;
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: { ideal: 'environment' } }, audio: false })
+      .then(mediaStream => {
+        if (cancelled) {
+          mediaStream.getTracks().forEach(track => track.stop());
+          return;
+        }
+        stream = mediaStream;
+        videoRef.current.srcObject = mediaStream;
+      })
+      .catch(error => {
+        console.error('Error opening camera:', error);
+        setCameraError(error.name === 'NotAllowedError'
+          ? 'Camera permission was denied.'
+          : `Could not open the camera (${error.message}).`);
+      });
+
+    return () => {
+      cancelled = true;
+      if (stream) stream.getTracks().forEach(track => track.stop());
+    };
+  }, []);
+
+  // Follow the device position while capturing
+  useEffect(() => {
+    if (!navigator.geolocation) {
+      setGeoError('Geolocation is not available; photos will have no location.');
+      return;
+    }
+
+    const watchId = navigator.geolocation.watchPosition(
+      nextPosition => {
+        setPosition(nextPosition);
+        setGeoError(null);
+      },
+      error => setGeoError(`No GPS fix: ${error.message}`),
+      { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 }
+    );
+    const clock = setInterval(() => setNow(Date.now()), 1000);
+
+    return () => {
+      navigator.geolocation.clearWatch(watchId);
+      clearInterval(clock);
+    };
+  }, []);
+
+  // Classify the stream a couple of times per second, skipping ticks while a prediction is running
+  useEffect(() => {
+    if (!liveModel) return;
+
+    let busy = false;
+    const interval = setInterval(async () => {
+      const video = videoRef.current;
+      if (busy || !video || video.readyState < 2) return;
+      busy = true;
+      try {
+        setLivePredictions(await liveModel.predict(video));
+      } catch (error) {
+        console.error('Error classifying video frame:', error);
+      } finally {
+        busy = false;
+      }
+    }, LIVE_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [liveModel]);
+
+  const toggleLiveClassification = async () => {
+    if (liveModel) {
+      setLiveModel(null);
+      setLivePredictions(null);
+      return;
+    }
+    const loadedModel = await loadModel();
+    if (loadedModel) setLiveModel(loadedModel);
+  };
+
+  const takePhoto = async () => {
+    setIsCapturing(true);
+    try {
+      const file = await captureVideoFrame(videoRef.current);
+      const location = position ? positionToLocation(position) : null;
+      setShotCount(count => count + 1);
+      await onCapture(file, {
+        location,
+        captureTime: new Date(file.lastModified).toISOString(),
+        camera: { make: null, model: 'Field capture' }
+      });
+    } catch (error) {
+      console.error('Error capturing photo:', error);
+      setCameraError(error.message);
+    } finally {
+      setIsCapturing(false);
+    }
+  };
+
+  const stale = isPositionStale(position, now);
+
+  return (
+    <div className="camera-capture">
+      <div className="camera-header">
+        <h3 className="camera-title">
+          <Camera size={16} />
+          Field Capture
+          {shotCount > 0 && <span className="checking-text"> - {shotCount} photo{shotCount === 1 ? '' : 's'} taken</span>}
+        </h3>
+        <button onClick={onClose} className="cancel-button">
+          <X size={14} />
+          Close
+        </button>
+      </div>
+
+      {cameraError ? (
+        <p className="pair-error">
+          <AlertCircle size={14} />
+          {cameraError}
+        </p>
+      ) : (
+        <video
+          ref={videoRef}
+          className="camera-video"
+          autoPlay
+          playsInline
+          muted
+          onLoadedData={() => setIsCameraReady(true)}
+        />
+      )}
+
+      <p className={`camera-location${stale ? ' stale' : ''}`}>
+        <MapPin size={14} />
+        {position
+          ? `${position.coords.latitude.toFixed(6)}, ${position.coords.longitude.toFixed(6)} ±${position.coords.accuracy.toFixed(1)} m`
+          : geoError || 'Waiting for GPS fix...'}
+        {position && stale && ` (fix is ${Math.round((now - position.timestamp) / 1000)}s old)`}
+      </p>
+
+      {livePredictions && (
+        <PredictionList title="Live:" predictions={livePredictions} priorityClasses={targetClasses} />
+      )}
+
+      <div className="camera-actions">
+        <button
+          onClick={takePhoto}
+          disabled={!isCameraReady || isCapturing || isProcessing}
+          className="upload-button"
+        >
+          <Camera size={20} />
+          {isProcessing ? 'Classifying...' : 'Take Photo'}
+        </button>
+        {canClassifyLive && (
+          <button onClick={toggleLiveClassification} disabled={!isCameraReady} className="session-button">
+            {liveModel ? <EyeOff size={14} /> : <Eye size={14} />}
+            {liveModel ? 'Stop Live Classification' : 'Live Classification'}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CameraCapture;
@@ -0,0 +1,88 @@
+import React from 'react';
+import { getThresholds } from '../utils/classification';
+
+// Pick target classes from the model's labels and set each one's decision thresholds
+const ClassificationSettings = ({ config, labels, onChange, disabled }) => {
+  const toggleTarget = (label) => {
+    const isTarget = config.targetClasses.includes(label);
+    onChange({
+      ...config,
+      targetClasses: isTarget
+        ? config.targetClasses.filter(name => name !== label)
+        : [...config.targetClasses, label]
+    });
+  };
+
+  // Keep reject <= detect so the uncertain band never inverts
+  const updateThreshold = (label, key, value) => {
+    const current = getThresholds(config, label);
+    const next = { ...current, [key]: Math.min(1, Math.max(0, value)) };
+    if (key === 'detect' && next.reject > next.detect) next.reject = next.detect;
+    if (key === 'reject' && next.detect < next.reject) next.detect = next.reject;
+    onChange({ ...config, thresholds: { ...config.thresholds, [label]: next } });
+  };
+
+  return (
+    <div className="model-selection">
+      <h3>Target Classes & Thresholds:</h3>
+      {labels.length === 0 ? (
+        <p className="upload-text">Load a model or classify some images to choose target classes.</p>
+      ) : (
+        <div className="model-options">
+          {labels.map(label => (
+            <label key={label} className="model-option">
+              <input
+                type="checkbox"
+                checked={config.targetClasses.includes(label)}
+                onChange={() => toggleTarget(label)}
+                disabled={disabled}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      )}
+
+      {config.targetClasses.map(label => {
+        const { detect, reject } = getThresholds(config, label);
+        return (
+          <div key={label} className="settings-row">
+            <label className="setting-field">
+              <strong>{label}</strong> detected above:
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={detect}
+                onChange={(e) => updateThreshold(label, 'detect', Number(e.target.value))}
+                disabled={disabled}
+                className="setting-input"
+              />
+            </label>
+            <label className="setting-field">
+              not detected at or below:
+              <input
+                type="number"
+                min="0"
+                max="1"
+                step="0.05"
+                value={reject}
+                onChange={(e) => updateThreshold(label, 'reject', Number(e.target.value))}
+                disabled={disabled}
+                className="setting-input"
+              />
+            </label>
+            {detect > reject && (
+              <span className="setting-field upload-text">
+                Uncertain between {(reject * 100).toFixed(0)}% and {(detect * 100).toFixed(0)}%
+              </span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default ClassificationSettings;
@@ -0,0 +1,74 @@
+import React, { useState } from 'react';
+import { History, RotateCcw, Download, ChevronDown, ChevronUp } from 'lucide-react';
+import { DECISION_LABELS } from '../utils/decisionHistory';
+
+const SYNC_LABELS = {
+  synced: 'saved',
+  queued: 'waiting to sync',
+  rejected: 'rejected by backend'
+};
+
+const HistoryImage = ({ image, name }) => (
+  <span className="history-image">
+    {image ? <img src={image.imageUrl} alt={name} /> : <span className="history-image-missing" />}
+    <span className="history-image-name">{name || 'Unknown image'}</span>
+  </span>
+);
+
+// Log of duplicate decision batches, newest first, with undo and audit export
+const DecisionHistoryPanel = ({ batches, findImage, onUndo, onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  if (batches.length === 0) return null;
+
+  return (
+    <div className="history-panel">
+      <div className="history-header">
+        <button className="history-toggle" onClick={() => setIsOpen(!isOpen)}>
+          <History size={16} />
+          Decision History ({batches.length})
+          {isOpen ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+        </button>
+        <button className="session-button" onClick={onExport}>
+          <Download size={14} />
+          Export Log
+        </button>
+      </div>
+
+      {isOpen && (
+        <ul className="history-list">
+          {batches.map(batch => (
+            <li key={batch.batchId} className={`history-batch${batch.undoneAt ? ' undone' : ''}`}>
+              <div className="history-batch-header">
+                <span>{new Date(batch.decidedAt).toLocaleString()}</span>
+                {batch.undoneAt ? (
+                  <span className="history-undone">Undone {new Date(batch.undoneAt).toLocaleString()}</span>
+                ) : (
+                  <button className="session-button" onClick={() => onUndo(batch.batchId)}>
+                    <RotateCcw size={14} />
+                    Undo
+                  </button>
+                )}
+              </div>
+
+              {batch.decisions.map(decision => (
+                <div key={decision.id || decision.pairId} className="history-decision">
+                  <HistoryImage image={findImage(decision.imageId1)} name={decision.imageName1} />
+                  <HistoryImage image={findImage(decision.imageId2)} name={decision.imageName2} />
+                  <span className="history-details">
+                    {DECISION_LABELS[decision.action] || decision.action}
+                    {typeof decision.distance === 'number' && ` · ${decision.distance.toFixed(2)}m apart`}
+                    {decision.syncStatus && ` · ${SYNC_LABELS[decision.syncStatus]}`}
+                    {decision.undoSyncStatus && ` · undo ${SYNC_LABELS[decision.undoSyncStatus]}`}
+                  </span>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DecisionHistoryPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { MapPin, Check, Star, AlertCircle } from 'lucide-react';
+import { formatCoordinates } from './DuplicatePairCard';
+
+// Three or more photos linked by overlapping duplicate pairs; pick which ones to keep
+const DuplicateClusterPanel = ({ cluster, images, keeperIds, scoreLabel, scoreById, error, active, onToggle, onKeepSelected, onKeepAll, onKeepBest }) => {
+  const distances = cluster.pairs.map(pair => pair.distance).filter(distance => typeof distance === 'number');
+
+  return (
+    <div className={`duplicate-pair duplicate-cluster${active ? ' active' : ''}`}>
+      <div className="pair-info">
+        <p className="distance-info">
+          {images.length} photos, {cluster.pairs.length} overlapping pairs
+          {distances.length > 0 && ` · up to ${Math.max(...distances).toFixed(2)}m apart`}
+        </p>
+        <p className="similarity-info">Select the photo(s) to keep; the rest will be removed.</p>
+      </div>
+
+      <div className="cluster-images">
+        {images.map((image, index) => {
+          const isKeeper = keeperIds.has(String(image.id));
+          return (
+            <button
+              key={image.id}
+              className={`cluster-image${isKeeper ? ' keeper' : ''}`}
+              onClick={() => onToggle(String(image.id))}
+              title={isKeeper ? 'Keep (click to remove)' : 'Remove (click to keep)'}
+            >
+              <span className="cluster-index">{index + 1}</span>
+              <img src={image.imageUrl} alt={image.file.name} />
+              <p className="image-name">{image.file.name}</p>
+              <p className="coordinates">
+                <MapPin size={12} />
+                {formatCoordinates(image)}
+              </p>
+              <p className="coordinates">
+                {scoreLabel}: {(scoreById(String(image.id)) * 100).toFixed(1)}%
+              </p>
+              <span className="keeper-label">{isKeeper ? 'Keep' : 'Remove'}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {error && (
+        <p className="pair-error">
+          <AlertCircle size={14} />
+          Decision not saved: {error}
+        </p>
+      )}
+
+      <div className="pair-actions">
+        <button className="action-btn keep-first" onClick={onKeepSelected} disabled={keeperIds.size === 0}>
+          <Check size={16} />
+          Keep Selected ({keeperIds.size})
+        </button>
+        <button className="action-btn save-both" onClick={onKeepAll}>
+          <Check size={16} />
+          Keep All
+        </button>
+        <button className="action-btn keep-second" onClick={onKeepBest}>
+          <Star size={16} />
+          Keep Highest {scoreLabel}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateClusterPanel;
@@ -0,0 +1,95 @@
+import React from 'react';
+import { MapPin, Check, Trash2, AlertCircle } from 'lucide-react';
+
+// Distance, visual similarity, confidence and accuracy warnings for one pair
+export const PairInfo = ({ pair }) => (
+  <div className="pair-info">
+    <p className="distance-info">
+      {typeof pair.distance === 'number'
+        ? `Distance: ${pair.distance.toFixed(2)}m apart`
+        : 'Matched visually (no GPS distance)'}
+    </p>
+    {(typeof pair.visualSimilarity === 'number' || typeof pair.confidence === 'number') && (
+      <p className="similarity-info">
+        {typeof pair.visualSimilarity === 'number' && `Visual similarity: ${(pair.visualSimilarity * 100).toFixed(0)}%`}
+        {typeof pair.visualSimilarity === 'number' && typeof pair.confidence === 'number' && ' · '}
+        {typeof pair.confidence === 'number' && `Duplicate confidence: ${(pair.confidence * 100).toFixed(0)}%`}
+      </p>
+    )}
+    {typeof pair.visualSimilarity === 'number' && pair.visualSimilarity < 0.6 && typeof pair.distance === 'number' && (
+      <p className="accuracy-warning">
+        <AlertCircle size={14} />
+        Looks different — possibly two neighbouring trees
+      </p>
+    )}
+    {pair.lowAccuracy && (
+      <p className="accuracy-warning">
+        <AlertCircle size={14} />
+        Low GPS accuracy (±{pair.accuracy.toFixed(1)} m) — this may not be a real duplicate
+      </p>
+    )}
+  </div>
+);
+
+export const formatCoordinates = (image) =>
+  image.location ? `${image.location.latitude.toFixed(6)}, ${image.location.longitude.toFixed(6)}` : 'No location';
+
+// Two nearby images with the three fixed resolution actions
+const DuplicatePairCard = ({ pair, image1, image2, error, active, onAction }) => (
+  <div className={`duplicate-pair${active ? ' active' : ''}`}>
+    <PairInfo pair={pair} />
+
+    <div className="pair-images">
+      <div className="pair-image">
+        <img src={image1.imageUrl} alt={image1.file.name} />
+        <p className="image-name">{image1.file.name}</p>
+        <p className="coordinates">
+          <MapPin size={14} />
+          {formatCoordinates(image1)}
+        </p>
+      </div>
+
+      <div className="pair-image">
+        <img src={image2.imageUrl} alt={image2.file.name} />
+        <p className="image-name">{image2.file.name}</p>
+        <p className="coordinates">
+          <MapPin size={14} />
+          {formatCoordinates(image2)}
+        </p>
+      </div>
+    </div>
+
+    {error && (
+      <p className="pair-error">
+        <AlertCircle size={14} />
+        Decision not saved: {error}
+      </p>
+    )}
+
+    <div className="pair-actions">
+      <button
+        className="action-btn save-both"
+        onClick={() => onAction('save_both')}
+      >
+        <Check size={16} />
+        Save Both
+      </button>
+      <button
+        className="action-btn keep-first"
+        onClick={() => onAction('keep_first_remove_second')}
+      >
+        <Trash2 size={16} />
+        Keep First, Remove Second
+      </button>
+      <button
+        className="action-btn keep-second"
+        onClick={() => onAction('remove_first_keep_second')}
+      >
+        <Trash2 size={16} />
+        Remove First, Keep Second
+      </button>
+    </div>
+  </div>
+);
+
+export default DuplicatePairCard;
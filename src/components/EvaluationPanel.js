@@ -0,0 +1,255 @@
+import React, { useRef, useState } from 'react';
+import { ClipboardCheck, Upload, XCircle } from 'lucide-react';
+import {
+  EVALUATION_MODELS,
+  LABEL_SOURCES,
+  evaluate,
+  precisionRecallAt,
+  precisionRecallCurve
+} from '../utils/evaluation';
+import { getCellKey } from '../utils/resultFilters';
+
+const CURVE_WIDTH = 260;
+const CURVE_HEIGHT = 200;
+const CURVE_PADDING = 28;
+
+const formatRate = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const toCurvePoint = ({ precision, recall }) => ({
+  x: CURVE_PADDING + recall * (CURVE_WIDTH - 2 * CURVE_PADDING),
+  y: CURVE_HEIGHT - CURVE_PADDING - precision * (CURVE_HEIGHT - 2 * CURVE_PADDING)
+});
+
+// Precision (up) against recall (right) over the positive class threshold, with the
+// configured detect threshold highlighted
+const PrecisionRecallCurve = ({ curve, current }) => {
+  const points = curve.filter(point => point.precision !== null && point.recall !== null);
+  const bottom = CURVE_HEIGHT - CURVE_PADDING;
+  const right = CURVE_WIDTH - CURVE_PADDING;
+  const marker = current.precision !== null && current.recall !== null ? toCurvePoint(current) : null;
+
+  return (
+    <svg className="pr-curve" viewBox={`0 0 ${CURVE_WIDTH} ${CURVE_HEIGHT}`}>
+      <line x1={CURVE_PADDING} y1={bottom} x2={right} y2={bottom} className="pr-axis" />
+      <line x1={CURVE_PADDING} y1={CURVE_PADDING} x2={CURVE_PADDING} y2={bottom} className="pr-axis" />
+      <text x={CURVE_WIDTH / 2} y={CURVE_HEIGHT - 6} textAnchor="middle">Recall</text>
+      <text x={10} y={CURVE_HEIGHT / 2} textAnchor="middle" transform={`rotate(-90 10 ${CURVE_HEIGHT / 2})`}>Precision</text>
+      <text x={CURVE_PADDING} y={bottom + 12} textAnchor="middle">0</text>
+      <text x={right} y={bottom + 12} textAnchor="middle">1</text>
+      <text x={CURVE_PADDING - 8} y={CURVE_PADDING + 4} textAnchor="middle">1</text>
+
+      <polyline points={points.map(point => {
+        const { x, y } = toCurvePoint(point);
+        return `${x},${y}`;
+      }).join(' ')} className="pr-line" />
+      {points.map(point => {
+        const { x, y } = toCurvePoint(point);
+        return (
+          <circle key={point.threshold} cx={x} cy={y} r={2.5} className="pr-point">
+            <title>Threshold {point.threshold.toFixed(2)}: precision {formatRate(point.precision)}, recall {formatRate(point.recall)}</title>
+          </circle>
+        );
+      })}
+      {marker && <circle cx={marker.x} cy={marker.y} r={5} className="pr-current" />}
+    </svg>
+  );
+};
+
+// Ground-truth evaluation of the loaded results: labels from folder names or a CSV, then
+// accuracy, per-class precision/recall, a confusion matrix and a precision/recall curve.
+// Clicking a matrix cell or "Show misclassified" filters the results grid to those images.
+const EvaluationPanel = ({
+  settings,
+  items,
+  unlabeledCount,
+  hasComparison,
+  targetClasses,
+  getThreshold,
+  onSettingsChange,
+  onImportCSV,
+  onShowImages,
+  disabled
+}) => {
+  const inputRef = useRef(null);
+  const [positiveChoice, setPositiveChoice] = useState(null);
+  const update = (changes) => onSettingsChange({ ...settings, ...changes });
+
+  const handleFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) onImportCSV(file);
+  };
+
+  const report = evaluate(items);
+  const positiveOptions = [...new Set([...targetClasses, ...report.classes])];
+  const positiveClass = positiveOptions.includes(positiveChoice) ? positiveChoice : positiveOptions[0];
+  const threshold = positiveClass ? getThreshold(positiveClass) : 0.5;
+  const current = positiveClass ? precisionRecallAt(items, positiveClass, threshold) : null;
+  const misclassified = report.total - report.correct;
+
+  return (
+    <div className="model-selection evaluation-panel">
+      <h3 className="plot-title">
+        <ClipboardCheck size={16} />
+        Evaluation Mode:
+      </h3>
+      <label className="setting-field">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update({ enabled: e.target.checked })}
+          disabled={disabled}
+        />
+        Measure the model against ground-truth labels
+      </label>
+
+      {settings.enabled && (
+        <>
+          <div className="model-options">
+            {Object.entries(LABEL_SOURCES).map(([source, label]) => (
+              <label key={source} className="model-option">
+                <input
+                  type="radio"
+                  value={source}
+                  checked={settings.source === source}
+                  onChange={() => update({ source })}
+                  disabled={disabled}
+                />
+                Labels from {label.toLowerCase()}
+              </label>
+            ))}
+            {hasComparison && (
+              <select
+                value={settings.model}
+                onChange={(e) => update({ model: e.target.value })}
+                className="session-select"
+                disabled={disabled}
+              >
+                {Object.entries(EVALUATION_MODELS).map(([model, label]) => (
+                  <option key={model} value={model}>Evaluate: {label}</option>
+                ))}
+              </select>
+            )}
+          </div>
+
+          {settings.source === 'csv' && (
+            <div className="session-controls">
+              <input
+                ref={inputRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleFile}
+                className="file-input"
+              />
+              <button onClick={() => inputRef.current?.click()} disabled={disabled} className="session-button">
+                <Upload size={14} />
+                Import Labels CSV
+              </button>
+              <span className="upload-text">
+                {settings.csvName
+                  ? `${settings.csvName}: ${Object.keys(settings.csvLabels).length} labels`
+                  : 'Columns: filename (or path) and label'}
+              </span>
+            </div>
+          )}
+
+          {items.length === 0 ? (
+            <p className="upload-text">
+              {settings.source === 'folder'
+                ? 'No labeled images yet. Upload a folder with one subfolder per class, e.g. eval/mango_tree/IMG_001.jpg.'
+                : 'No uploaded image matches a file name in the labels CSV.'}
+            </p>
+          ) : (
+            <>
+              <p className="evaluation-summary">
+                Accuracy: <strong>{formatRate(report.accuracy)}</strong> ({report.correct}/{report.total})
+                {unlabeledCount > 0 && ` · ${unlabeledCount} image${unlabeledCount === 1 ? '' : 's'} without a label`}
+                {misclassified > 0 && (
+                  <button onClick={() => onShowImages({ evaluation: 'misclassified' })} className="session-button">
+                    <XCircle size={14} />
+                    Show misclassified ({misclassified})
+                  </button>
+                )}
+              </p>
+
+              <div className="evaluation-tables">
+                <table className="evaluation-table">
+                  <thead>
+                    <tr>
+                      <th>Class</th>
+                      <th>Precision</th>
+                      <th>Recall</th>
+                      <th>Images</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.perClass.map(row => (
+                      <tr key={row.className}>
+                        <td>{row.className}</td>
+                        <td>{formatRate(row.precision)}</td>
+                        <td>{formatRate(row.recall)}</td>
+                        <td>{row.support}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <table className="evaluation-table confusion-matrix">
+                  <thead>
+                    <tr>
+                      <th>Truth ↓ / Predicted →</th>
+                      {report.classes.map(className => <th key={className}>{className}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.classes.map((truth, row) => (
+                      <tr key={truth}>
+                        <th>{truth}</th>
+                        {report.classes.map((predicted, column) => {
+                          const count = report.matrix[row][column];
+                          return (
+                            <td key={predicted} className={row === column ? 'diagonal' : count > 0 ? 'confused' : ''}>
+                              {count > 0 ? (
+                                <button onClick={() => onShowImages({ evaluationCell: getCellKey(truth, predicted) })} title="Show these images">
+                                  {count}
+                                </button>
+                              ) : 0}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {positiveClass && (
+                <div className="pr-section">
+                  <select
+                    value={positiveClass}
+                    onChange={(e) => setPositiveChoice(e.target.value)}
+                    className="session-select"
+                  >
+                    {positiveOptions.map(className => (
+                      <option key={className} value={className}>Precision/recall for {className}</option>
+                    ))}
+                  </select>
+                  <PrecisionRecallCurve
+                    curve={precisionRecallCurve(items, positiveClass)}
+                    current={current}
+                  />
+                  <p className="upload-text">
+                    At the current detect threshold ({threshold.toFixed(2)}): precision {formatRate(current.precision)},
+                    recall {formatRate(current.recall)}. Hover a point to see other thresholds.
+                  </p>
+                </div>
+              )}
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EvaluationPanel;
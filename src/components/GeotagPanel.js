@@ -0,0 +1,107 @@
+import React, { useRef } from 'react';
+import { Route, Upload, Trash2 } from 'lucide-react';
+
+const formatTrackTime = (time) => new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+
+// Load a GPX track from a phone logger and place photos without GPS along it by capture time
+const GeotagPanel = ({ track, settings, counts, onImport, onSettingsChange, onApply, onClearTrack, disabled }) => {
+  const inputRef = useRef(null);
+  const update = (key, value) => onSettingsChange({ ...settings, [key]: value });
+
+  const handleFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="model-selection">
+      <h3 className="plot-title">
+        <Route size={16} />
+        Geotag Photos Without GPS:
+      </h3>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".gpx,application/gpx+xml,application/xml"
+        onChange={handleFile}
+        className="file-input"
+      />
+      <div className="session-controls">
+        <button onClick={() => inputRef.current?.click()} disabled={disabled} className="session-button">
+          <Upload size={14} />
+          Import GPX Track
+        </button>
+        {track && (
+          <button onClick={onClearTrack} disabled={disabled} className="session-button">
+            <Trash2 size={14} />
+            Remove Track
+          </button>
+        )}
+      </div>
+
+      {track ? (
+        <>
+          <p className="upload-text">
+            {track.name || track.fileName}: {track.points.length} points,
+            {' '}{formatTrackTime(track.points[0].time)} – {formatTrackTime(track.points[track.points.length - 1].time)} UTC
+          </p>
+          <div className="settings-row">
+            <label className="setting-field">
+              Camera time zone (UTC±h):
+              <input
+                type="number"
+                min="-14"
+                max="14"
+                step="0.25"
+                value={settings.timezoneHours}
+                onChange={(e) => update('timezoneHours', Math.min(14, Math.max(-14, Number(e.target.value) || 0)))}
+                disabled={disabled}
+                className="setting-input"
+              />
+            </label>
+            <label className="setting-field">
+              Camera clock ahead by (s):
+              <input
+                type="number"
+                step="1"
+                value={settings.driftSeconds}
+                onChange={(e) => update('driftSeconds', Number(e.target.value) || 0)}
+                disabled={disabled}
+                className="setting-input"
+              />
+            </label>
+            <label className="setting-field">
+              Max track gap (s):
+              <input
+                type="number"
+                min="10"
+                step="10"
+                value={settings.maxGapSeconds}
+                onChange={(e) => update('maxGapSeconds', Math.max(10, Number(e.target.value) || 10))}
+                disabled={disabled}
+                className="setting-input"
+              />
+            </label>
+          </div>
+          <div className="session-controls">
+            <button onClick={onApply} disabled={disabled || counts.locatable === 0} className="session-button">
+              Geotag {counts.locatable} photo{counts.locatable === 1 ? '' : 's'} from track
+            </button>
+            <span className="upload-text">
+              {counts.withoutLocation} without a location
+              {counts.fromTrack > 0 && ` · ${counts.fromTrack} placed from the track (re-applied after changing the offset)`}
+            </span>
+          </div>
+        </>
+      ) : (
+        <p className="upload-text">
+          {counts.withoutLocation > 0 && `${counts.withoutLocation} photo${counts.withoutLocation === 1 ? ' has' : 's have'} no GPS. `}
+          Import a GPX track recorded during the survey to place them by capture time, or set a location on each card.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default GeotagPanel;
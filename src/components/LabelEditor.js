@@ -0,0 +1,46 @@
+import React from 'react';
+import { UserCheck } from 'lucide-react';
+
+const NEW_CLASS = '__new__';
+
+// Reviewer override for an image's class; empty value keeps the model's prediction
+const LabelEditor = ({ predictedClass, humanLabel, labels, onChange }) => {
+  const handleChange = (event) => {
+    const { value } = event.target;
+    if (value === NEW_CLASS) {
+      const name = window.prompt('Name of the new class:');
+      if (name && name.trim()) onChange(name.trim());
+      return;
+    }
+    onChange(value || null);
+  };
+
+  const options = humanLabel && !labels.includes(humanLabel) ? [...labels, humanLabel] : labels;
+  const isCorrected = humanLabel && humanLabel !== predictedClass;
+
+  return (
+    <div className="label-editor">
+      <label className="setting-field">
+        <UserCheck size={14} />
+        Label:
+        <select value={humanLabel || ''} onChange={handleChange} className="session-select">
+          <option value="">Accept prediction ({predictedClass})</option>
+          {options.map(label => (
+            <option key={label} value={label}>{label}</option>
+          ))}
+          <option value={NEW_CLASS}>New class…</option>
+        </select>
+      </label>
+      {isCorrected && (
+        <p className="label-correction">
+          Corrected: <strong>{humanLabel}</strong> (predicted <s>{predictedClass}</s>)
+        </p>
+      )}
+      {humanLabel && !isCorrected && (
+        <p className="label-confirmed">Confirmed by reviewer</p>
+      )}
+    </div>
+  );
+};
+
+export default LabelEditor;
@@ -0,0 +1,236 @@
+import React, { useState, useRef } from 'react';
+import { ZoomIn, ZoomOut, Maximize } from 'lucide-react';
+import { getTopPrediction } from '../utils/predictions';
+import { haversineDistance } from '../utils/proximity';
+import { INFERRED_LABELS } from '../utils/geotagging';
+import {
+  adjustView,
+  fitView,
+  fromScreen,
+  getTileUrl,
+  getVisibleTiles,
+  metersPerPixel,
+  project,
+  toScreen,
+  unproject
+} from '../utils/mapProjection';
+
+const WIDTH = 800;
+const HEIGHT = 500;
+const CLASS_COLORS = ['#16a34a', '#dc2626', '#2563eb', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#4b5563'];
+
+// Target classes get the first colours so they stay stable across batches
+const getClassOrder = (results, targetClasses) => {
+  const classes = new Set(targetClasses);
+  results.forEach(result => {
+    const top = getTopPrediction(result.predictions);
+    if (top) classes.add(top.className);
+  });
+  return [...classes];
+};
+
+// Largest 1/2/5 × 10^n meters that fits in ~120 px
+const getScaleBar = (view) => {
+  const perPixel = metersPerPixel(view);
+  const target = perPixel * 120;
+  const magnitude = 10 ** Math.floor(Math.log10(target));
+  const meters = [5, 2, 1].map(step => step * magnitude).find(length => length <= target) || magnitude;
+  return { meters, pixels: meters / perPixel };
+};
+
+const formatMeters = (meters) => (meters >= 1000 ? `${meters / 1000} km` : `${meters < 1 ? meters.toFixed(1) : Math.round(meters)} m`);
+
+const ringToPath = (ring, view) => ring
+  .map(([longitude, latitude], index) => {
+    const { x, y } = toScreen(project({ latitude, longitude }), view);
+    return `${index === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  })
+  .join(' ') + ' Z';
+
+// Geotagged results as markers coloured by top class (fainter = less confident), duplicate
+// pairs as dashed lines labelled with their distance, and plot outlines when loaded.
+// Drawn as plain SVG, optionally over locally hosted XYZ tiles, so no internet is needed.
+// While `placing` is set, clicking the map picks a location for that image instead.
+const MapView = ({ results, pairs, plots, targetClasses, tileTemplate, selectedId, placing, onSelect, onPlace, onCancelPlacing, onTileTemplateChange }) => {
+  const [viewOverride, setViewOverride] = useState(null);
+  const dragRef = useRef(null);
+  const svgRef = useRef(null);
+
+  const located = results.filter(result => result.location);
+  const projected = new Map(located.map(result => [String(result.id), project(result.location)]));
+  // Without markers, frame the plots so there is something to place photos against
+  const plotPoints = plots.flatMap(plot => plot.polygons.flatMap(polygon =>
+    polygon[0].map(([longitude, latitude]) => project({ latitude, longitude }))
+  ));
+  const fitted = fitView(projected.size > 0 ? [...projected.values()] : plotPoints, WIDTH, HEIGHT);
+  const view = viewOverride || fitted;
+
+  const classOrder = getClassOrder(located, targetClasses);
+  const colorFor = (className) => CLASS_COLORS[classOrder.indexOf(className) % CLASS_COLORS.length];
+  const locationsById = new Map(located.map(result => [String(result.id), result.location]));
+  const visiblePairs = pairs.filter(pair =>
+    projected.has(String(pair.imageId1)) && projected.has(String(pair.imageId2))
+  );
+  const scaleBar = getScaleBar(view);
+
+  const zoom = (factor) => setViewOverride(adjustView(view, factor));
+
+  // Convert client pixels to SVG units, since the SVG is scaled to the page width
+  const toSvgUnits = () => (svgRef.current ? WIDTH / svgRef.current.clientWidth : 1);
+
+  const handlePointerDown = (event) => {
+    if (event.target.closest('.map-marker') && !placing) return;
+    dragRef.current = { x: event.clientX, y: event.clientY, view, moved: false };
+    event.currentTarget.setPointerCapture(event.pointerId);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragRef.current) return;
+    const ratio = toSvgUnits();
+    const { x, y, view: startView } = dragRef.current;
+    if (Math.abs(event.clientX - x) + Math.abs(event.clientY - y) < 4 && !dragRef.current.moved) return;
+    dragRef.current.moved = true;
+    setViewOverride(adjustView(startView, 1, (event.clientX - x) * ratio, (event.clientY - y) * ratio));
+  };
+
+  // A click without dragging places the image being located
+  const handlePointerUp = (event) => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (!drag || drag.moved || !placing || !svgRef.current) return;
+
+    const rect = svgRef.current.getBoundingClientRect();
+    const screen = {
+      x: (event.clientX - rect.left) * (WIDTH / rect.width),
+      y: (event.clientY - rect.top) * (HEIGHT / rect.height)
+    };
+    onPlace(unproject(fromScreen(screen, view)));
+  };
+
+  const handlePointerCancel = () => {
+    dragRef.current = null;
+  };
+
+  if (located.length === 0 && plots.length === 0 && !placing) {
+    return <p className="upload-text">None of the shown images have GPS coordinates to plot.</p>;
+  }
+
+  return (
+    <div className="map-view">
+      <div className="map-toolbar">
+        <button onClick={() => zoom(1.5)} className="session-button" title="Zoom in"><ZoomIn size={14} /></button>
+        <button onClick={() => zoom(1 / 1.5)} className="session-button" title="Zoom out"><ZoomOut size={14} /></button>
+        <button onClick={() => setViewOverride(null)} className="session-button" title="Fit all markers">
+          <Maximize size={14} />
+          Fit
+        </button>
+        <span className="map-legend">
+          {classOrder.map(className => (
+            <span key={className} className="map-legend-item">
+              <span className="map-swatch" style={{ backgroundColor: colorFor(className) }} />
+              {className}
+            </span>
+          ))}
+          <span className="map-legend-item">Fainter = lower confidence · dashed line = duplicate pair · dotted outline = inferred location</span>
+        </span>
+        <label className="map-tiles">
+          Local tiles:
+          <input
+            type="text"
+            value={tileTemplate}
+            placeholder="/tiles/{z}/{x}/{y}.png (optional)"
+            onChange={(e) => onTileTemplateChange(e.target.value)}
+          />
+        </label>
+      </div>
+
+      {placing && (
+        <p className="map-placing">
+          Click the map where {placing.file.name} was taken.
+          <button onClick={onCancelPlacing} className="status-action">Cancel</button>
+        </p>
+      )}
+
+      <svg
+        ref={svgRef}
+        className={`map-canvas${placing ? ' placing' : ''}`}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerCancel}
+      >
+        {tileTemplate && getVisibleTiles(view).map(tile => (
+          <image
+            key={`${tile.z}/${tile.x}/${tile.y}`}
+            href={getTileUrl(tileTemplate, tile)}
+            x={tile.left}
+            y={tile.top}
+            width={tile.size}
+            height={tile.size}
+          />
+        ))}
+
+        {plots.map(plot => {
+          const [firstRing] = plot.polygons[0];
+          const label = toScreen(project({ latitude: firstRing[0][1], longitude: firstRing[0][0] }), view);
+          return (
+            <g key={plot.id} className="map-plot">
+              <path
+                d={plot.polygons.flatMap(polygon => polygon.map(ring => ringToPath(ring, view))).join(' ')}
+                fillRule="evenodd"
+              />
+              <text x={label.x + 4} y={label.y - 4}>{plot.name}</text>
+            </g>
+          );
+        })}
+
+        {visiblePairs.map(pair => {
+          const start = toScreen(projected.get(String(pair.imageId1)), view);
+          const end = toScreen(projected.get(String(pair.imageId2)), view);
+          const distance = typeof pair.distance === 'number'
+            ? pair.distance
+            : haversineDistance(locationsById.get(String(pair.imageId1)), locationsById.get(String(pair.imageId2)));
+          return (
+            <g key={pair.pairId} className="map-pair">
+              <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} />
+              <text x={(start.x + end.x) / 2 + 4} y={(start.y + end.y) / 2 - 4}>{distance.toFixed(1)} m</text>
+            </g>
+          );
+        })}
+
+        {located.map(result => {
+          const { x, y } = toScreen(projected.get(String(result.id)), view);
+          const top = getTopPrediction(result.predictions);
+          const isSelected = String(result.id) === String(selectedId);
+          return (
+            <circle
+              key={result.id}
+              className={`map-marker${isSelected ? ' selected' : ''}`}
+              cx={x}
+              cy={y}
+              r={isSelected ? 8 : 5}
+              fill={top ? colorFor(top.className) : '#9ca3af'}
+              fillOpacity={top ? 0.3 + 0.7 * top.probability : 0.5}
+              strokeDasharray={result.location.inferred ? '2 2' : undefined}
+              onClick={() => !placing && onSelect(result.id)}
+            >
+              <title>
+                {result.file.name}
+                {top && ` — ${top.className} ${(top.probability * 100).toFixed(1)}%`}
+                {result.location.inferred && ` (${INFERRED_LABELS[result.location.inferred].toLowerCase()})`}
+              </title>
+            </circle>
+          );
+        })}
+
+        <g className="map-scale" transform={`translate(16, ${HEIGHT - 16})`}>
+          <line x1={0} y1={0} x2={scaleBar.pixels} y2={0} />
+          <text x={0} y={-6}>{formatMeters(scaleBar.meters)}</text>
+        </g>
+      </svg>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,65 @@
+import React, { useState, useEffect } from 'react';
+import { CONTRACT } from '../utils/backendContract';
+import { clearMockTraffic, getMockTraffic, subscribeToMockTraffic } from '../utils/mockBackend';
+
+const formatJson = (value) => JSON.stringify(value, null, 2);
+
+// Request/response log of the in-browser mock backend, plus the endpoint contract it enforces
+const MockBackendInspector = () => {
+  const [traffic, setTraffic] = useState(getMockTraffic);
+
+  useEffect(() => subscribeToMockTraffic(setTraffic), []);
+
+  return (
+    <div className="mock-inspector">
+      <div className="mock-inspector-header">
+        <h4 className="predictions-title">Mock backend traffic ({traffic.length})</h4>
+        {traffic.length > 0 && (
+          <button onClick={clearMockTraffic} className="status-action">Clear</button>
+        )}
+      </div>
+
+      {traffic.length === 0 ? (
+        <p className="upload-text">No requests yet. Upload images to see the exchanges here.</p>
+      ) : (
+        <ul className="mock-traffic">
+          {[...traffic].reverse().map(exchange => (
+            <li key={exchange.id}>
+              <details>
+                <summary>
+                  <span className={`status-chip ${exchange.status < 400 ? 'success' : 'error'}`}>{exchange.status}</span>
+                  {' '}{exchange.endpoint} · {new Date(exchange.at).toLocaleTimeString()} · {exchange.durationMs} ms
+                </summary>
+                <div className="mock-exchange">
+                  <div>
+                    <strong>Request</strong>
+                    <pre>{formatJson(exchange.request)}</pre>
+                  </div>
+                  <div>
+                    <strong>Response</strong>
+                    <pre>{formatJson(exchange.response)}</pre>
+                  </div>
+                </div>
+              </details>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <details className="mock-contract">
+        <summary>Endpoint contract</summary>
+        {Object.entries(CONTRACT).map(([endpoint, definition]) => (
+          <div key={endpoint} className="mock-contract-endpoint">
+            <strong>POST {endpoint}</strong> — {definition.description}
+            <div className="mock-exchange">
+              <pre>{formatJson(definition.request)}</pre>
+              <pre>{formatJson(definition.response)}</pre>
+            </div>
+          </div>
+        ))}
+      </details>
+    </div>
+  );
+};
+
+export default MockBackendInspector;
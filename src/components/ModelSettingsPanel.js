@@ -0,0 +1,99 @@
+import React, { useState, useRef } from 'react';
+import { Link, FolderUp, Trash2, Cpu } from 'lucide-react';
+
+// Choose the Teachable Machine model: paste a shared URL, pick exported files,
+// or switch back to a model used before
+const ModelSettingsPanel = ({ activeModel, savedModels, isLoading, disabled, onLoadUrl, onLoadFiles, onSelect, onForget }) => {
+  const [modelUrl, setModelUrl] = useState('');
+  const filesInputRef = useRef(null);
+
+  const handleUrlSubmit = (event) => {
+    event.preventDefault();
+    if (modelUrl.trim()) {
+      onLoadUrl(modelUrl);
+    }
+  };
+
+  const handleFilesChange = (event) => {
+    if (event.target.files.length > 0) {
+      onLoadFiles(event.target.files);
+    }
+    event.target.value = '';
+  };
+
+  return (
+    <div className="model-settings">
+      <p className="active-model">
+        <Cpu size={16} />
+        Active model: <strong>{activeModel.name}</strong>
+        {isLoading && <span className="checking-text"> - Loading...</span>}
+      </p>
+      {activeModel.labels && activeModel.labels.length > 0 && (
+        <p className="model-labels">Classes: {activeModel.labels.join(', ')}</p>
+      )}
+
+      <form className="model-url-form" onSubmit={handleUrlSubmit}>
+        <Link size={16} />
+        <input
+          type="url"
+          placeholder="https://teachablemachine.withgoogle.com/models/..."
+          value={modelUrl}
+          onChange={(e) => setModelUrl(e.target.value)}
+          disabled={disabled}
+          className="model-url-input"
+        />
+        <button type="submit" disabled={disabled || !modelUrl.trim()} className="session-button">
+          Load URL
+        </button>
+      </form>
+
+      <div className="model-files">
+        <input
+          ref={filesInputRef}
+          type="file"
+          multiple
+          accept=".json,.bin"
+          onChange={handleFilesChange}
+          className="file-input"
+        />
+        <button onClick={() => filesInputRef.current?.click()} disabled={disabled} className="session-button">
+          <FolderUp size={14} />
+          Load Local Files
+        </button>
+        <span className="upload-text">Select model.json, weights.bin and metadata.json together</span>
+      </div>
+
+      {savedModels.length > 0 && (
+        <ul className="session-list">
+          {savedModels.map(saved => (
+            <li key={saved.id} className="session-list-item">
+              <span>
+                <strong>{saved.name}</strong> ({saved.source === 'files' ? 'local files' : 'URL'})
+                {saved.labels && saved.labels.length > 0 && ` · ${saved.labels.join(', ')}`}
+              </span>
+              <span className="saved-model-actions">
+                <button
+                  onClick={() => onSelect(saved)}
+                  disabled={disabled || saved.id === activeModel.id}
+                  className="session-button"
+                >
+                  {saved.id === activeModel.id ? 'In Use' : 'Use'}
+                </button>
+                <button
+                  onClick={() => onForget(saved.id)}
+                  disabled={disabled}
+                  className="session-delete"
+                  title="Forget model"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ModelSettingsPanel;
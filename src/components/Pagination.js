@@ -0,0 +1,25 @@
+import React from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+
+// Previous / next controls with the current page; hidden when everything fits on one page
+const Pagination = ({ page, pageCount, onChange }) => {
+  if (pageCount <= 1) return null;
+
+  return (
+    <div className="pagination">
+      <button onClick={() => onChange(0)} disabled={page === 0} className="session-button">First</button>
+      <button onClick={() => onChange(page - 1)} disabled={page === 0} className="session-button">
+        <ChevronLeft size={14} />
+        Previous
+      </button>
+      <span className="pagination-status">Page {page + 1} of {pageCount}</span>
+      <button onClick={() => onChange(page + 1)} disabled={page >= pageCount - 1} className="session-button">
+        Next
+        <ChevronRight size={14} />
+      </button>
+      <button onClick={() => onChange(pageCount - 1)} disabled={page >= pageCount - 1} className="session-button">Last</button>
+    </div>
+  );
+};
+
+export default Pagination;
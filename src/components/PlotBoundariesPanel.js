@@ -0,0 +1,68 @@
+import React, { useRef } from 'react';
+import { Map as MapIcon, Upload, Trash2 } from 'lucide-react';
+
+// Import plot polygons, see how many geotagged images fall in each plot, and choose whether
+// duplicate checks stay within a plot
+const PlotBoundariesPanel = ({ plots, counts, targetLabel, scoped, onImport, onClear, onScopedChange, disabled }) => {
+  const inputRef = useRef(null);
+
+  const handleFile = (event) => {
+    const [file] = event.target.files;
+    event.target.value = '';
+    if (file) onImport(file);
+  };
+
+  return (
+    <div className="model-selection">
+      <h3 className="plot-title">
+        <MapIcon size={16} />
+        Plot Boundaries:
+      </h3>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".geojson,.json,application/geo+json,application/json"
+        onChange={handleFile}
+        className="file-input"
+      />
+      <div className="session-controls">
+        <button onClick={() => inputRef.current?.click()} disabled={disabled} className="session-button">
+          <Upload size={14} />
+          Import GeoJSON
+        </button>
+        {plots.length > 0 && (
+          <button onClick={onClear} disabled={disabled} className="session-button">
+            <Trash2 size={14} />
+            Remove Plots
+          </button>
+        )}
+      </div>
+
+      {plots.length === 0 ? (
+        <p className="upload-text">Import plot polygons to count trees per plot and flag photos taken outside them.</p>
+      ) : (
+        <>
+          <ul className="instructions-list plot-list">
+            {counts.plots.map(({ plot, total, detected }) => (
+              <li key={plot.id}>• {plot.name}: {detected} {targetLabel} detected in {total} geotagged image{total === 1 ? '' : 's'}</li>
+            ))}
+            {counts.outside.total > 0 && (
+              <li className="plot-outside">• Outside all plots: {counts.outside.total} image{counts.outside.total === 1 ? '' : 's'}</li>
+            )}
+          </ul>
+          <label className="setting-field">
+            <input
+              type="checkbox"
+              checked={scoped}
+              onChange={(e) => onScopedChange(e.target.checked)}
+              disabled={disabled}
+            />
+            Only check for duplicates within the same plot
+          </label>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlotBoundariesPanel;
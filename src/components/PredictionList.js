@@ -0,0 +1,55 @@
+import React from 'react';
+
+// Priority order: target classes in configured order, then others by probability
+const sortPredictions = (predictions, priorityClasses) => {
+  const priority = priorityClasses.map(name => name.toLowerCase());
+  const getPriority = (pred) => {
+    const index = priority.indexOf(pred.className.toLowerCase());
+    return index === -1 ? priority.length : index;
+  };
+
+  return [...predictions].sort((a, b) => {
+    const priorityA = getPriority(a);
+    const priorityB = getPriority(b);
+
+    if (priorityA !== priorityB) {
+      return priorityA - priorityB;
+    }
+
+    // If same priority, sort by probability (highest first)
+    return b.probability - a.probability;
+  });
+};
+
+// Top predictions for one model as labelled progress bars
+const PredictionList = ({ title, predictions, priorityClasses = [], limit = 3 }) => (
+  <div className="predictions">
+    <h4 className="predictions-title">{title}</h4>
+    {predictions ? (
+      sortPredictions(predictions, priorityClasses)
+        .slice(0, limit)
+        .map((prediction, index) => (
+          <div key={index} className="prediction-item">
+            <span className="prediction-name">
+              {prediction.className}
+            </span>
+            <div className="prediction-score">
+              <div className="progress-bar">
+                <div
+                  className="progress-fill"
+                  style={{ width: `${prediction.probability * 100}%` }}
+                ></div>
+              </div>
+              <span className="probability">
+                {(prediction.probability * 100).toFixed(1)}%
+              </span>
+            </div>
+          </div>
+        ))
+    ) : (
+      <p className="no-location-text">Classification failed</p>
+    )}
+  </div>
+);
+
+export default PredictionList;
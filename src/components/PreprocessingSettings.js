@@ -0,0 +1,88 @@
+import React from 'react';
+
+// Options for the preprocessing stage shared by both classifiers
+const PreprocessingSettings = ({ options, onChange, disabled }) => {
+  const update = (key, value) => onChange({ ...options, [key]: value });
+
+  return (
+    <div className="model-selection">
+      <h3>Image Preprocessing:</h3>
+      <div className="model-options">
+        <label className="model-option">
+          <input
+            type="radio"
+            value="none"
+            checked={options.fit === 'none'}
+            onChange={(e) => update('fit', e.target.value)}
+            disabled={disabled}
+          />
+          Keep aspect
+        </label>
+        <label className="model-option">
+          <input
+            type="radio"
+            value="crop"
+            checked={options.fit === 'crop'}
+            onChange={(e) => update('fit', e.target.value)}
+            disabled={disabled}
+          />
+          Center-crop
+        </label>
+        <label className="model-option">
+          <input
+            type="radio"
+            value="pad"
+            checked={options.fit === 'pad'}
+            onChange={(e) => update('fit', e.target.value)}
+            disabled={disabled}
+          />
+          Pad
+        </label>
+      </div>
+
+      <div className="settings-row">
+        <label className="setting-field">
+          Max dimension (px):
+          <input
+            type="number"
+            min="64"
+            max="4096"
+            step="32"
+            value={options.maxDimension}
+            onChange={(e) => update('maxDimension', Math.min(4096, Math.max(64, Number(e.target.value) || 64)))}
+            disabled={disabled}
+            className="setting-input"
+          />
+        </label>
+        <label className="setting-field">
+          Input aspect (w/h):
+          <input
+            type="number"
+            min="0.1"
+            max="10"
+            step="0.1"
+            value={options.aspectRatio}
+            onChange={(e) => update('aspectRatio', Math.max(0.1, Number(e.target.value) || 1))}
+            disabled={disabled || options.fit === 'none'}
+            className="setting-input"
+          />
+        </label>
+        <label className="setting-field">
+          JPEG quality:
+          <input
+            type="range"
+            min="0.3"
+            max="1"
+            step="0.05"
+            value={options.jpegQuality}
+            onChange={(e) => update('jpegQuality', Number(e.target.value))}
+            disabled={disabled}
+          />
+          {Math.round(options.jpegQuality * 100)}%
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default PreprocessingSettings;
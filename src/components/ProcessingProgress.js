@@ -0,0 +1,75 @@
+import React from 'react';
+import { XCircle, AlertCircle } from 'lucide-react';
+
+// Batch progress: n of N, files in flight, failures, skipped files and a cancel button.
+// After a batch with failures or skipped files it stays up as a summary until dismissed.
+const ProcessingProgress = ({ progress, onCancel, onDismiss }) => {
+  const { total, completed, failed, skipped = [], current, cancelled, finished } = progress;
+  const done = completed + failed.length;
+  const percent = total > 0 ? (done / total) * 100 : 0;
+
+  return (
+    <div className="processing-progress">
+      <div className="progress-header">
+        <span className="loading-text">
+          {finished
+            ? `Finished: ${completed} of ${total} images processed${skipped.length > 0 ? `, ${skipped.length} skipped` : ''}${cancelled ? ' (cancelled)' : ''}`
+            : cancelled
+              ? 'Cancelling — finishing files in progress...'
+              : `Processing ${done} of ${total} images`}
+        </span>
+        {finished ? (
+          <button onClick={onDismiss} className="cancel-button">
+            <XCircle size={14} />
+            Dismiss
+          </button>
+        ) : (
+          <button onClick={onCancel} disabled={cancelled} className="cancel-button">
+            <XCircle size={14} />
+            Cancel
+          </button>
+        )}
+      </div>
+
+      <div className="progress-bar batch-progress-bar">
+        <div className="progress-fill" style={{ width: `${percent}%` }}></div>
+      </div>
+
+      {current.length > 0 && (
+        <p className="progress-current" title={current.join(', ')}>
+          Current: {current.join(', ')}
+        </p>
+      )}
+
+      {failed.length > 0 && (
+        <div className="progress-failures">
+          <p className="progress-failures-title">
+            <AlertCircle size={14} />
+            {failed.length} failed
+          </p>
+          <ul className="instructions-list">
+            {failed.map((failure, index) => (
+              <li key={index}>• {failure.name}: {failure.reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {skipped.length > 0 && (
+        <div className="progress-failures progress-skipped">
+          <p className="progress-failures-title">
+            <AlertCircle size={14} />
+            {skipped.length} skipped
+          </p>
+          <ul className="instructions-list">
+            {skipped.map((entry, index) => (
+              <li key={index}>• {entry.path}: {entry.reason}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProcessingProgress;
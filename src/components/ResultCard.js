@@ -0,0 +1,317 @@
+import React, { useState } from 'react';
+import { X, FileImage, AlertCircle, MapPin, Eye, EyeOff, Crosshair } from 'lucide-react';
+import { OUTCOME_LABELS } from '../utils/classification';
+import { formatBytes } from '../utils/imagePreprocessing';
+import { getTopPrediction } from '../utils/predictions';
+import { summarizeRegions } from '../utils/occlusion';
+import { ENSEMBLE_MODELS, getUncertaintyLevel } from '../utils/augmentation';
+import { INFERRED_LABELS, parseCoordinateInput } from '../utils/geotagging';
+import PredictionList from './PredictionList';
+import LabelEditor from './LabelEditor';
+
+const formatCaptureTime = (captureTime) => {
+  const date = new Date(captureTime);
+  return Number.isNaN(date.getTime()) ? captureTime : date.toLocaleString();
+};
+
+// Camera, dimensions and the extra GPS fields, on one line
+const ImageMetadata = ({ result }) => {
+  const { camera, dimensions, location } = result;
+  const parts = [];
+
+  if (camera && (camera.make || camera.model)) {
+    // Many cameras repeat the make inside the model name
+    const model = camera.model || '';
+    parts.push(camera.make && !model.startsWith(camera.make) ? `${camera.make} ${model}`.trim() : model);
+  }
+  if (dimensions && dimensions.width && dimensions.height) {
+    parts.push(`${dimensions.width}×${dimensions.height}`);
+  }
+  if (location && location.accuracySource === 'device_geolocation') {
+    parts.push('Device GPS');
+  }
+  if (location && typeof location.altitude === 'number') {
+    parts.push(`Alt ${location.altitude.toFixed(0)} m`);
+  }
+  if (location && typeof location.direction === 'number') {
+    parts.push(`Heading ${location.direction.toFixed(0)}°${location.directionRef === 'M' ? ' (magnetic)' : ''}`);
+  }
+
+  return parts.length > 0 ? <div className="image-metadata">{parts.join(' · ')}</div> : null;
+};
+
+// Manual fallback for photos without a GPS fix: type coordinates or pick a spot on the map
+const LocationEditor = ({ result, onSetLocation, onPickOnMap }) => {
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState('');
+  const [invalid, setInvalid] = useState(false);
+
+  const startEditing = () => {
+    setText(result.location ? `${result.location.latitude}, ${result.location.longitude}` : '');
+    setInvalid(false);
+    setEditing(true);
+  };
+
+  const save = () => {
+    const coordinates = parseCoordinateInput(text);
+    if (!coordinates) {
+      setInvalid(true);
+      return;
+    }
+    onSetLocation(result.id, coordinates);
+    setEditing(false);
+  };
+
+  if (editing) {
+    return (
+      <div className="location-editor">
+        <input
+          type="text"
+          value={text}
+          placeholder="Latitude, longitude"
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && save()}
+          className={invalid ? 'invalid' : ''}
+          autoFocus
+        />
+        <button onClick={save} className="status-action">Save</button>
+        <button onClick={() => setEditing(false)} className="status-action">Cancel</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="location-editor">
+      <button onClick={startEditing} className="status-action">
+        {result.location ? 'Edit location' : 'Enter coordinates'}
+      </button>
+      <button onClick={() => onPickOnMap(result.id)} className="status-action">Pick on map</button>
+      {result.location && (
+        <button onClick={() => onSetLocation(result.id, null)} className="status-action">Clear</button>
+      )}
+    </div>
+  );
+};
+
+// Spread of the top class across augmented views and ensemble members
+const Uncertainty = ({ uncertainty }) => {
+  const level = getUncertaintyLevel(uncertainty.std);
+  return (
+    <div className={`uncertainty ${level}`} title={`Standard deviation of ${uncertainty.className} across ${uncertainty.views} predictions`}>
+      Uncertainty: {level} (±{(uncertainty.std * 100).toFixed(1)}% over {uncertainty.views} views)
+    </div>
+  );
+};
+
+// Shares of the models that contributed, plus any weighted model that produced no result
+const formatEnsemble = ({ weights, failed = [] }) => {
+  const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+  const shares = Object.entries(weights)
+    .filter(([, weight]) => weight > 0)
+    .map(([model, weight]) => `${ENSEMBLE_MODELS[model] || model} ${Math.round((weight / total) * 100)}%`);
+  const failures = failed.map(model => `${ENSEMBLE_MODELS[model] || model} failed`);
+  return [shares.join(' · '), ...failures].join('; ');
+};
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+// Occlusion explanation controls: compute on demand, then toggle the heatmap over the image
+const Explanation = ({ explanation, progress, showHeatmap, onToggle, onExplain }) => {
+  const regions = explanation ? summarizeRegions(explanation) : null;
+
+  return (
+    <div className="explanation">
+      <div className="explanation-actions">
+        {explanation && (
+          <button onClick={onToggle} className="session-button">
+            {showHeatmap ? <EyeOff size={14} /> : <Eye size={14} />}
+            {showHeatmap ? 'Hide Heatmap' : 'Show Heatmap'}
+          </button>
+        )}
+        {onExplain && (
+          <button onClick={onExplain} disabled={progress !== undefined} className="session-button">
+            <Crosshair size={14} />
+            {progress !== undefined
+              ? `Explaining... ${Math.round(progress * 100)}%`
+              : explanation ? 'Recompute' : 'Explain'}
+          </button>
+        )}
+      </div>
+      {explanation && (
+        <p className="explanation-text">
+          Heatmap for {explanation.className} ({(explanation.baseline * 100).toFixed(1)}%): red areas support it, blue areas count against it.
+          {regions && ` Evidence by height: top ${formatShare(regions.top)} · middle ${formatShare(regions.middle)} · bottom ${formatShare(regions.bottom)}.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+// One classified image: outcome badge, location, model input details, predictions and review label.
+// `onExplain` is only passed when an explanation can be computed (the loaded Teachable Machine model made the prediction).
+// `plotName` is the containing plot, null when the photo is outside every plot, and undefined
+// when no plots are loaded or the photo has no GPS.
+const ResultCard = ({ result, outcome, targetClasses, labels, plotName, groundTruth, explainProgress, focused, onExplain, onRemove, onRelabel, onSetLocation, onPickLocation }) => {
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  // The heatmap matches the model input, which may be cropped or padded relative to the photo
+  const heatmapVisible = showHeatmap && !!result.explanation;
+
+  return (
+    <div
+      id={`result-${result.id}`}
+      className={[
+        'result-card',
+        focused ? 'focused' : '',
+        outcome.outcome === 'detected' ? 'mango-detected' : '',
+        outcome.outcome === 'uncertain' ? 'uncertain' : '',
+        result.comparison && result.comparison.agree === false ? 'models-disagree' : ''
+      ].filter(Boolean).join(' ')}
+    >
+      <div className="image-container">
+        <img
+          src={heatmapVisible && result.preprocessing ? result.preprocessing.previewUrl : result.imageUrl}
+          alt={result.file.name}
+          className="result-image"
+        />
+        {heatmapVisible && (
+          <img
+            src={result.explanation.heatmapUrl}
+            alt={`Occlusion heatmap for ${result.file.name}`}
+            className="result-image heatmap-overlay"
+          />
+        )}
+        <span className={`mango-badge ${outcome.outcome}`}>
+          {OUTCOME_LABELS[outcome.outcome]}
+          {outcome.outcome !== 'not_detected' && outcome.className && ` · ${outcome.className}`}
+        </span>
+        <button
+          onClick={() => onRemove(result.id)}
+          className="delete-button"
+        >
+          <X size={16} />
+        </button>
+      </div>
+
+      <div className="card-content">
+        <div className="file-info">
+          <FileImage size={16} className="file-icon" />
+          <span className="file-name" title={result.file.name}>
+            {result.file.name}
+          </span>
+        </div>
+
+        {result.location ? (
+          <div className="location-info">
+            <MapPin size={14} className="location-icon" />
+            <span className="coordinates">
+              {result.location.latitude.toFixed(6)}, {result.location.longitude.toFixed(6)}
+              {typeof result.location.accuracy === 'number' && ` ±${result.location.accuracy.toFixed(1)} m`}
+            </span>
+            {result.location.inferred && (
+              <span className="inferred-tag">{INFERRED_LABELS[result.location.inferred]}</span>
+            )}
+          </div>
+        ) : (
+          <div className="location-info">
+            <MapPin size={14} className="location-icon no-location" />
+            <span className="no-location-text">No GPS data available</span>
+          </div>
+        )}
+        {onSetLocation && (!result.location || result.location.inferred) && (
+          <LocationEditor result={result} onSetLocation={onSetLocation} onPickOnMap={onPickLocation} />
+        )}
+
+        {plotName !== undefined && (
+          plotName === null ? (
+            <p className="accuracy-warning plot-flag">
+              <AlertCircle size={14} />
+              Outside all plots
+            </p>
+          ) : (
+            <div className="image-metadata">Plot: {plotName}</div>
+          )
+        )}
+
+        {groundTruth && (
+          <div className={`image-metadata ground-truth ${groundTruth.truth === groundTruth.predicted ? 'correct' : 'incorrect'}`}>
+            Ground truth: {groundTruth.truth}
+            {groundTruth.truth !== groundTruth.predicted && ` (predicted ${groundTruth.predicted})`}
+          </div>
+        )}
+
+        <ImageMetadata result={result} />
+
+        <div className="timestamp">
+          {result.captureTime && <>Captured {formatCaptureTime(result.captureTime)} · </>}
+          Processed at {result.timestamp}
+        </div>
+
+        {result.preprocessing && (
+          <div className="preprocessing-info">
+            <img
+              src={result.preprocessing.previewUrl}
+              alt={`Model input for ${result.file.name}`}
+              className="preprocessed-preview"
+            />
+            <span>
+              Model input {result.preprocessing.width}×{result.preprocessing.height}
+              {' '}(from {result.preprocessing.originalWidth}×{result.preprocessing.originalHeight}
+              {result.preprocessing.orientation !== 1 && `, EXIF orientation ${result.preprocessing.orientation}`})
+              <br />
+              Payload: {formatBytes(result.preprocessing.payloadBytes)}
+            </span>
+          </div>
+        )}
+
+        {result.uncertainty && <Uncertainty uncertainty={result.uncertainty} />}
+
+        {/* Sort predictions: target classes first, then others by probability */}
+        {result.comparison ? (
+          <>
+            {result.ensemble && (
+              <PredictionList
+                title={`Weighted ensemble (${formatEnsemble(result.ensemble)}):`}
+                predictions={result.predictions}
+                priorityClasses={targetClasses}
+              />
+            )}
+            {result.comparison.agree === false && (
+              <div className="disagreement-flag">
+                <AlertCircle size={14} />
+                Models disagree on the top class
+              </div>
+            )}
+            <div className="comparison-predictions">
+              <PredictionList title="Teachable Machine:" predictions={result.comparison.teachable_machine} priorityClasses={targetClasses} />
+              <PredictionList title="MobileNetV2:" predictions={result.comparison.mobilenet} priorityClasses={targetClasses} />
+            </div>
+          </>
+        ) : (
+          <PredictionList title="Predictions:" predictions={result.predictions} priorityClasses={targetClasses} />
+        )}
+
+        {(onExplain || result.explanation) && (
+          <Explanation
+            explanation={result.explanation}
+            progress={explainProgress}
+            showHeatmap={heatmapVisible}
+            onToggle={() => setShowHeatmap(!showHeatmap)}
+            onExplain={onExplain && (() => {
+              setShowHeatmap(true);
+              onExplain(result.id);
+            })}
+          />
+        )}
+
+        <LabelEditor
+          predictedClass={(getTopPrediction(result.predictions) || {}).className || 'none'}
+          humanLabel={result.humanLabel || null}
+          labels={labels}
+          onChange={(label) => onRelabel(result.id, label)}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default ResultCard;
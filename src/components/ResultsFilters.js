@@ -0,0 +1,110 @@
+import React from 'react';
+import { Search } from 'lucide-react';
+import { DEFAULT_FILTERS, SORT_OPTIONS, isFiltered } from '../utils/resultFilters';
+
+const PAGE_SIZES = [24, 48, 96, 192];
+
+// Search box, filters and sort order for the results grid
+const ResultsFilters = ({ filters, sortOrder, pageSize, classOptions, plots = [], evaluating = false, shown, total, onChange, onSortChange, onPageSizeChange }) => {
+  const update = (key, value) => onChange({ ...filters, [key]: value });
+  const updateConfidence = (key, percent) => update(key, Math.min(100, Math.max(0, Number(percent) || 0)) / 100);
+
+  return (
+    <div className="results-filters">
+      <label className="filter-search">
+        <Search size={14} />
+        <input
+          type="search"
+          placeholder="Search file names"
+          value={filters.search}
+          onChange={(e) => update('search', e.target.value)}
+        />
+      </label>
+
+      <select value={filters.topClass} onChange={(e) => update('topClass', e.target.value)} className="session-select">
+        <option value="all">All top classes</option>
+        {classOptions.map(name => <option key={name} value={name}>{name}</option>)}
+      </select>
+
+      <label className="filter-range">
+        Confidence
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={Math.round(filters.minConfidence * 100)}
+          onChange={(e) => updateConfidence('minConfidence', e.target.value)}
+          className="setting-input"
+        />
+        –
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={Math.round(filters.maxConfidence * 100)}
+          onChange={(e) => updateConfidence('maxConfidence', e.target.value)}
+          className="setting-input"
+        />
+        %
+      </label>
+
+      <select value={filters.gps} onChange={(e) => update('gps', e.target.value)} className="session-select">
+        <option value="all">With or without GPS</option>
+        <option value="with">Has GPS</option>
+        <option value="without">No GPS</option>
+      </select>
+
+      <select value={filters.duplicates} onChange={(e) => update('duplicates', e.target.value)} className="session-select">
+        <option value="all">Any duplicate status</option>
+        <option value="unresolved">In an unresolved duplicate</option>
+      </select>
+
+      <select value={filters.relabeled} onChange={(e) => update('relabeled', e.target.value)} className="session-select">
+        <option value="all">Relabeled or not</option>
+        <option value="relabeled">Relabeled by reviewer</option>
+        <option value="not_relabeled">Not relabeled</option>
+      </select>
+
+      {plots.length > 0 && (
+        <select value={filters.plot} onChange={(e) => update('plot', e.target.value)} className="session-select">
+          <option value="all">All plots</option>
+          {plots.map(plot => <option key={plot.id} value={plot.id}>{plot.name}</option>)}
+          <option value="outside">Outside all plots</option>
+        </select>
+      )}
+
+      {evaluating && (
+        <select value={filters.evaluation} onChange={(e) => update('evaluation', e.target.value)} className="session-select">
+          <option value="all">Any evaluation result</option>
+          <option value="correct">Correctly classified</option>
+          <option value="misclassified">Misclassified</option>
+        </select>
+      )}
+
+      {filters.evaluationCell !== 'all' && (
+        <button onClick={() => update('evaluationCell', 'all')} className="session-button" title="Clear confusion matrix filter">
+          Truth {filters.evaluationCell.split('|')[0]}, predicted {filters.evaluationCell.split('|')[1]} ×
+        </button>
+      )}
+
+      <select value={sortOrder} onChange={(e) => onSortChange(e.target.value)} className="session-select">
+        {Object.entries(SORT_OPTIONS).map(([value, label]) => (
+          <option key={value} value={value}>Sort: {label}</option>
+        ))}
+      </select>
+
+      <select value={pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))} className="session-select">
+        {PAGE_SIZES.map(size => <option key={size} value={size}>{size} per page</option>)}
+      </select>
+
+      <span className="filter-summary">
+        Showing {shown} of {total}
+        {isFiltered(filters) && (
+          <button onClick={() => onChange(DEFAULT_FILTERS)} className="status-action">Reset filters</button>
+        )}
+      </span>
+    </div>
+  );
+};
+
+export default ResultsFilters;
@@ -0,0 +1,99 @@
+import React from 'react';
+import { getAugmentations } from '../utils/augmentation';
+
+// Lowest weight a slider may take while the other model's weight is 0, so the ensemble
+// always has a model to average
+const MIN_WEIGHT = 0.05;
+
+// Test-time augmentation options, plus the model weights when the weighted ensemble is selected
+const RobustPredictionSettings = ({ settings, showWeights, onChange, disabled }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+  const updateWeight = (model, value) => update('weights', { ...settings.weights, [model]: value });
+  const minWeight = (other) => (settings.weights[other] > 0 ? 0 : MIN_WEIGHT);
+  const viewCount = getAugmentations(settings).length;
+  const totalWeight = settings.weights.teachable_machine + settings.weights.mobilenet;
+  const share = (weight) => (totalWeight > 0 ? Math.round((weight / totalWeight) * 100) : 0);
+
+  return (
+    <div className="model-selection">
+      <h3>Robust Predictions:</h3>
+      <label className="setting-field">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => update('enabled', e.target.checked)}
+          disabled={disabled}
+        />
+        Average predictions over augmented copies of each image
+      </label>
+
+      <div className="settings-row">
+        <label className="setting-field">
+          <input
+            type="checkbox"
+            checked={settings.flips}
+            onChange={(e) => update('flips', e.target.checked)}
+            disabled={disabled || !settings.enabled}
+          />
+          Mirror
+        </label>
+        <label className="setting-field">
+          <input
+            type="checkbox"
+            checked={settings.crops}
+            onChange={(e) => update('crops', e.target.checked)}
+            disabled={disabled || !settings.enabled}
+          />
+          Five crops
+        </label>
+        <label className="setting-field">
+          <input
+            type="checkbox"
+            checked={settings.scales}
+            onChange={(e) => update('scales', e.target.checked)}
+            disabled={disabled || !settings.enabled}
+          />
+          Zoom in / out
+        </label>
+      </div>
+      {settings.enabled && (
+        <p className="upload-text">
+          {viewCount} view{viewCount === 1 ? '' : 's'} per image per model; MobileNetV2 makes one backend request per view.
+        </p>
+      )}
+
+      {showWeights && (
+        <div className="settings-row">
+          <label className="setting-field">
+            Teachable Machine weight:
+            <input
+              type="range"
+              min={minWeight('mobilenet')}
+              max="1"
+              step="0.05"
+              value={settings.weights.teachable_machine}
+              onChange={(e) => updateWeight('teachable_machine', Math.max(minWeight('mobilenet'), Number(e.target.value)))}
+              disabled={disabled}
+            />
+            {share(settings.weights.teachable_machine)}%
+          </label>
+          <label className="setting-field">
+            MobileNetV2 weight:
+            <input
+              type="range"
+              min={minWeight('teachable_machine')}
+              max="1"
+              step="0.05"
+              value={settings.weights.mobilenet}
+              onChange={(e) => updateWeight('mobilenet', Math.max(minWeight('teachable_machine'), Number(e.target.value)))}
+              disabled={disabled}
+            />
+            {share(settings.weights.mobilenet)}%
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RobustPredictionSettings;
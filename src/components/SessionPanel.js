@@ -0,0 +1,68 @@
+import React from 'react';
+import { FolderOpen, Plus, Trash2 } from 'lucide-react';
+
+// Lists stored review sessions and lets the user switch, start or delete them
+const SessionPanel = ({ sessions, activeSessionId, onSelect, onCreate, onDelete, disabled }) => {
+  const activeSession = sessions.find(session => session.id === activeSessionId);
+
+  return (
+    <div className="model-selection session-panel">
+      <h3>
+        <FolderOpen size={18} />
+        Session: {activeSession ? activeSession.name : 'Not saved'}
+      </h3>
+
+      <div className="session-controls">
+        <select
+          value={activeSessionId || ''}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled || sessions.length === 0}
+          className="session-select"
+        >
+          {sessions.map(session => (
+            <option key={session.id} value={session.id}>
+              {session.name} ({session.imageCount || 0} images)
+            </option>
+          ))}
+        </select>
+
+        <button onClick={onCreate} disabled={disabled} className="session-button">
+          <Plus size={14} />
+          New Session
+        </button>
+        <button
+          onClick={() => activeSessionId && onDelete(activeSessionId)}
+          disabled={disabled || !activeSessionId}
+          className="session-button danger"
+        >
+          <Trash2 size={14} />
+          Delete Session
+        </button>
+      </div>
+
+      {sessions.length > 1 && (
+        <ul className="session-list">
+          {sessions
+            .filter(session => session.id !== activeSessionId)
+            .map(session => (
+              <li key={session.id} className="session-list-item">
+                <span>
+                  {session.name} · {session.imageCount || 0} images · last updated {new Date(session.updatedAt).toLocaleString()}
+                </span>
+                <button
+                  onClick={() => onDelete(session.id)}
+                  disabled={disabled}
+                  className="session-delete"
+                  title="Delete session"
+                >
+                  <Trash2 size={14} />
+                </button>
+              </li>
+            ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionPanel;
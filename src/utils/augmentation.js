@@ -0,0 +1,188 @@
+// Test-time augmentation and model ensembling. Each image is classified several times
+// (mirrored, cropped, slightly zoomed) and the predictions are averaged; the weighted
+// ensemble averages Teachable Machine and MobileNetV2 the same way. The spread of the top
+// class across all those views is kept as an uncertainty indicator.
+
+const STORAGE_KEY = 'robustPrediction';
+
+export const DEFAULT_ROBUST_SETTINGS = {
+  enabled: false,
+  flips: true,
+  crops: true,
+  scales: true,
+  weights: { teachable_machine: 0.5, mobilenet: 0.5 } // used by the weighted ensemble
+};
+
+export const ENSEMBLE_MODELS = {
+  teachable_machine: 'Teachable Machine',
+  mobilenet: 'MobileNetV2'
+};
+
+const CROP_SIZE = 0.8;
+const SCALES = [0.9, 1.1];
+
+// Views to classify: { id, label, flip, crop: { x, y, size }, scale }. `crop` is a square-ish
+// window as fractions of the image; `scale` above 1 zooms out and pads, below 1 zooms in.
+export const getAugmentations = (settings) => {
+  const views = [{ id: 'original', label: 'Original', flip: false, crop: null, scale: 1 }];
+  if (!settings.enabled) return views;
+
+  if (settings.flips) {
+    views.push({ id: 'flip', label: 'Mirrored', flip: true, crop: null, scale: 1 });
+  }
+  if (settings.crops) {
+    const edge = 1 - CROP_SIZE;
+    [
+      ['center', 'Centre crop', edge / 2, edge / 2],
+      ['top_left', 'Top-left crop', 0, 0],
+      ['top_right', 'Top-right crop', edge, 0],
+      ['bottom_left', 'Bottom-left crop', 0, edge],
+      ['bottom_right', 'Bottom-right crop', edge, edge]
+    ].forEach(([id, label, x, y]) => {
+      views.push({ id: `crop_${id}`, label, flip: false, crop: { x, y, size: CROP_SIZE }, scale: 1 });
+    });
+  }
+  if (settings.scales) {
+    SCALES.forEach(scale => {
+      views.push({ id: `scale_${scale}`, label: `Scale ${scale}×`, flip: false, crop: null, scale });
+    });
+  }
+  return views;
+};
+
+// Source rectangle and destination rectangle for drawing one view onto a canvas of the
+// same size as the original: { sx, sy, sw, sh, dx, dy, dw, dh }
+export const getAugmentationFrame = (width, height, view) => {
+  let sx = 0;
+  let sy = 0;
+  let sw = width;
+  let sh = height;
+
+  if (view.crop) {
+    sx = width * view.crop.x;
+    sy = height * view.crop.y;
+    sw = width * view.crop.size;
+    sh = height * view.crop.size;
+  }
+  if (view.scale < 1) {
+    // Zoom in: take a smaller centred window of the source
+    sx += (sw * (1 - view.scale)) / 2;
+    sy += (sh * (1 - view.scale)) / 2;
+    sw *= view.scale;
+    sh *= view.scale;
+  }
+
+  const dw = view.scale > 1 ? width / view.scale : width;
+  const dh = view.scale > 1 ? height / view.scale : height;
+  return { sx, sy, sw, sh, dx: (width - dw) / 2, dy: (height - dh) / 2, dw, dh };
+};
+
+// Draw one view of a preprocessed image. Returns { canvas, dataUrl } like preprocessImage;
+// the JPEG is only encoded when `withJpeg` is set, since only the backend needs it.
+export const renderAugmentation = (source, view, { withJpeg = false, jpegQuality = 0.9 } = {}) => {
+  if (view.id === 'original') {
+    return { canvas: source.canvas, dataUrl: source.dataUrl };
+  }
+
+  const { width, height } = source.canvas;
+  const frame = getAugmentationFrame(width, height, view);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, width, height);
+  if (view.flip) {
+    ctx.translate(width, 0);
+    ctx.scale(-1, 1);
+  }
+  ctx.drawImage(source.canvas, frame.sx, frame.sy, frame.sw, frame.sh, frame.dx, frame.dy, frame.dw, frame.dh);
+
+  return { canvas, dataUrl: withJpeg ? canvas.toDataURL('image/jpeg', jpegQuality) : null };
+};
+
+// Weighted mean and standard deviation per class over several prediction lists.
+// `sets` is [{ predictions, weight }]; a class missing from a list counts as probability 0.
+// Returns { predictions, uncertainty } where uncertainty describes the top class, or is
+// null for a single view.
+export const averagePredictions = (sets) => {
+  const usable = sets.filter(set => set.predictions && set.predictions.length > 0 && set.weight > 0);
+  if (usable.length === 0) return { predictions: [], uncertainty: null };
+
+  const totalWeight = usable.reduce((sum, set) => sum + set.weight, 0);
+  const names = new Map();
+  usable.forEach(set => set.predictions.forEach(pred => {
+    const key = pred.className.toLowerCase();
+    if (!names.has(key)) names.set(key, pred.className);
+  }));
+
+  const stats = [...names].map(([key, className]) => {
+    const values = usable.map(set => {
+      const match = set.predictions.find(pred => pred.className.toLowerCase() === key);
+      return { value: match ? match.probability : 0, weight: set.weight / totalWeight };
+    });
+    const mean = values.reduce((sum, { value, weight }) => sum + value * weight, 0);
+    const variance = values.reduce((sum, { value, weight }) => sum + weight * (value - mean) ** 2, 0);
+    return { className, probability: mean, std: Math.sqrt(variance) };
+  });
+
+  const top = stats.reduce((best, stat) => (!best || stat.probability > best.probability ? stat : best), null);
+  return {
+    predictions: stats.map(({ className, probability }) => ({ className, probability })),
+    uncertainty: usable.length > 1 ? { className: top.className, std: top.std, views: usable.length } : null
+  };
+};
+
+// Each model's share of the ensemble, summing to 1. Weights that are all zero (or not numbers)
+// would leave nothing to average, so they fall back to the default split.
+export const normalizeWeights = (weights) => {
+  const values = Object.keys(ENSEMBLE_MODELS).map(model => Math.max(0, Number(weights && weights[model]) || 0));
+  const total = values.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) return normalizeWeights(DEFAULT_ROBUST_SETTINGS.weights);
+  return Object.fromEntries(Object.keys(ENSEMBLE_MODELS).map((model, index) => [model, values[index] / total]));
+};
+
+// Weighted ensemble over the models that produced a result. `viewsByModel` maps each model to
+// its classifyViews output ([{ predictions, weight }]), or null when it failed. Returns
+// { predictions, uncertainty, weights, failed } where `weights` covers only the models that
+// contributed (renormalised) and `failed` lists weighted models without a result, or null
+// when no model contributed.
+export const combineEnsemble = (viewsByModel, weights) => {
+  const shares = normalizeWeights(weights);
+  const weighted = Object.keys(ENSEMBLE_MODELS).filter(model => shares[model] > 0);
+  const contributing = weighted.filter(model =>
+    (viewsByModel[model] || []).some(set => set.predictions && set.predictions.length > 0)
+  );
+  if (contributing.length === 0) return null;
+
+  const total = contributing.reduce((sum, model) => sum + shares[model], 0);
+  const used = Object.fromEntries(contributing.map(model => [model, shares[model] / total]));
+  const { predictions, uncertainty } = averagePredictions(contributing.flatMap(model =>
+    viewsByModel[model].map(set => ({ ...set, weight: set.weight * used[model] }))
+  ));
+
+  return {
+    predictions,
+    uncertainty,
+    weights: used,
+    failed: weighted.filter(model => !contributing.includes(model))
+  };
+};
+
+// 'low', 'medium' or 'high' from the standard deviation of the top class probability
+export const getUncertaintyLevel = (std) => (std < 0.05 ? 'low' : std < 0.15 ? 'medium' : 'high');
+
+export const loadRobustSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored
+      ? { ...DEFAULT_ROBUST_SETTINGS, ...stored, weights: normalizeWeights({ ...DEFAULT_ROBUST_SETTINGS.weights, ...stored.weights }) }
+      : DEFAULT_ROBUST_SETTINGS;
+  } catch (error) {
+    return DEFAULT_ROBUST_SETTINGS;
+  }
+};
+
+export const saveRobustSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
@@ -0,0 +1,88 @@
+import {
+  DEFAULT_ROBUST_SETTINGS,
+  averagePredictions,
+  combineEnsemble,
+  getAugmentationFrame,
+  getAugmentations,
+  getUncertaintyLevel,
+  normalizeWeights
+} from './augmentation';
+
+test('getAugmentations lists the original plus each enabled family', () => {
+  expect(getAugmentations(DEFAULT_ROBUST_SETTINGS).map(view => view.id)).toEqual(['original']);
+
+  const all = getAugmentations({ ...DEFAULT_ROBUST_SETTINGS, enabled: true });
+  expect(all).toHaveLength(9);
+  const flipsOnly = getAugmentations({ ...DEFAULT_ROBUST_SETTINGS, enabled: true, crops: false, scales: false });
+  expect(flipsOnly.map(view => view.id)).toEqual(['original', 'flip']);
+});
+
+test('getAugmentationFrame crops, zooms in and pads', () => {
+  const topRight = getAugmentations({ ...DEFAULT_ROBUST_SETTINGS, enabled: true }).find(view => view.id === 'crop_top_right');
+  const cropped = getAugmentationFrame(100, 50, topRight);
+  expect(cropped.sx).toBeCloseTo(20);
+  expect(cropped).toMatchObject({ sy: 0, sw: 80, sh: 40, dw: 100, dh: 50 });
+
+  const zoomIn = getAugmentationFrame(100, 100, { crop: null, scale: 0.9 });
+  expect(zoomIn.sx).toBeCloseTo(5);
+  expect(zoomIn.sw).toBeCloseTo(90);
+
+  const zoomOut = getAugmentationFrame(110, 110, { crop: null, scale: 1.1 });
+  expect(zoomOut.sw).toBe(110);
+  expect(zoomOut.dx).toBeCloseTo(5);
+  expect(zoomOut.dw).toBeCloseTo(100);
+});
+
+test('averagePredictions takes the weighted mean and reports the top class spread', () => {
+  const { predictions, uncertainty } = averagePredictions([
+    { predictions: [{ className: 'mango_tree', probability: 0.9 }, { className: 'other', probability: 0.1 }], weight: 1 },
+    { predictions: [{ className: 'Mango_Tree', probability: 0.5 }, { className: 'other', probability: 0.5 }], weight: 1 },
+    { predictions: null, weight: 1 }
+  ]);
+
+  expect(predictions.map(pred => pred.className)).toEqual(['mango_tree', 'other']);
+  expect(predictions[0].probability).toBeCloseTo(0.7);
+  expect(uncertainty).toEqual({ className: 'mango_tree', std: expect.any(Number), views: 2 });
+  expect(uncertainty.std).toBeCloseTo(0.2);
+
+  const weighted = averagePredictions([
+    { predictions: [{ className: 'a', probability: 1 }], weight: 3 },
+    { predictions: [{ className: 'b', probability: 1 }], weight: 1 }
+  ]);
+  expect(weighted.predictions).toEqual([{ className: 'a', probability: 0.75 }, { className: 'b', probability: 0.25 }]);
+
+  expect(averagePredictions([{ predictions: [{ className: 'a', probability: 1 }], weight: 1 }]).uncertainty).toBeNull();
+  expect(getUncertaintyLevel(0.2)).toBe('high');
+});
+
+test('normalizeWeights scales the shares to 1 and replaces all-zero weights', () => {
+  expect(normalizeWeights({ teachable_machine: 3, mobilenet: 1 })).toEqual({ teachable_machine: 0.75, mobilenet: 0.25 });
+  expect(normalizeWeights({ teachable_machine: 0, mobilenet: 0 })).toEqual({ teachable_machine: 0.5, mobilenet: 0.5 });
+  expect(normalizeWeights({ teachable_machine: -1, mobilenet: 'x' })).toEqual({ teachable_machine: 0.5, mobilenet: 0.5 });
+});
+
+test('combineEnsemble records which models contributed', () => {
+  const teachable = [{ predictions: [{ className: 'mango_tree', probability: 0.9 }], weight: 1 }];
+  const mobilenet = [{ predictions: [{ className: 'mango_tree', probability: 0.5 }], weight: 1 }];
+
+  const both = combineEnsemble({ teachable_machine: teachable, mobilenet }, { teachable_machine: 0.75, mobilenet: 0.25 });
+  expect(both.predictions[0].probability).toBeCloseTo(0.8);
+  expect(both.weights).toEqual({ teachable_machine: 0.75, mobilenet: 0.25 });
+  expect(both.failed).toEqual([]);
+
+  // MobileNetV2 failed: the ensemble is Teachable Machine alone, and says so
+  const oneFailed = combineEnsemble({ teachable_machine: teachable, mobilenet: null }, { teachable_machine: 0.75, mobilenet: 0.25 });
+  expect(oneFailed.predictions[0].probability).toBeCloseTo(0.9);
+  expect(oneFailed.weights).toEqual({ teachable_machine: 1 });
+  expect(oneFailed.failed).toEqual(['mobilenet']);
+
+  // A model with weight 0 neither contributes nor counts as failed
+  const zeroWeight = combineEnsemble({ teachable_machine: teachable, mobilenet }, { teachable_machine: 0, mobilenet: 1 });
+  expect(zeroWeight.weights).toEqual({ mobilenet: 1 });
+  expect(zeroWeight.failed).toEqual([]);
+
+  // All-zero weights fall back to an equal split instead of failing every image
+  expect(combineEnsemble({ teachable_machine: teachable, mobilenet }, { teachable_machine: 0, mobilenet: 0 }).weights)
+    .toEqual({ teachable_machine: 0.5, mobilenet: 0.5 });
+  expect(combineEnsemble({ teachable_machine: null, mobilenet: null }, DEFAULT_ROBUST_SETTINGS.weights)).toBeNull();
+});
@@ -0,0 +1,142 @@
+// Shared client for the classification backend.
+// Every request gets a timeout and retries with exponential backoff on network errors,
+// timeouts, 429 and 5xx responses. Request lifecycle events are broadcast so the UI can
+// show per-request status instead of logging failures to the console only.
+// In 'mock' mode requests are answered by the in-browser mock backend instead of the server.
+
+import { validateResponse } from './backendContract';
+import { handleMockRequest } from './mockBackend';
+
+export const BACKEND_URL = process.env.REACT_APP_BACKEND_URL || 'http://localhost:8000';
+
+const MODE_STORAGE_KEY = 'backendMode';
+
+// 'server' or 'mock'; REACT_APP_BACKEND_MODE=mock makes the mock the default
+export const getBackendMode = () => {
+  try {
+    const stored = localStorage.getItem(MODE_STORAGE_KEY);
+    if (stored === 'server' || stored === 'mock') return stored;
+  } catch (error) {
+    // Storage unavailable; fall through to the default
+  }
+  return process.env.REACT_APP_BACKEND_MODE === 'mock' ? 'mock' : 'server';
+};
+
+export const saveBackendMode = (mode) => {
+  localStorage.setItem(MODE_STORAGE_KEY, mode);
+};
+
+const DEFAULT_OPTIONS = {
+  timeoutMs: 15000,
+  retries: 2,
+  backoffMs: 500
+};
+
+const listeners = new Set();
+let requestCounter = 0;
+
+// Listen for { id, endpoint, status, attempt, error, at } events; returns an unsubscribe function.
+// `status` is one of 'pending', 'retrying', 'success' or 'error'.
+export const subscribeToRequests = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const emit = (event) => {
+  listeners.forEach(listener => listener({ ...event, at: Date.now() }));
+};
+
+// Errors carry whether retrying later could succeed, so callers can queue or give up
+export const createBackendError = (message, { status = null, retryable = false } = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.retryable = retryable;
+  return error;
+};
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Throw when a successful response does not match the contract
+const checkResponse = (endpoint, status, data) => {
+  const problems = validateResponse(endpoint, data);
+  if (problems.length > 0) {
+    throw createBackendError(`${endpoint} returned an unexpected response: ${problems.join('; ')}`, { status });
+  }
+  return data;
+};
+
+const attemptMockRequest = async (endpoint, body) => {
+  const response = await handleMockRequest(endpoint, JSON.parse(JSON.stringify(body)));
+  if (response.status >= 400) {
+    throw createBackendError(
+      `${endpoint} failed with ${response.status}: ${response.body.detail}`,
+      { status: response.status, retryable: isRetryableStatus(response.status) }
+    );
+  }
+  return checkResponse(endpoint, response.status, response.body);
+};
+
+// One attempt with a timeout; resolves with parsed JSON or throws a backend error
+const attemptRequest = async (endpoint, body, timeoutMs) => {
+  if (getBackendMode() === 'mock') return attemptMockRequest(endpoint, body);
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(`${BACKEND_URL}${endpoint}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw createBackendError(
+        `${endpoint} failed with ${response.status}${errorText ? `: ${errorText.slice(0, 200)}` : ''}`,
+        { status: response.status, retryable: isRetryableStatus(response.status) }
+      );
+    }
+
+    return checkResponse(endpoint, response.status, await response.json());
+  } catch (error) {
+    if (error.retryable !== undefined) throw error;
+    if (error.name === 'AbortError') {
+      throw createBackendError(`${endpoint} timed out after ${timeoutMs / 1000}s`, { retryable: true });
+    }
+    // fetch rejects with a TypeError when the server is unreachable or the device is offline
+    throw createBackendError(`${endpoint} is unreachable (${error.message})`, { retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// POST `body` as JSON to `endpoint` and return the parsed response
+export const postToBackend = async (endpoint, body, options = {}) => {
+  const { timeoutMs, retries, backoffMs } = { ...DEFAULT_OPTIONS, ...options };
+  const id = ++requestCounter;
+
+  emit({ id, endpoint, status: 'pending', attempt: 1 });
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const data = await attemptRequest(endpoint, body, timeoutMs);
+      emit({ id, endpoint, status: 'success', attempt: attempt + 1 });
+      return data;
+    } catch (error) {
+      if (!error.retryable || attempt >= retries) {
+        emit({ id, endpoint, status: 'error', attempt: attempt + 1, error: error.message });
+        throw error;
+      }
+
+      const delay = backoffMs * 2 ** attempt + Math.random() * backoffMs;
+      emit({ id, endpoint, status: 'retrying', attempt: attempt + 2, error: error.message });
+      await sleep(delay);
+    }
+  }
+};
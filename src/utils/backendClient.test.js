@@ -0,0 +1,92 @@
+import { postToBackend, saveBackendMode, subscribeToRequests } from './backendClient';
+import { getMockDecisions, getMockTraffic } from './mockBackend';
+import { enqueue, flushOutbox, getOutbox } from './outbox';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body,
+  text: async () => JSON.stringify(body)
+});
+
+beforeEach(() => {
+  global.fetch = jest.fn();
+  localStorage.clear();
+});
+
+test('postToBackend retries retryable failures and reports status', async () => {
+  const events = [];
+  const unsubscribe = subscribeToRequests(event => events.push(event.status));
+  fetch
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(jsonResponse(503, {}))
+    .mockResolvedValueOnce(jsonResponse(200, { ok: true }));
+
+  await expect(postToBackend('/save-decision', {}, { backoffMs: 1 })).resolves.toEqual({ ok: true });
+  expect(fetch).toHaveBeenCalledTimes(3);
+  expect(events).toEqual(['pending', 'retrying', 'retrying', 'success']);
+  unsubscribe();
+});
+
+test('postToBackend does not retry client errors', async () => {
+  fetch.mockResolvedValue(jsonResponse(422, { detail: 'bad pair' }));
+
+  await expect(postToBackend('/save-decision', {}, { backoffMs: 1 })).rejects.toMatchObject({ status: 422, retryable: false });
+  expect(fetch).toHaveBeenCalledTimes(1);
+});
+
+test('flushOutbox keeps entries while the backend is unreachable and delivers them later', async () => {
+  enqueue('/save-decision', { pairId: 'p1' }, 'p1');
+  enqueue('/save-decision', { pairId: 'p2' }, 'p2');
+
+  fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+  expect((await flushOutbox()).remaining).toBe(2);
+
+  fetch.mockResolvedValue(jsonResponse(200, {}));
+  const { delivered, remaining } = await flushOutbox();
+  expect(delivered.map(entry => entry.key)).toEqual(['p1', 'p2']);
+  expect(remaining).toBe(0);
+  expect(getOutbox()).toEqual([]);
+});
+
+test('postToBackend rejects server responses that break the contract', async () => {
+  fetch.mockResolvedValue(jsonResponse(200, { labels: [] }));
+
+  await expect(postToBackend('/classify-image', { image_data: 'data:image/jpeg;base64,AA', model_type: 'mobilenet' }))
+    .rejects.toMatchObject({ retryable: false, message: expect.stringMatching(/unexpected response/) });
+});
+
+describe('mock backend mode', () => {
+  beforeEach(() => saveBackendMode('mock'));
+
+  test('classifies deterministically without calling the server', async () => {
+    const body = { image_data: 'data:image/jpeg;base64,AAAA', model_type: 'mobilenet' };
+    const first = await postToBackend('/classify-image', body);
+    const second = await postToBackend('/classify-image', body);
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(first).toEqual(second);
+    expect(first.predictions.reduce((sum, prediction) => sum + prediction.probability, 0)).toBeCloseTo(1);
+  });
+
+  test('computes proximity pairs from the submitted coordinates', async () => {
+    const { similar_pairs: pairs } = await postToBackend('/check-proximity', {
+      locations: [
+        { imageId: 'a', imageName: 'a.jpg', latitude: 12.5, longitude: 77.25 },
+        { imageId: 'b', imageName: 'b.jpg', latitude: 12.500001, longitude: 77.25 },
+        { imageId: 'c', imageName: 'c.jpg', latitude: 12.6, longitude: 77.25 }
+      ],
+      radius: 1
+    });
+    expect(pairs.map(pair => [pair.imageId1, pair.imageId2])).toEqual([['a', 'b']]);
+  });
+
+  test('records valid decisions and rejects invalid ones with a 400', async () => {
+    await postToBackend('/save-decision', { pairId: 'p1', action: 'remove_both', imageId1: 'a', imageId2: 'b' });
+    expect(getMockDecisions().pop()).toMatchObject({ pairId: 'p1', action: 'remove_both' });
+
+    await expect(postToBackend('/save-decision', { pairId: 'p2', action: 'delete', imageId1: 'a', imageId2: 'b' }))
+      .rejects.toMatchObject({ status: 400, retryable: false });
+    expect(getMockTraffic().pop()).toMatchObject({ endpoint: '/save-decision', status: 400 });
+  });
+});
@@ -0,0 +1,103 @@
+// The backend API in one place: every endpoint the app calls, the shape of its request and
+// response, and validators for both. The HTTP client checks server responses against it and
+// the in-browser mock backend checks requests against it, so the two cannot drift apart.
+
+export const DECISION_ACTIONS = [
+  'save_both',
+  'keep_first_remove_second',
+  'remove_first_keep_second',
+  'remove_both',
+  'undo'
+];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isId = (value) => typeof value === 'string' || isFiniteNumber(value);
+
+// Collect a message for every failed [condition, message] check
+const check = (rules) => rules.filter(([ok]) => !ok).map(([, message]) => message);
+
+const isPrediction = (prediction) =>
+  isObject(prediction) && typeof prediction.className === 'string' && isFiniteNumber(prediction.probability);
+
+const isLocation = (location) =>
+  isObject(location) && isId(location.imageId) && isFiniteNumber(location.latitude) && isFiniteNumber(location.longitude);
+
+const isPair = (pair) => isObject(pair) && isId(pair.imageId1) && isId(pair.imageId2);
+
+export const CONTRACT = {
+  '/classify-image': {
+    description: 'Classify one image with the server-side MobileNetV2 model',
+    request: {
+      image_data: 'JPEG data URL of the preprocessed model input',
+      model_type: "'mobilenet'"
+    },
+    response: {
+      predictions: '[{ className, probability }]'
+    },
+    validateRequest: (body) => check([
+      [typeof body.image_data === 'string' && body.image_data.startsWith('data:image/'), 'image_data must be an image data URL'],
+      [body.model_type === 'mobilenet', "model_type must be 'mobilenet'"]
+    ]),
+    validateResponse: (data) => check([
+      [Array.isArray(data.predictions) && data.predictions.every(isPrediction), 'predictions must be a list of { className, probability }']
+    ])
+  },
+  '/check-proximity': {
+    description: 'Find pairs of images taken within `radius` meters of each other',
+    request: {
+      locations: '[{ imageId, imageName, latitude, longitude, accuracy }]',
+      radius: 'search radius in meters'
+    },
+    response: {
+      similar_pairs: '[{ pairId, imageId1, imageId2, distance }], may be left out when there are none'
+    },
+    validateRequest: (body) => check([
+      [Array.isArray(body.locations) && body.locations.every(isLocation), 'locations must be a list of { imageId, latitude, longitude }'],
+      [isFiniteNumber(body.radius) && body.radius > 0, 'radius must be a positive number']
+    ]),
+    // Servers may leave similar_pairs out when nothing is nearby; that means no pairs
+    validateResponse: (data) => check([
+      [
+        data.similar_pairs === undefined || (Array.isArray(data.similar_pairs) && data.similar_pairs.every(isPair)),
+        'similar_pairs must be a list of { imageId1, imageId2 }'
+      ]
+    ])
+  },
+  '/save-decision': {
+    description: 'Record how a duplicate pair was resolved, or that an earlier decision was undone',
+    request: {
+      pairId: 'pair being resolved',
+      action: DECISION_ACTIONS.join(' | '),
+      imageId1: 'first image of the pair',
+      imageId2: 'second image of the pair',
+      undoneAction: "the reverted action, only when action is 'undo'"
+    },
+    response: {
+      status: "'ok'"
+    },
+    validateRequest: (body) => check([
+      [isId(body.pairId), 'pairId is required'],
+      [DECISION_ACTIONS.includes(body.action), `action must be one of ${DECISION_ACTIONS.join(', ')}`],
+      [isId(body.imageId1) && isId(body.imageId2), 'imageId1 and imageId2 are required'],
+      [body.action !== 'undo' || DECISION_ACTIONS.includes(body.undoneAction), 'undo requests must name the undoneAction']
+    ]),
+    validateResponse: () => []
+  }
+};
+
+export const ENDPOINTS = Object.keys(CONTRACT);
+
+// Problems with a request body, as readable messages (empty when valid)
+export const validateRequest = (endpoint, body) => {
+  if (!CONTRACT[endpoint]) return [`unknown endpoint ${endpoint}`];
+  if (!isObject(body)) return ['request body must be a JSON object'];
+  return CONTRACT[endpoint].validateRequest(body);
+};
+
+// Problems with a response body, as readable messages (empty when valid)
+export const validateResponse = (endpoint, data) => {
+  if (!CONTRACT[endpoint]) return [];
+  if (!isObject(data)) return ['response must be a JSON object'];
+  return CONTRACT[endpoint].validateResponse(data);
+};
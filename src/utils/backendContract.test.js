@@ -0,0 +1,44 @@
+import { validateRequest, validateResponse } from './backendContract';
+
+const location = (imageId, latitude, longitude) => ({ imageId, imageName: `${imageId}.jpg`, latitude, longitude, accuracy: 5 });
+
+test('validateRequest accepts well-formed requests for every endpoint', () => {
+  expect(validateRequest('/classify-image', { image_data: 'data:image/jpeg;base64,AAAA', model_type: 'mobilenet' })).toEqual([]);
+  expect(validateRequest('/check-proximity', { locations: [location(1, 12.9, 77.5), location('b', 12.9, 77.5)], radius: 10 })).toEqual([]);
+  expect(validateRequest('/save-decision', { pairId: 'p1', action: 'remove_both', imageId1: 1, imageId2: 2 })).toEqual([]);
+  expect(validateRequest('/save-decision', {
+    pairId: 'p1', action: 'undo', undoneAction: 'remove_both', imageId1: 1, imageId2: 2
+  })).toEqual([]);
+});
+
+test('validateRequest reports every problem with a malformed request', () => {
+  expect(validateRequest('/classify-image', { image_data: 'not an image', model_type: 'resnet' })).toHaveLength(2);
+  expect(validateRequest('/check-proximity', { locations: [{ imageId: 1, latitude: '12.9' }], radius: 0 })).toEqual([
+    'locations must be a list of { imageId, latitude, longitude }',
+    'radius must be a positive number'
+  ]);
+  expect(validateRequest('/save-decision', { pairId: 'p1', action: 'delete', imageId1: 1 })).toHaveLength(2);
+  expect(validateRequest('/save-decision', { pairId: 'p1', action: 'undo', imageId1: 1, imageId2: 2 }))
+    .toEqual(['undo requests must name the undoneAction']);
+  expect(validateRequest('/save-decision', null)).toEqual(['request body must be a JSON object']);
+  expect(validateRequest('/unknown', {})).toEqual(['unknown endpoint /unknown']);
+});
+
+test('validateResponse checks each endpoint response shape', () => {
+  expect(validateResponse('/classify-image', { predictions: [{ className: 'mango_tree', probability: 0.9 }] })).toEqual([]);
+  expect(validateResponse('/classify-image', { predictions: [{ className: 'mango_tree' }] })).toHaveLength(1);
+  expect(validateResponse('/classify-image', {})).toHaveLength(1);
+
+  expect(validateResponse('/check-proximity', { similar_pairs: [{ pairId: 'p', imageId1: 1, imageId2: '2', distance: 3 }] })).toEqual([]);
+  expect(validateResponse('/check-proximity', { similar_pairs: [] })).toEqual([]);
+  expect(validateResponse('/check-proximity', { similar_pairs: [{ imageId1: 1 }] })).toHaveLength(1);
+  expect(validateResponse('/check-proximity', { similar_pairs: 'none' })).toHaveLength(1);
+
+  expect(validateResponse('/save-decision', { status: 'ok' })).toEqual([]);
+  expect(validateResponse('/save-decision', [])).toEqual(['response must be a JSON object']);
+});
+
+test('validateResponse treats a missing similar_pairs key as no pairs', () => {
+  expect(validateResponse('/check-proximity', {})).toEqual([]);
+  expect(validateResponse('/check-proximity', { similar_pairs: null })).toHaveLength(1);
+});
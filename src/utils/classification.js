@@ -0,0 +1,84 @@
+// Turn raw predictions into a per-image outcome using configurable target classes.
+// Each target class has two thresholds: above `detect` the class counts as detected,
+// at or below `reject` it does not, and anything in between is uncertain.
+
+export const OUTCOMES = ['detected', 'uncertain', 'not_detected'];
+
+export const OUTCOME_LABELS = {
+  detected: 'Detected',
+  uncertain: 'Uncertain',
+  not_detected: 'Not detected'
+};
+
+export const DEFAULT_THRESHOLDS = { detect: 0.5, reject: 0.5 };
+
+export const DEFAULT_CLASSIFICATION_CONFIG = {
+  targetClasses: ['mango_tree'],
+  thresholds: { mango_tree: DEFAULT_THRESHOLDS }
+};
+
+const normalize = (className) => className.toLowerCase();
+
+export const getThresholds = (config, className) => config.thresholds[className] || DEFAULT_THRESHOLDS;
+
+// The prediction for `className`, matched case-insensitively since model labels and configured
+// targets are typed by different people
+export const findPrediction = (predictions, className) =>
+  (predictions || []).find(pred => normalize(pred.className) === normalize(className)) || null;
+
+const findProbability = (predictions, className) => {
+  const match = findPrediction(predictions, className);
+  return match ? match.probability : 0;
+};
+
+// Outcome for one image: { outcome, className, probability } where className is the target
+// class that decided it (the most confident one for detected / uncertain images)
+export const getOutcome = (predictions, config) => {
+  let best = { outcome: 'not_detected', className: config.targetClasses[0] || null, probability: 0 };
+
+  config.targetClasses.forEach(className => {
+    const probability = findProbability(predictions, className);
+    const { detect, reject } = getThresholds(config, className);
+    const outcome = probability > detect ? 'detected' : probability > reject ? 'uncertain' : 'not_detected';
+
+    const rank = OUTCOMES.length - OUTCOMES.indexOf(outcome);
+    const bestRank = OUTCOMES.length - OUTCOMES.indexOf(best.outcome);
+    if (rank > bestRank || (rank === bestRank && probability > best.probability)) {
+      best = { outcome, className, probability };
+    }
+  });
+
+  return best;
+};
+
+export const countOutcomes = (imageResults, config) => {
+  const counts = { detected: 0, uncertain: 0, not_detected: 0 };
+  imageResults.forEach(result => {
+    counts[getOutcome(result.predictions, config).outcome]++;
+  });
+  return counts;
+};
+
+// Labels to choose targets from: the loaded model's labels plus any class seen in results
+export const getAvailableLabels = (modelLabels, imageResults) => {
+  const labels = [...(modelLabels || [])];
+  imageResults.forEach(result => {
+    result.predictions.forEach(pred => {
+      if (!labels.includes(pred.className)) labels.push(pred.className);
+    });
+  });
+  return labels;
+};
+
+export const loadClassificationConfig = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem('classificationConfig'));
+    return stored && Array.isArray(stored.targetClasses) ? stored : DEFAULT_CLASSIFICATION_CONFIG;
+  } catch (error) {
+    return DEFAULT_CLASSIFICATION_CONFIG;
+  }
+};
+
+export const saveClassificationConfig = (config) => {
+  localStorage.setItem('classificationConfig', JSON.stringify(config));
+};
@@ -0,0 +1,35 @@
+import { getOutcome, countOutcomes } from './classification';
+
+const predictions = (mango, other = 1 - mango) => [
+  { className: 'mango_tree', probability: mango },
+  { className: 'not_mango_tree', probability: other }
+];
+
+const config = {
+  targetClasses: ['mango_tree'],
+  thresholds: { mango_tree: { detect: 0.7, reject: 0.4 } }
+};
+
+test('getOutcome applies the detect and reject thresholds with an uncertain band between', () => {
+  expect(getOutcome(predictions(0.9), config).outcome).toBe('detected');
+  expect(getOutcome(predictions(0.55), config).outcome).toBe('uncertain');
+  expect(getOutcome(predictions(0.4), config).outcome).toBe('not_detected');
+});
+
+test('getOutcome picks the strongest of several target classes', () => {
+  const multi = {
+    targetClasses: ['mango_tree', 'young_mango'],
+    thresholds: {}
+  };
+  const outcome = getOutcome([
+    { className: 'Mango_Tree', probability: 0.3 },
+    { className: 'young_mango', probability: 0.6 },
+    { className: 'other', probability: 0.1 }
+  ], multi);
+  expect(outcome).toEqual({ outcome: 'detected', className: 'young_mango', probability: 0.6 });
+});
+
+test('countOutcomes tallies results per outcome', () => {
+  const results = [0.9, 0.8, 0.5, 0.1].map(p => ({ predictions: predictions(p) }));
+  expect(countOutcomes(results, config)).toEqual({ detected: 2, uncertain: 1, not_detected: 1 });
+});
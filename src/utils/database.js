@@ -0,0 +1,57 @@
+// Shared IndexedDB connection for everything the app keeps in the browser.
+// Bump DB_VERSION and extend `upgrade` when adding a store.
+
+const DB_NAME = 'mango-classifier';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+export const isPersistenceAvailable = () => typeof window !== 'undefined' && !!window.indexedDB;
+
+// Wrap an IDBRequest in a promise
+export const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const upgrade = (db) => {
+  if (!db.objectStoreNames.contains('sessions')) {
+    db.createObjectStore('sessions', { keyPath: 'id' });
+  }
+  if (!db.objectStoreNames.contains('images')) {
+    const images = db.createObjectStore('images', { keyPath: 'id' });
+    images.createIndex('sessionId', 'sessionId');
+  }
+  if (!db.objectStoreNames.contains('models')) {
+    db.createObjectStore('models', { keyPath: 'id' });
+  }
+};
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => upgrade(request.result);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work` inside a transaction and resolve once the transaction commits
+export const withStores = async (storeNames, mode, work) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    Promise.resolve(work(tx)).then(value => { result = value; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
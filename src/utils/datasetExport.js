@@ -0,0 +1,67 @@
+// Build a retraining dataset from reviewed results: a ZIP with one folder per class
+// (the layout Teachable Machine accepts when uploading class samples) and a manifest
+// recording what the model originally predicted for every image. Only images a reviewer
+// labeled or confirmed are included unless model-labeled images are explicitly opted in,
+// so the model's own guesses are not fed back as ground truth.
+
+import JSZip from 'jszip';
+import { getTopPrediction } from './predictions';
+
+// Human label when a reviewer set one, otherwise the model's top class
+export const getEffectiveLabel = (result) => {
+  if (result.humanLabel) return result.humanLabel;
+  const top = getTopPrediction(result.predictions);
+  return top ? top.className : 'unlabeled';
+};
+
+// Folder and file names must be safe on every OS the ZIP may be unpacked on. Leading dots
+// are replaced too, so `.` and `..` cannot climb out of the class folder when extracted.
+const sanitizeName = (name) => name.replace(/[\\/:*?"<>|]/g, '_').trim().replace(/^\.+/, '_') || 'unnamed';
+
+// Images that go into the dataset
+export const getDatasetImages = (imageResults, { includeModelLabels = false } = {}) =>
+  (includeModelLabels ? imageResults : imageResults.filter(result => result.humanLabel));
+
+export const buildDatasetZip = async (imageResults, { includeModelLabels = false, createdAt = new Date() } = {}) => {
+  const zip = new JSZip();
+  const usedPaths = new Set();
+  const manifest = [];
+
+  getDatasetImages(imageResults, { includeModelLabels }).forEach(result => {
+    const label = getEffectiveLabel(result);
+    const folder = sanitizeName(label);
+    const fileName = sanitizeName(result.file.name);
+
+    // Same file name in one class folder: prefix with a counter
+    let path = `${folder}/${fileName}`;
+    for (let counter = 2; usedPaths.has(path); counter++) {
+      path = `${folder}/${counter}_${fileName}`;
+    }
+    usedPaths.add(path);
+
+    zip.file(path, result.file);
+
+    const top = getTopPrediction(result.predictions);
+    manifest.push({
+      path,
+      originalFileName: result.file.name,
+      label,
+      labelSource: result.humanLabel ? 'human' : 'model',
+      predictedClass: top ? top.className : null,
+      predictedProbability: top ? top.probability : null,
+      corrected: !!result.humanLabel && (!top || top.className !== result.humanLabel),
+      predictions: result.predictions,
+      modelName: result.modelName || null
+    });
+  });
+
+  zip.file('manifest.json', JSON.stringify({
+    createdAt: createdAt.toISOString(),
+    imageCount: manifest.length,
+    includesModelLabels: includeModelLabels,
+    classes: [...new Set(manifest.map(entry => entry.label))],
+    images: manifest
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'blob' });
+};
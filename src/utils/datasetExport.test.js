@@ -0,0 +1,72 @@
+import JSZip from 'jszip';
+import { buildDatasetZip, getDatasetImages, getEffectiveLabel } from './datasetExport';
+
+const makeResult = (id, name, topClass, humanLabel = null) => ({
+  id,
+  file: new File([`bytes of ${name}`], name, { type: 'image/jpeg' }),
+  modelName: 'Orchard model',
+  predictions: [
+    { className: topClass, probability: 0.8 },
+    { className: topClass === 'mango_tree' ? 'other' : 'mango_tree', probability: 0.2 }
+  ],
+  humanLabel
+});
+
+const results = [
+  makeResult(1, 'a.jpg', 'mango_tree', 'mango_tree'),
+  makeResult(2, 'a.jpg', 'other', 'mango_tree'),
+  makeResult(3, 'c.jpg', 'other')
+];
+
+const readZip = async (blob) => {
+  const zip = await JSZip.loadAsync(blob);
+  const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+  const paths = Object.values(zip.files).filter(entry => !entry.dir).map(entry => entry.name).sort();
+  return { zip, manifest, paths };
+};
+
+test('getEffectiveLabel prefers the reviewer label', () => {
+  expect(getEffectiveLabel(results[1])).toBe('mango_tree');
+  expect(getEffectiveLabel(results[2])).toBe('other');
+});
+
+test('getDatasetImages keeps only reviewed images unless model labels are opted in', () => {
+  expect(getDatasetImages(results).map(result => result.id)).toEqual([1, 2]);
+  expect(getDatasetImages(results, { includeModelLabels: true })).toHaveLength(3);
+});
+
+test('buildDatasetZip exports reviewed images in class folders with a manifest', async () => {
+  const { zip, manifest, paths } = await readZip(await buildDatasetZip(results, { createdAt: new Date('2024-05-01T08:00:00Z') }));
+
+  expect(paths).toEqual(['mango_tree/2_a.jpg', 'mango_tree/a.jpg', 'manifest.json']);
+  expect(await zip.file('mango_tree/2_a.jpg').async('string')).toBe('bytes of a.jpg');
+  expect(manifest).toMatchObject({
+    createdAt: '2024-05-01T08:00:00.000Z',
+    imageCount: 2,
+    includesModelLabels: false,
+    classes: ['mango_tree']
+  });
+  expect(manifest.images[1]).toMatchObject({
+    path: 'mango_tree/2_a.jpg',
+    label: 'mango_tree',
+    labelSource: 'human',
+    predictedClass: 'other',
+    corrected: true
+  });
+});
+
+test('buildDatasetZip labels unreviewed images with the top class only when opted in', async () => {
+  const { manifest, paths } = await readZip(await buildDatasetZip(results, { includeModelLabels: true }));
+  expect(paths).toContain('other/c.jpg');
+  expect(manifest.includesModelLabels).toBe(true);
+  expect(manifest.images.find(entry => entry.path === 'other/c.jpg')).toMatchObject({ labelSource: 'model', corrected: false });
+});
+
+test('buildDatasetZip keeps dot-only labels and file names inside the dataset', async () => {
+  const { manifest, paths } = await readZip(await buildDatasetZip([
+    makeResult(4, '..', 'other', '..'),
+    makeResult(5, '.hidden.jpg', 'other', '.')
+  ]));
+  expect(paths).toEqual(['_/_', '_/_hidden.jpg', 'manifest.json']);
+  expect(manifest.images.map(entry => entry.label)).toEqual(['..', '.']);
+});
@@ -0,0 +1,33 @@
+// Duplicate decisions are recorded per pair, but made in batches (one pair, one cluster, or
+// a batch rule). Batches are the unit shown in the history panel and the unit of undo.
+
+export const DECISION_LABELS = {
+  save_both: 'Kept both',
+  keep_first_remove_second: 'Kept first, removed second',
+  remove_first_keep_second: 'Removed first, kept second',
+  remove_both: 'Removed both'
+};
+
+export const createBatchId = () => `batch_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+
+// Decisions saved before batches existed are their own batch
+export const getBatchId = (decision) => decision.batchId || decision.pairId;
+
+// Group decisions into [{ batchId, decidedAt, decisions, undoneAt }], newest first
+export const groupDecisionBatches = (duplicateDecisions) => {
+  const batches = new Map();
+  duplicateDecisions.forEach(decision => {
+    const batchId = getBatchId(decision);
+    if (!batches.has(batchId)) {
+      batches.set(batchId, { batchId, decidedAt: decision.decidedAt, decisions: [] });
+    }
+    batches.get(batchId).decisions.push(decision);
+  });
+
+  return [...batches.values()]
+    .map(batch => ({
+      ...batch,
+      undoneAt: batch.decisions.every(decision => decision.undoneAt) ? batch.decisions[0].undoneAt : null
+    }))
+    .sort((a, b) => String(b.decidedAt).localeCompare(String(a.decidedAt)));
+};
@@ -0,0 +1,14 @@
+import { groupDecisionBatches } from './decisionHistory';
+
+test('groupDecisionBatches groups by batch, newest first', () => {
+  const batches = groupDecisionBatches([
+    { batchId: 'b1', pairId: 'p1', decidedAt: '2024-01-01T00:00:00Z' },
+    { batchId: 'b2', pairId: 'p2', decidedAt: '2024-01-02T00:00:00Z', undoneAt: '2024-01-03T00:00:00Z' },
+    { batchId: 'b1', pairId: 'p3', decidedAt: '2024-01-01T00:00:00Z' },
+    { pairId: 'legacy', decidedAt: '2023-12-31T00:00:00Z' }
+  ]);
+  expect(batches.map(batch => batch.batchId)).toEqual(['b2', 'b1', 'legacy']);
+  expect(batches[1].decisions).toHaveLength(2);
+  expect(batches[0].undoneAt).toBe('2024-01-03T00:00:00Z');
+  expect(batches[1].undoneAt).toBeNull();
+});
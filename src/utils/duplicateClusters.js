@@ -0,0 +1,77 @@
+// Merge overlapping duplicate pairs into connected clusters so a group of photos of the
+// same tree can be resolved in one step instead of pair by pair.
+
+// Union-find over image ids
+const createDisjointSet = () => {
+  const parent = new Map();
+
+  const find = (id) => {
+    if (!parent.has(id)) parent.set(id, id);
+    let root = id;
+    while (parent.get(root) !== root) root = parent.get(root);
+    // Path compression
+    let current = id;
+    while (parent.get(current) !== root) {
+      const next = parent.get(current);
+      parent.set(current, root);
+      current = next;
+    }
+    return root;
+  };
+
+  const union = (a, b) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  };
+
+  return { find, union };
+};
+
+// Group pairs into clusters: [{ clusterId, imageIds, pairs }], in the order clusters first appear
+export const buildClusters = (pairs) => {
+  const sets = createDisjointSet();
+  pairs.forEach(pair => sets.union(String(pair.imageId1), String(pair.imageId2)));
+
+  const clusters = new Map();
+  pairs.forEach(pair => {
+    const root = sets.find(String(pair.imageId1));
+    if (!clusters.has(root)) clusters.set(root, { imageIds: [], pairs: [] });
+    const cluster = clusters.get(root);
+    cluster.pairs.push(pair);
+    [String(pair.imageId1), String(pair.imageId2)].forEach(id => {
+      if (!cluster.imageIds.includes(id)) cluster.imageIds.push(id);
+    });
+  });
+
+  return [...clusters.values()].map(cluster => ({
+    ...cluster,
+    clusterId: `cluster_${[...cluster.imageIds].sort()[0]}`
+  }));
+};
+
+// The /save-decision action for one pair given the images kept in its cluster.
+// 'remove_both' covers pairs whose two images are both duplicates of a third keeper.
+export const getPairAction = (pair, keeperIds) => {
+  const keepFirst = keeperIds.has(String(pair.imageId1));
+  const keepSecond = keeperIds.has(String(pair.imageId2));
+  if (keepFirst && keepSecond) return 'save_both';
+  if (keepFirst) return 'keep_first_remove_second';
+  if (keepSecond) return 'remove_first_keep_second';
+  return 'remove_both';
+};
+
+// Images a list of saved decisions removes, as strings. Only decisions that were actually
+// saved or queued should be passed in, so a pair that failed cannot remove anything.
+export const getRemovedImageIds = (decisions) => {
+  const removed = new Set();
+  decisions.forEach(({ action, imageId1, imageId2 }) => {
+    if (action === 'keep_first_remove_second' || action === 'remove_both') removed.add(String(imageId2));
+    if (action === 'remove_first_keep_second' || action === 'remove_both') removed.add(String(imageId1));
+  });
+  return removed;
+};
+
+// Image id with the highest score in a cluster (e.g. target class confidence)
+export const pickBestImage = (imageIds, scoreById) =>
+  imageIds.reduce((best, id) => ((scoreById(id) > scoreById(best)) ? id : best), imageIds[0]);
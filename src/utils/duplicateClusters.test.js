@@ -0,0 +1,40 @@
+import { buildClusters, getPairAction, getRemovedImageIds, pickBestImage } from './duplicateClusters';
+
+const pair = (imageId1, imageId2) => ({ pairId: `${imageId1}-${imageId2}`, imageId1, imageId2 });
+
+test('buildClusters merges overlapping pairs into connected groups', () => {
+  const clusters = buildClusters([pair('a', 'b'), pair('c', 'd'), pair('b', 'c'), pair('x', 'y')]);
+
+  expect(clusters).toHaveLength(2);
+  expect(clusters[0].imageIds.sort()).toEqual(['a', 'b', 'c', 'd']);
+  expect(clusters[0].pairs).toHaveLength(3);
+  expect(clusters[1]).toMatchObject({ clusterId: 'cluster_x', imageIds: ['x', 'y'] });
+});
+
+test('getPairAction maps keepers to the backend decision for each pair', () => {
+  const keepers = new Set(['a']);
+  expect(getPairAction(pair('a', 'b'), keepers)).toBe('keep_first_remove_second');
+  expect(getPairAction(pair('b', 'a'), keepers)).toBe('remove_first_keep_second');
+  expect(getPairAction(pair('b', 'c'), keepers)).toBe('remove_both');
+  expect(getPairAction(pair('a', 'b'), new Set(['a', 'b']))).toBe('save_both');
+});
+
+test('getRemovedImageIds removes only what the saved decisions recorded', () => {
+  const keepers = new Set(['a']);
+  const decide = (p) => ({ ...p, action: getPairAction(p, keepers) });
+
+  // Cluster {a, b, c} keeping a: every decision saved
+  expect([...getRemovedImageIds([decide(pair('a', 'b')), decide(pair('b', 'c')), decide(pair('a', 'c'))])].sort())
+    .toEqual(['b', 'c']);
+  // a-c failed, but b-c (remove both) still recorded c as removed
+  expect([...getRemovedImageIds([decide(pair('a', 'b')), decide(pair('b', 'c'))])].sort()).toEqual(['b', 'c']);
+  // Only a-b saved: c stays until its pairs are retried
+  expect([...getRemovedImageIds([decide(pair('a', 'b'))])]).toEqual(['b']);
+  expect(getRemovedImageIds([{ ...pair(1, 2), action: 'save_both' }]).size).toBe(0);
+  expect([...getRemovedImageIds([{ ...pair(1, 2), action: 'remove_first_keep_second' }])]).toEqual(['1']);
+});
+
+test('pickBestImage returns the highest scoring image', () => {
+  const scores = { a: 0.4, b: 0.9, c: 0.7 };
+  expect(pickBestImage(['a', 'b', 'c'], id => scores[id])).toBe('b');
+});
@@ -0,0 +1,203 @@
+// Evaluate a model against ground-truth labels. Labels come from the folder an image was
+// uploaded from (e.g. eval/mango_tree/IMG_001.jpg) or from a CSV of file name and label;
+// predictions are the top class of each result, from either model in comparison mode.
+
+import { getTopPrediction } from './predictions';
+
+export const LABEL_SOURCES = {
+  folder: 'Folder names',
+  csv: 'CSV file'
+};
+
+export const EVALUATION_MODELS = {
+  primary: 'Active model',
+  teachable_machine: 'Teachable Machine',
+  mobilenet: 'MobileNetV2'
+};
+
+const STORAGE_KEY = 'evaluationSettings';
+
+export const DEFAULT_EVALUATION_SETTINGS = {
+  enabled: false,
+  source: 'folder', // key of LABEL_SOURCES
+  model: 'primary', // key of EVALUATION_MODELS
+  csvName: null,
+  csvLabels: {} // lower-cased file name or path -> label
+};
+
+// Folder and CSV labels rarely match model class names exactly ("Mango Tree" vs "mango_tree")
+const toKey = (label) => label.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Name of the nearest folder containing the file, or null for files picked on their own.
+// ZIP archives appear in upload paths (survey.zip/IMG_001.jpg) but are not class folders.
+export const labelFromPath = (path) => {
+  const folders = (path || '').split('/').filter(Boolean).slice(0, -1)
+    .filter(part => !part.toLowerCase().endsWith('.zip'));
+  return folders.length > 0 ? folders[folders.length - 1] : null;
+};
+
+const splitCSVLine = (line) => {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted && char === '"' && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+};
+
+const FILE_COLUMNS = ['filename', 'file_name', 'file', 'path', 'image', 'image_name'];
+const LABEL_COLUMNS = ['label', 'class', 'class_name', 'ground_truth', 'truth'];
+
+// { labels, count } from a CSV of file name (or relative path) and label. A header row is
+// used when it names the columns; otherwise the first two columns are taken as file and label.
+export const parseLabelsCSV = (text) => {
+  const rows = text.split(/\r?\n/).filter(line => line.trim()).map(splitCSVLine);
+  if (rows.length === 0) throw new Error('The CSV file is empty');
+
+  const header = rows[0].map(toKey);
+  const fileColumn = header.findIndex(name => FILE_COLUMNS.includes(name));
+  const labelColumn = header.findIndex(name => LABEL_COLUMNS.includes(name));
+  const hasHeader = fileColumn !== -1 && labelColumn !== -1;
+  const [fileIndex, labelIndex] = hasHeader ? [fileColumn, labelColumn] : [0, 1];
+
+  const labels = {};
+  rows.slice(hasHeader ? 1 : 0).forEach(row => {
+    const file = row[fileIndex];
+    const label = row[labelIndex];
+    if (file && label) labels[file.toLowerCase()] = label;
+  });
+
+  const count = Object.keys(labels).length;
+  if (count === 0) throw new Error('No file name and label pairs found in the CSV file');
+  return { labels, count };
+};
+
+// Ground-truth label for one result, or null when it has none
+export const getGroundTruth = (result, settings) => {
+  if (settings.source === 'csv') {
+    const labels = settings.csvLabels || {};
+    const path = (result.sourcePath || '').toLowerCase();
+    return labels[path] || labels[result.file.name.toLowerCase()] || null;
+  }
+  return labelFromPath(result.sourcePath);
+};
+
+export const getModelPredictions = (result, model) =>
+  model === 'primary' ? result.predictions : (result.comparison && result.comparison[model]) || null;
+
+const getProbability = (predictions, className) => {
+  const match = (predictions || []).find(pred => toKey(pred.className) === toKey(className));
+  return match ? match.probability : 0;
+};
+
+// Pair each labeled result with its predicted top class: [{ id, truth, predicted, predictions }].
+// Labels are mapped onto the model's class names so they compare like for like.
+export const buildEvaluationItems = (results, settings, model = 'primary') => {
+  const items = [];
+
+  results.forEach(result => {
+    const label = getGroundTruth(result, settings);
+    const predictions = getModelPredictions(result, model);
+    const top = getTopPrediction(predictions);
+    if (!label || !top) return;
+
+    const match = predictions.find(pred => toKey(pred.className) === toKey(label));
+    items.push({
+      id: String(result.id),
+      truth: match ? match.className : label,
+      predicted: top.className,
+      predictions
+    });
+  });
+
+  return items;
+};
+
+// Accuracy, per-class precision/recall and the confusion matrix (rows are ground truth,
+// columns are predictions). Precision or recall is null when its denominator is zero.
+export const evaluate = (items) => {
+  const classes = [...new Set(items.flatMap(item => [item.truth, item.predicted]))].sort();
+  const index = new Map(classes.map((className, i) => [className, i]));
+  const matrix = classes.map(() => classes.map(() => 0));
+
+  items.forEach(item => {
+    matrix[index.get(item.truth)][index.get(item.predicted)]++;
+  });
+
+  const correct = items.filter(item => item.truth === item.predicted).length;
+  const perClass = classes.map((className, i) => {
+    const truePositives = matrix[i][i];
+    const support = matrix[i].reduce((sum, count) => sum + count, 0);
+    const predicted = matrix.reduce((sum, row) => sum + row[i], 0);
+    return {
+      className,
+      support,
+      predicted,
+      precision: predicted > 0 ? truePositives / predicted : null,
+      recall: support > 0 ? truePositives / support : null
+    };
+  });
+
+  return {
+    total: items.length,
+    correct,
+    accuracy: items.length > 0 ? correct / items.length : null,
+    classes,
+    matrix,
+    perClass
+  };
+};
+
+const scoreItems = (items, positiveClass) => items.map(item => ({
+  positive: toKey(item.truth) === toKey(positiveClass),
+  score: getProbability(item.predictions, positiveClass)
+}));
+
+const measureAt = (scored, threshold) => {
+  const positives = scored.filter(item => item.positive).length;
+  const flagged = scored.filter(item => item.score > threshold);
+  const truePositives = flagged.filter(item => item.positive).length;
+  return {
+    threshold,
+    precision: flagged.length > 0 ? truePositives / flagged.length : null,
+    recall: positives > 0 ? truePositives / positives : null
+  };
+};
+
+// Precision and recall of `positiveClass` when an image counts as positive once its
+// probability exceeds `threshold`, matching how the detect threshold is applied
+export const precisionRecallAt = (items, positiveClass, threshold) =>
+  measureAt(scoreItems(items, positiveClass), threshold);
+
+// The same at evenly spaced thresholds between 0 and 1 (exclusive)
+export const precisionRecallCurve = (items, positiveClass, steps = 20) => {
+  const scored = scoreItems(items, positiveClass);
+  return Array.from({ length: steps - 1 }, (_, i) => measureAt(scored, (i + 1) / steps));
+};
+
+export const loadEvaluationSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? { ...DEFAULT_EVALUATION_SETTINGS, ...stored } : DEFAULT_EVALUATION_SETTINGS;
+  } catch (error) {
+    return DEFAULT_EVALUATION_SETTINGS;
+  }
+};
+
+export const saveEvaluationSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
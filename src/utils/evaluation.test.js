@@ -0,0 +1,77 @@
+import {
+  buildEvaluationItems,
+  evaluate,
+  getGroundTruth,
+  labelFromPath,
+  parseLabelsCSV,
+  precisionRecallCurve
+} from './evaluation';
+
+const result = (id, sourcePath, mango, other = 1 - mango) => ({
+  id,
+  sourcePath,
+  file: { name: sourcePath.split('/').pop() },
+  predictions: [
+    { className: 'mango_tree', probability: mango },
+    { className: 'other', probability: other }
+  ]
+});
+
+test('labelFromPath uses the parent folder', () => {
+  expect(labelFromPath('eval/mango_tree/IMG_1.jpg')).toBe('mango_tree');
+  expect(labelFromPath('IMG_1.jpg')).toBeNull();
+  expect(labelFromPath(undefined)).toBeNull();
+});
+
+test('labelFromPath skips ZIP archives in the path', () => {
+  expect(labelFromPath('survey.zip/IMG_1.jpg')).toBeNull();
+  expect(labelFromPath('survey.zip/mango_tree/IMG_1.jpg')).toBe('mango_tree');
+  expect(labelFromPath('eval/other/Batch.ZIP/IMG_1.jpg')).toBe('other');
+});
+
+test('parseLabelsCSV reads headed and headerless files', () => {
+  const headed = parseLabelsCSV('label,filename\nmango_tree,IMG_1.JPG\n"Other, misc",IMG_2.jpg\n');
+  expect(headed.labels).toEqual({ 'img_1.jpg': 'mango_tree', 'img_2.jpg': 'Other, misc' });
+
+  expect(parseLabelsCSV('a.jpg,other\r\nb.jpg,mango_tree').count).toBe(2);
+  expect(() => parseLabelsCSV('\n\n')).toThrow(/empty/);
+});
+
+test('getGroundTruth prefers the CSV path, then the file name', () => {
+  const settings = { source: 'csv', csvLabels: { 'batch/a.jpg': 'other', 'a.jpg': 'mango_tree' } };
+  expect(getGroundTruth(result(1, 'batch/a.jpg', 0.9), settings)).toBe('other');
+  expect(getGroundTruth(result(2, 'elsewhere/A.jpg', 0.9), settings)).toBe('mango_tree');
+  expect(getGroundTruth(result(3, 'mango_tree/b.jpg', 0.9), settings)).toBeNull();
+});
+
+test('evaluate builds the confusion matrix and per-class precision/recall', () => {
+  const items = buildEvaluationItems([
+    result(1, 'Mango Tree/1.jpg', 0.9),
+    result(2, 'Mango Tree/2.jpg', 0.4),
+    result(3, 'other/3.jpg', 0.2),
+    result(4, 'other/4.jpg', 0.7),
+    result(5, 'loose.jpg', 0.7)
+  ], { source: 'folder' });
+
+  expect(items.map(item => item.truth)).toEqual(['mango_tree', 'mango_tree', 'other', 'other']);
+
+  const report = evaluate(items);
+  expect(report.accuracy).toBe(0.5);
+  expect(report.classes).toEqual(['mango_tree', 'other']);
+  expect(report.matrix).toEqual([[1, 1], [1, 1]]);
+  expect(report.perClass[0]).toMatchObject({ className: 'mango_tree', precision: 0.5, recall: 0.5, support: 2 });
+});
+
+test('precisionRecallCurve trades recall for precision as the threshold rises', () => {
+  const items = buildEvaluationItems([
+    result(1, 'mango_tree/1.jpg', 0.9),
+    result(2, 'mango_tree/2.jpg', 0.6),
+    result(3, 'other/3.jpg', 0.7)
+  ], { source: 'folder' });
+
+  const curve = precisionRecallCurve(items, 'mango_tree', 10);
+  expect(curve).toHaveLength(9);
+  expect(curve[4]).toEqual({ threshold: 0.5, precision: 2 / 3, recall: 1 });
+  expect(curve[7]).toEqual({ threshold: 0.8, precision: 1, recall: 0.5 });
+  expect(curve[8]).toEqual({ threshold: 0.9, precision: null, recall: 0 });
+});
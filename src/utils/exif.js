@@ -0,0 +1,91 @@
+// EXIF metadata extraction (GPS fix, capture time, camera and dimensions) via exif-js.
+
+import EXIF from 'exif-js';
+
+// exif-js does not name the GPS horizontal positioning error tag; register it so getTag finds it
+EXIF.GPSTags[0x001F] = 'GPSHPositioningError';
+
+// Rough conversion from dilution of precision to meters when no explicit error is recorded
+const DOP_TO_METERS = 5;
+
+// Helper function to convert DMS (Degrees, Minutes, Seconds) to Decimal Degrees
+export const convertDMSToDD = (dms, ref) => {
+  let dd = Number(dms[0]) + Number(dms[1]) / 60 + Number(dms[2]) / 3600;
+  if (ref === "S" || ref === "W") {
+    dd = dd * -1;
+  }
+  return dd;
+};
+
+// exif-js returns rationals as Number objects and may return NaN for 0/0
+const toNumber = (value) => {
+  if (value === undefined || value === null) return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// "YYYY:MM:DD HH:MM:SS" (camera local time) -> "YYYY-MM-DDTHH:MM:SS"
+export const parseExifDate = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  if (!match || match[1] === '0000') return null;
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return `${year}-${month}-${day}T${hours}:${minutes}:${seconds}`;
+};
+
+const readLocation = (image) => {
+  const lat = EXIF.getTag(image, "GPSLatitude");
+  const lon = EXIF.getTag(image, "GPSLongitude");
+  const latRef = EXIF.getTag(image, "GPSLatitudeRef");
+  const lonRef = EXIF.getTag(image, "GPSLongitudeRef");
+
+  if (!(lat && lon && latRef && lonRef)) {
+    return null; // No GPS data available
+  }
+
+  const altitude = toNumber(EXIF.getTag(image, "GPSAltitude"));
+  const positioningError = toNumber(EXIF.getTag(image, "GPSHPositioningError"));
+  const dop = toNumber(EXIF.getTag(image, "GPSDOP"));
+
+  return {
+    latitude: convertDMSToDD(lat, latRef),
+    longitude: convertDMSToDD(lon, lonRef),
+    altitude: altitude !== null && EXIF.getTag(image, "GPSAltitudeRef") === 1 ? -altitude : altitude,
+    accuracy: positioningError !== null ? positioningError : dop !== null ? dop * DOP_TO_METERS : null,
+    accuracySource: positioningError !== null ? 'positioning_error' : dop !== null ? 'dop_estimate' : null,
+    direction: toNumber(EXIF.getTag(image, "GPSImgDirection")),
+    directionRef: EXIF.getTag(image, "GPSImgDirectionRef") || null // 'T' true north, 'M' magnetic
+  };
+};
+
+// Everything the app uses from EXIF in one read. Missing values are null.
+export const extractExifMetadata = (file) => new Promise((resolve) => {
+  EXIF.getData(file, function () {
+    const width = toNumber(EXIF.getTag(this, "PixelXDimension")) || toNumber(EXIF.getTag(this, "ImageWidth"));
+    const height = toNumber(EXIF.getTag(this, "PixelYDimension")) || toNumber(EXIF.getTag(this, "ImageHeight"));
+    const make = EXIF.getTag(this, "Make");
+    const model = EXIF.getTag(this, "Model");
+
+    resolve({
+      location: readLocation(this),
+      orientation: EXIF.getTag(this, "Orientation") || 1,
+      captureTime: parseExifDate(EXIF.getTag(this, "DateTimeOriginal")) || parseExifDate(EXIF.getTag(this, "DateTime")),
+      camera: {
+        make: make ? String(make).trim() : null,
+        model: model ? String(model).trim() : null
+      },
+      width,
+      height
+    });
+  });
+});
+
+// Best-known capture time in milliseconds for sorting: EXIF, then file date, then processing time
+export const getCaptureTimeMs = (result) => {
+  if (result.captureTime) {
+    const parsed = Date.parse(result.captureTime);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  if (result.file && result.file.lastModified) return result.file.lastModified;
+  return result.processedAt || 0;
+};
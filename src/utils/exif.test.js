@@ -0,0 +1,23 @@
+import { convertDMSToDD, parseExifDate, getCaptureTimeMs } from './exif';
+
+// exif-js returns GPS components as Number objects carrying the original rational
+const rational = (numerator, denominator = 1) => Object.assign(Object(numerator / denominator), { numerator, denominator });
+
+test('convertDMSToDD handles hemispheres and rational Number objects', () => {
+  expect(convertDMSToDD([rational(12), rational(30), rational(0)], 'N')).toBeCloseTo(12.5);
+  expect(convertDMSToDD([rational(12), rational(61, 2), rational(0)], 'S')).toBeCloseTo(-12.5083);
+  expect(convertDMSToDD([77, 15, 0], 'W')).toBeCloseTo(-77.25);
+});
+
+test('parseExifDate converts EXIF timestamps and rejects empty ones', () => {
+  expect(parseExifDate('2024:05:01 10:22:03')).toBe('2024-05-01T10:22:03');
+  expect(parseExifDate('0000:00:00 00:00:00')).toBeNull();
+  expect(parseExifDate(undefined)).toBeNull();
+});
+
+test('getCaptureTimeMs prefers EXIF capture time over file and processing dates', () => {
+  const file = { lastModified: 5000 };
+  expect(getCaptureTimeMs({ captureTime: '2024-05-01T10:22:03', file })).toBe(Date.parse('2024-05-01T10:22:03'));
+  expect(getCaptureTimeMs({ captureTime: null, file })).toBe(5000);
+  expect(getCaptureTimeMs({ captureTime: null, file: {}, processedAt: 42 })).toBe(42);
+});
@@ -0,0 +1,208 @@
+// Export classified results as CSV, GeoJSON and KML.
+// Every remaining image is exported; images without GPS are kept with empty coordinates
+// (CSV), a null geometry (GeoJSON) or in a separate folder without a point (KML).
+
+import { getTopPrediction } from './predictions';
+
+const involves = (entry, id) => String(entry.imageId1) === String(id) || String(entry.imageId2) === String(id);
+
+// Summarize how an image came out of duplicate review
+export const getDuplicateOutcome = (id, duplicatePairs, duplicateDecisions) => {
+  if (duplicatePairs.some(pair => involves(pair, id))) return 'pending_review';
+
+  const decisions = duplicateDecisions.filter(decision => !decision.undoneAt && involves(decision, id));
+  if (decisions.length === 0) return 'no_duplicates';
+  if (decisions.some(decision => decision.action !== 'save_both')) return 'kept_duplicate_removed';
+  return 'kept_both';
+};
+
+const getCaptureTime = (result) => {
+  if (result.captureTime) return result.captureTime;
+  return result.file.lastModified ? new Date(result.file.lastModified).toISOString() : '';
+};
+
+// Where the coordinates came from: 'exif', 'device_geolocation', or 'gpx_track' / 'manual'
+// for inferred locations
+const getLocationSource = (location) => {
+  if (!location) return '';
+  if (location.inferred) return location.inferred;
+  return location.accuracySource === 'device_geolocation' ? 'device_geolocation' : 'exif';
+};
+
+// Flatten results into one plain record per image
+export const buildExportRows = (imageResults, duplicatePairs = [], duplicateDecisions = []) =>
+  imageResults.map(result => {
+    const top = getTopPrediction(result.predictions);
+    const probabilities = {};
+    result.predictions.forEach(pred => {
+      probabilities[pred.className] = pred.probability;
+    });
+
+    return {
+      id: String(result.id),
+      fileName: result.file.name,
+      topClass: top ? top.className : '',
+      topProbability: top ? top.probability : null,
+      humanLabel: result.humanLabel || '',
+      probabilities,
+      latitude: result.location ? result.location.latitude : null,
+      longitude: result.location ? result.location.longitude : null,
+      hasLocation: !!result.location,
+      locationSource: getLocationSource(result.location),
+      captureTime: getCaptureTime(result),
+      duplicateOutcome: getDuplicateOutcome(result.id, duplicatePairs, duplicateDecisions)
+    };
+  });
+
+// Every class name seen across all rows, in first-seen order
+const collectClassNames = (rows) => {
+  const names = [];
+  rows.forEach(row => {
+    Object.keys(row.probabilities).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+};
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (rows) => {
+  const classNames = collectClassNames(rows);
+  const header = [
+    'file_name', 'top_class', 'top_probability', 'human_label',
+    ...classNames.map(name => `p_${name}`),
+    'latitude', 'longitude', 'has_gps', 'location_source', 'capture_time', 'duplicate_outcome'
+  ];
+
+  const lines = rows.map(row => [
+    row.fileName,
+    row.topClass,
+    row.topProbability,
+    row.humanLabel,
+    ...classNames.map(name => row.probabilities[name]),
+    row.latitude,
+    row.longitude,
+    row.hasLocation ? 'yes' : 'no',
+    row.locationSource,
+    row.captureTime,
+    row.duplicateOutcome
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...lines].join('\n');
+};
+
+// Audit log of every duplicate decision, including ones that were later undone
+export const toDecisionLogCSV = (duplicateDecisions) => {
+  const header = [
+    'decided_at', 'batch_id', 'pair_id', 'action', 'image_id_1', 'image_name_1', 'image_id_2', 'image_name_2',
+    'distance_m', 'sync_status', 'undone_at', 'undo_sync_status'
+  ];
+
+  const lines = duplicateDecisions.map(decision => [
+    decision.decidedAt,
+    decision.batchId,
+    decision.pairId,
+    decision.action,
+    decision.imageId1,
+    decision.imageName1,
+    decision.imageId2,
+    decision.imageName2,
+    typeof decision.distance === 'number' ? decision.distance.toFixed(2) : '',
+    decision.syncStatus,
+    decision.undoneAt,
+    decision.undoSyncStatus
+  ].map(escapeCsv).join(','));
+
+  return [header.join(','), ...lines].join('\n');
+};
+
+export const toGeoJSON = (rows) => JSON.stringify({
+  type: 'FeatureCollection',
+  features: rows.map(row => ({
+    type: 'Feature',
+    // RFC 7946 allows unlocated features with a null geometry
+    geometry: row.hasLocation ? { type: 'Point', coordinates: [row.longitude, row.latitude] } : null,
+    properties: {
+      id: row.id,
+      fileName: row.fileName,
+      topClass: row.topClass,
+      topProbability: row.topProbability,
+      humanLabel: row.humanLabel || null,
+      probabilities: row.probabilities,
+      hasGps: row.hasLocation,
+      locationSource: row.locationSource || null,
+      captureTime: row.captureTime,
+      duplicateOutcome: row.duplicateOutcome
+    }
+  }))
+}, null, 2);
+
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const toPlacemark = (row) => {
+  const data = [
+    ['topClass', row.topClass],
+    ['topProbability', row.topProbability],
+    ['humanLabel', row.humanLabel],
+    ...Object.entries(row.probabilities).map(([name, probability]) => [`p_${name}`, probability]),
+    ['locationSource', row.locationSource],
+    ['captureTime', row.captureTime],
+    ['duplicateOutcome', row.duplicateOutcome]
+  ].map(([name, value]) => `        <Data name="${escapeXml(name)}"><value>${escapeXml(value)}</value></Data>`);
+
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(row.fileName)}</name>`,
+    `      <description>${escapeXml(`${row.topClass} (${((row.topProbability || 0) * 100).toFixed(1)}%)`)}</description>`,
+    '      <ExtendedData>',
+    ...data,
+    '      </ExtendedData>',
+    ...(row.hasLocation ? [`      <Point><coordinates>${row.longitude},${row.latitude},0</coordinates></Point>`] : []),
+    '    </Placemark>'
+  ].join('\n');
+};
+
+export const toKML = (rows, documentName = 'Mango tree survey') => {
+  const located = rows.filter(row => row.hasLocation);
+  const unlocated = rows.filter(row => !row.hasLocation);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '<Document>',
+    `  <name>${escapeXml(documentName)}</name>`,
+    '  <Folder>',
+    '    <name>With GPS</name>',
+    ...located.map(toPlacemark),
+    '  </Folder>',
+    '  <Folder>',
+    '    <name>Without GPS</name>',
+    ...unlocated.map(toPlacemark),
+    '  </Folder>',
+    '</Document>',
+    '</kml>'
+  ].join('\n');
+};
+
+// Trigger a browser download for generated content
+export const downloadFile = (content, fileName, mimeType) => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
@@ -0,0 +1,65 @@
+import { buildExportRows, toCSV, toDecisionLogCSV, toGeoJSON, toKML } from './exporters';
+
+const makeResult = (id, name, location) => ({
+  id,
+  file: { name, lastModified: 0 },
+  predictions: [
+    { className: 'mango_tree', probability: 0.8 },
+    { className: 'not_mango_tree', probability: 0.2 }
+  ],
+  location
+});
+
+const results = [
+  makeResult(1, 'a.jpg', { latitude: 12.5, longitude: 77.25 }),
+  makeResult(2, 'b, "quoted".jpg', null)
+];
+
+test('buildExportRows records top class and duplicate outcome', () => {
+  const rows = buildExportRows(results, [], [
+    { pairId: 'p', action: 'save_both', imageId1: '1', imageId2: '3' }
+  ]);
+  expect(rows[0]).toMatchObject({ topClass: 'mango_tree', duplicateOutcome: 'kept_both', hasLocation: true, locationSource: 'exif' });
+  expect(rows[1]).toMatchObject({ duplicateOutcome: 'no_duplicates', hasLocation: false, latitude: null, locationSource: '' });
+  const [manual] = buildExportRows([makeResult(3, 'c.jpg', { latitude: 1, longitude: 2, inferred: 'manual' })]);
+  expect(manual.locationSource).toBe('manual');
+});
+
+test('toCSV keeps images without GPS and escapes fields', () => {
+  const csv = toCSV(buildExportRows(results)).split('\n');
+  expect(csv[0]).toBe('file_name,top_class,top_probability,human_label,p_mango_tree,p_not_mango_tree,latitude,longitude,has_gps,location_source,capture_time,duplicate_outcome');
+  expect(csv).toHaveLength(3);
+  expect(csv[2]).toMatch(/^"b, ""quoted"".jpg",mango_tree,0.8,,0.8,0.2,,,no,/);
+});
+
+test('toGeoJSON uses null geometry for images without GPS', () => {
+  const geojson = JSON.parse(toGeoJSON(buildExportRows(results)));
+  expect(geojson.features[0].geometry).toEqual({ type: 'Point', coordinates: [77.25, 12.5] });
+  expect(geojson.features[1].geometry).toBeNull();
+});
+
+test('toKML places images without GPS in their own folder', () => {
+  const kml = toKML(buildExportRows(results));
+  expect(kml).toContain('<coordinates>77.25,12.5,0</coordinates>');
+  expect(kml).toContain('<name>Without GPS</name>');
+  expect(kml).toContain('b, &quot;quoted&quot;.jpg');
+});
+
+test('undone decisions no longer count towards the duplicate outcome', () => {
+  const rows = buildExportRows(results, [], [
+    { pairId: 'p', action: 'keep_first_remove_second', imageId1: '1', imageId2: '3', undoneAt: '2024-01-01T00:00:00Z' }
+  ]);
+  expect(rows[0].duplicateOutcome).toBe('no_duplicates');
+});
+
+test('toDecisionLogCSV lists every decision with its undo state', () => {
+  const csv = toDecisionLogCSV([
+    {
+      decidedAt: '2024-01-01T00:00:00Z', batchId: 'b1', pairId: 'p', action: 'save_both',
+      imageId1: '1', imageName1: 'a.jpg', imageId2: '2', imageName2: 'b.jpg',
+      distance: 1.234, syncStatus: 'synced', undoneAt: '2024-01-02T00:00:00Z', undoSyncStatus: 'queued'
+    }
+  ]).split('\n');
+  expect(csv).toHaveLength(2);
+  expect(csv[1]).toBe('2024-01-01T00:00:00Z,b1,p,save_both,1,a.jpg,2,b.jpg,1.23,synced,2024-01-02T00:00:00Z,queued');
+});
@@ -0,0 +1,42 @@
+// Helpers for field capture mode: photos taken in the app with the device camera.
+// Frames carry no EXIF, so their location comes from the Geolocation API instead and is
+// stored in the same shape extractExifMetadata produces.
+
+// Convert a GeolocationPosition into the app's location shape
+export const positionToLocation = (position) => {
+  const { latitude, longitude, altitude, accuracy, heading } = position.coords;
+  return {
+    latitude,
+    longitude,
+    altitude: typeof altitude === 'number' ? altitude : null,
+    accuracy: typeof accuracy === 'number' ? accuracy : null,
+    accuracySource: 'device_geolocation',
+    // Heading is the direction of travel, reported relative to true north
+    direction: typeof heading === 'number' && !Number.isNaN(heading) ? heading : null,
+    directionRef: typeof heading === 'number' && !Number.isNaN(heading) ? 'T' : null
+  };
+};
+
+// A fix older than this is shown as stale; the device may have moved since
+export const STALE_POSITION_MS = 30000;
+
+export const isPositionStale = (position, now = Date.now()) =>
+  !position || now - position.timestamp > STALE_POSITION_MS;
+
+// Grab the current video frame as a JPEG File named after the capture time
+export const captureVideoFrame = (video, quality = 0.92) => new Promise((resolve, reject) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = video.videoWidth;
+  canvas.height = video.videoHeight;
+  canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+  canvas.toBlob(blob => {
+    if (!blob) {
+      reject(new Error('Could not capture a frame from the camera'));
+      return;
+    }
+    const now = new Date();
+    const name = `capture-${now.toISOString().replace(/[:.]/g, '-')}.jpg`;
+    resolve(new File([blob], name, { type: 'image/jpeg', lastModified: now.getTime() }));
+  }, 'image/jpeg', quality);
+});
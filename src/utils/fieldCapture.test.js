@@ -0,0 +1,23 @@
+import { isPositionStale, positionToLocation } from './fieldCapture';
+
+test('positionToLocation keeps accuracy and marks the device as the source', () => {
+  const location = positionToLocation({
+    coords: { latitude: 12.5, longitude: 77.25, altitude: null, accuracy: 4.2, heading: NaN },
+    timestamp: 0
+  });
+  expect(location).toEqual({
+    latitude: 12.5,
+    longitude: 77.25,
+    altitude: null,
+    accuracy: 4.2,
+    accuracySource: 'device_geolocation',
+    direction: null,
+    directionRef: null
+  });
+});
+
+test('isPositionStale flags missing and old fixes', () => {
+  expect(isPositionStale(null)).toBe(true);
+  expect(isPositionStale({ timestamp: 0 }, 60000)).toBe(true);
+  expect(isPositionStale({ timestamp: 50000 }, 60000)).toBe(false);
+});
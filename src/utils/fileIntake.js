@@ -0,0 +1,202 @@
+// Turn whatever the user hands us — picked files, dropped folders, ZIP archives — into a flat
+// list of images to classify. Everything left out is reported with a reason, and files whose
+// bytes match an image already loaded (or one earlier in the same batch) are skipped, so the
+// same photo uploaded twice is not mistaken for two nearby trees.
+//
+// An upload item is { file, path, metadata }: `path` is where the file came from (folder or
+// archive path, else the file name) and `metadata` is passed through to processFile. Files
+// inside archives have no `file` yet; they carry `name`, `type` and `loadFile()` instead and
+// are decompressed only when needed, so a large archive is never held in memory all at once.
+
+import JSZip from 'jszip';
+
+// Formats browsers can decode, by extension
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  avif: 'image/avif'
+};
+
+const SUPPORTED_MIME_TYPES = new Set(Object.values(IMAGE_TYPES));
+
+const getExtension = (name) => {
+  const match = /\.([^./]+)$/.exec(name);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const getBaseName = (path) => path.split('/').pop();
+
+export const isArchive = (file) =>
+  getExtension(file.name) === 'zip' || file.type === 'application/zip' || file.type === 'application/x-zip-compressed';
+
+// Why a file cannot be classified, or null when it is a supported image
+export const getSkipReason = (file, path = file.name) => {
+  const baseName = getBaseName(path);
+  if (baseName.startsWith('.') || path.split('/').includes('__MACOSX')) return 'Hidden or system file';
+  if (SUPPORTED_MIME_TYPES.has(file.type) || IMAGE_TYPES[getExtension(baseName)]) return null;
+  if (file.type.startsWith('image/')) return `Unsupported image format (${file.type})`;
+  return `Not an image${getExtension(baseName) ? ` (.${getExtension(baseName)})` : ''}`;
+};
+
+export const toUploadItems = (files) =>
+  Array.from(files).map(file => ({ file, path: file.webkitRelativePath || file.name, metadata: {} }));
+
+// Read every file under a dropped directory entry. readEntries returns results in chunks,
+// so it is called until it comes back empty.
+const readDirectoryEntry = async (directoryEntry) => {
+  const reader = directoryEntry.createReader();
+  const entries = [];
+  for (;;) {
+    const chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (chunk.length === 0) break;
+    entries.push(...chunk);
+  }
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+};
+
+const readEntry = async (entry) => {
+  if (entry.isDirectory) return readDirectoryEntry(entry);
+  const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+  return [{ file, path: entry.fullPath.replace(/^\//, ''), metadata: {} }];
+};
+
+// Upload items from a drop event, walking into dropped folders where the browser allows it
+export const collectDroppedItems = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null));
+
+  if (entries.length === 0 || entries.some(entry => !entry)) {
+    return toUploadItems(dataTransfer.files);
+  }
+
+  const nested = await Promise.all(entries.map(readEntry));
+  return nested.flat();
+};
+
+// Name and type of an item's file, without extracting it
+const describeItem = (item) => item.file || { name: item.name, type: item.type };
+
+// The item's file, decompressed from its archive when it came from one
+export const loadUploadFile = async (item) => item.file || item.loadFile();
+
+const toArchiveEntryItem = (entry, item) => {
+  const name = getBaseName(entry.name);
+  const type = IMAGE_TYPES[getExtension(name)] || '';
+  const lastModified = entry.date ? entry.date.getTime() : Date.now();
+  return {
+    path: `${item.path}/${entry.name}`,
+    metadata: item.metadata,
+    name,
+    type,
+    loadFile: async () => new File([await entry.async('blob')], name, { type, lastModified })
+  };
+};
+
+// Replace ZIP archives with the files inside them (nested archives included). Only the
+// archives themselves are read here; the files inside are left for `loadUploadFile`.
+export const expandArchives = async (items) => {
+  const expanded = [];
+  const skipped = [];
+
+  for (const item of items) {
+    if (!isArchive(describeItem(item))) {
+      expanded.push(item);
+      continue;
+    }
+
+    try {
+      const zip = await JSZip.loadAsync(await loadUploadFile(item));
+      const inner = Object.values(zip.files)
+        .filter(entry => !entry.dir)
+        .map(entry => toArchiveEntryItem(entry, item));
+      const nested = await expandArchives(inner);
+      expanded.push(...nested.items);
+      skipped.push(...nested.skipped);
+    } catch (error) {
+      skipped.push({ path: item.path, reason: `Could not read archive (${error.message})` });
+    }
+  }
+
+  return { items: expanded, skipped };
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// 64-bit FNV-1a as two 32-bit halves, for when Web Crypto is unavailable (plain http)
+const fnv1a64 = (bytes) => {
+  let high = 0xcbf29ce4;
+  let low = 0x84222325;
+  for (let i = 0; i < bytes.length; i++) {
+    low = (low ^ bytes[i]) >>> 0;
+    // Multiply by the FNV prime 2^40 + 0x1b3 modulo 2^64, split so every product stays exact
+    const lowProduct = low * 0x1b3;
+    const carry = Math.floor(lowProduct / 0x100000000);
+    high = (Math.imul(high, 0x1b3) + Math.imul(low, 0x100) + carry) >>> 0;
+    low = lowProduct >>> 0;
+  }
+  return high.toString(16).padStart(8, '0') + low.toString(16).padStart(8, '0');
+};
+
+const readBytes = (blob) => (blob.arrayBuffer
+  ? blob.arrayBuffer()
+  : new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  }));
+
+// Content hash of a file's bytes
+export const hashFile = async (file) => {
+  const buffer = await readBytes(file);
+  if (window.crypto && window.crypto.subtle) {
+    return `sha256:${toHex(await window.crypto.subtle.digest('SHA-256', buffer))}`;
+  }
+  return `fnv1a64:${fnv1a64(new Uint8Array(buffer))}`;
+};
+
+// Expand archives, drop unsupported files and byte-identical copies.
+// `existingResults` are the images already loaded; their `contentHash` is computed here if missing.
+// Archive entries are extracted one at a time to hash them and stay lazy in `accepted`.
+// Resolves to { accepted: items with `contentHash`, skipped: [{ path, reason }] }.
+export const prepareUploads = async (items, existingResults = [], hash = hashFile) => {
+  const { items: expanded, skipped } = await expandArchives(items);
+
+  const known = new Map();
+  for (const result of existingResults) {
+    const contentHash = result.contentHash || await hash(result.file);
+    if (!known.has(contentHash)) known.set(contentHash, { name: result.file.name, loaded: true });
+  }
+
+  const accepted = [];
+  for (const item of expanded) {
+    const reason = getSkipReason(describeItem(item), item.path);
+    if (reason) {
+      skipped.push({ path: item.path, reason });
+      continue;
+    }
+
+    const contentHash = await hash(await loadUploadFile(item));
+    const match = known.get(contentHash);
+    if (match) {
+      skipped.push({
+        path: item.path,
+        reason: match.loaded ? `Same file as ${match.name}, already loaded` : `Same file as ${match.name} in this upload`
+      });
+      continue;
+    }
+
+    known.set(contentHash, { name: item.path, loaded: false });
+    accepted.push({ ...item, contentHash });
+  }
+
+  return { accepted, skipped };
+};
@@ -0,0 +1,71 @@
+import JSZip from 'jszip';
+import { getSkipReason, hashFile, loadUploadFile, prepareUploads } from './fileIntake';
+
+const makeItem = (name, content = name, type = '') => ({
+  file: new File([content], name, { type }),
+  path: name,
+  metadata: {}
+});
+
+test('getSkipReason accepts images by type or extension and explains the rest', () => {
+  expect(getSkipReason(new File(['x'], 'a.JPG'))).toBeNull();
+  expect(getSkipReason(new File(['x'], 'photo', { type: 'image/png' }))).toBeNull();
+  expect(getSkipReason(new File(['x'], 'notes.txt', { type: 'text/plain' }))).toBe('Not an image (.txt)');
+  expect(getSkipReason(new File(['x'], 'a.heic', { type: 'image/heic' }))).toBe('Unsupported image format (image/heic)');
+  expect(getSkipReason(new File(['x'], 'a.jpg'), '__MACOSX/._a.jpg')).toBe('Hidden or system file');
+});
+
+test('hashFile matches byte-identical files only', async () => {
+  const first = await hashFile(new File(['same bytes'], 'a.jpg'));
+  const second = await hashFile(new File(['same bytes'], 'b.jpg'));
+  const third = await hashFile(new File(['other bytes'], 'c.jpg'));
+  expect(first).toBe(second);
+  expect(first).not.toBe(third);
+});
+
+test('prepareUploads skips copies of loaded images and repeats within the batch', async () => {
+  const hash = async (file) => `h:${file.size}:${file.name.replace(/^copy-/, '')}`;
+  const existing = [{ file: new File(['aaa'], 'a.jpg'), contentHash: 'h:3:a.jpg' }];
+  const { accepted, skipped } = await prepareUploads([
+    makeItem('copy-a.jpg', 'aaa'),
+    makeItem('b.jpg', 'bbb'),
+    makeItem('copy-b.jpg', 'bbb'),
+    makeItem('readme.md')
+  ], existing, hash);
+
+  expect(accepted.map(item => item.path)).toEqual(['b.jpg']);
+  expect(accepted[0].contentHash).toBe('h:3:b.jpg');
+  expect(skipped).toEqual([
+    { path: 'copy-a.jpg', reason: 'Same file as a.jpg, already loaded' },
+    { path: 'copy-b.jpg', reason: 'Same file as b.jpg in this upload' },
+    { path: 'readme.md', reason: 'Not an image (.md)' }
+  ]);
+});
+
+test('prepareUploads lists images in ZIP archives and extracts them on demand', async () => {
+  const nested = new JSZip();
+  nested.file('IMG_2.jpg', 'second tree');
+  const zip = new JSZip();
+  zip.file('plot-1/tree.jpg', 'tree');
+  zip.file('plot-1/notes.txt', 'notes');
+  zip.file('plot-2.zip', await nested.generateAsync({ type: 'uint8array' }));
+  const bytes = await zip.generateAsync({ type: 'uint8array' });
+  const archive = { file: new File([bytes], 'survey.zip', { type: 'application/zip' }), path: 'survey.zip', metadata: {} };
+
+  const hashed = [];
+  const { accepted, skipped } = await prepareUploads([archive], [], async (file) => {
+    hashed.push(`${file.name}:${file.size}`);
+    return file.name;
+  });
+  expect(accepted.map(item => item.path).sort()).toEqual(['survey.zip/plot-1/tree.jpg', 'survey.zip/plot-2.zip/IMG_2.jpg']);
+  expect(hashed.sort()).toEqual(['IMG_2.jpg:11', 'tree.jpg:4']);
+  expect(skipped).toEqual([{ path: 'survey.zip/plot-1/notes.txt', reason: 'Not an image (.txt)' }]);
+
+  // Accepted entries hold no extracted bytes until the queue loads them
+  const tree = accepted.find(item => item.path === 'survey.zip/plot-1/tree.jpg');
+  expect(tree.file).toBeUndefined();
+  const file = await loadUploadFile(tree);
+  expect(file.name).toBe('tree.jpg');
+  expect(file.type).toBe('image/jpeg');
+  expect(file.size).toBe(4);
+});
@@ -0,0 +1,139 @@
+// Locations for photos whose EXIF has no GPS fix: interpolated from a GPX track by capture
+// time, or entered by hand. Both produce the same location shape as extractExifMetadata, with
+// `inferred` set to 'gpx_track' or 'manual' so they can be told apart from real fixes.
+
+import { haversineDistance } from './proximity';
+
+const STORAGE_KEY = 'geotagSettings';
+
+export const DEFAULT_GEOTAG_SETTINGS = {
+  timezoneHours: 0, // camera clock time zone, e.g. 5.5 for a camera set to UTC+05:30
+  driftSeconds: 0, // how far the camera clock runs ahead of the GPS clock
+  maxGapSeconds: 300 // no position is inferred across a longer gap in the track
+};
+
+export const INFERRED_LABELS = {
+  gpx_track: 'Interpolated from GPX track',
+  manual: 'Placed manually'
+};
+
+// A phone logger fix is rarely better than this, and interpolation only adds to it
+const TRACK_BASE_ACCURACY_METERS = 10;
+
+const readNumber = (element, name) => {
+  const child = element.getElementsByTagName(name)[0];
+  const value = child ? Number(child.textContent) : NaN;
+  return Number.isFinite(value) ? value : null;
+};
+
+// { name, points } from GPX text; points are { latitude, longitude, altitude, time } sorted by
+// time (ms since epoch). Track and route points without a timestamp are ignored.
+export const parseGPX = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('The file is not valid GPX');
+  }
+
+  const points = [...doc.getElementsByTagName('trkpt'), ...doc.getElementsByTagName('rtept')]
+    .map(element => {
+      const timeElement = element.getElementsByTagName('time')[0];
+      return {
+        latitude: Number(element.getAttribute('lat')),
+        longitude: Number(element.getAttribute('lon')),
+        altitude: readNumber(element, 'ele'),
+        time: timeElement ? Date.parse(timeElement.textContent.trim()) : NaN
+      };
+    })
+    .filter(point => Number.isFinite(point.latitude) && Number.isFinite(point.longitude) && Number.isFinite(point.time))
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length === 0) throw new Error('No timestamped track points found');
+
+  const nameElement = doc.getElementsByTagName('name')[0];
+  return { name: nameElement ? nameElement.textContent.trim() : null, points };
+};
+
+// EXIF capture times are camera wall-clock time with no zone; shift them onto the track's UTC
+// clock. Returns ms since epoch, or null when there is no usable capture time.
+export const toTrackTime = (captureTime, settings) => {
+  if (!captureTime) return null;
+  const hasZone = /(Z|[+-]\d{2}:?\d{2})$/.test(captureTime);
+  const parsed = Date.parse(hasZone ? captureTime : `${captureTime}Z`);
+  if (Number.isNaN(parsed)) return null;
+  const zoneMs = hasZone ? 0 : settings.timezoneHours * 3600000;
+  return parsed - zoneMs - settings.driftSeconds * 1000;
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Position at `time` by linear interpolation between the surrounding track points, or null
+// outside the track or across a gap longer than `maxGapSeconds`
+export const interpolateTrack = (points, time, maxGapSeconds = DEFAULT_GEOTAG_SETTINGS.maxGapSeconds) => {
+  if (points.length === 0 || time === null) return null;
+  const maxGapMs = maxGapSeconds * 1000;
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  if (time <= first.time) return first.time - time <= maxGapMs ? { ...first, accuracy: TRACK_BASE_ACCURACY_METERS } : null;
+  if (time >= last.time) return time - last.time <= maxGapMs ? { ...last, accuracy: TRACK_BASE_ACCURACY_METERS } : null;
+
+  // Binary search for the first point after `time`
+  let low = 0;
+  let high = points.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (points[mid].time <= time) low = mid + 1;
+    else high = mid;
+  }
+  const before = points[low - 1];
+  const after = points[low];
+  if (after.time - before.time > maxGapMs) return null;
+
+  const t = after.time === before.time ? 0 : (time - before.time) / (after.time - before.time);
+  return {
+    latitude: lerp(before.latitude, after.latitude, t),
+    longitude: lerp(before.longitude, after.longitude, t),
+    altitude: before.altitude !== null && after.altitude !== null ? lerp(before.altitude, after.altitude, t) : null,
+    // The logger could have been anywhere along the segment between the two fixes
+    accuracy: TRACK_BASE_ACCURACY_METERS + Math.min(t, 1 - t) * haversineDistance(before, after)
+  };
+};
+
+export const makeInferredLocation = ({ latitude, longitude, altitude = null, accuracy = null }, inferred) => ({
+  latitude,
+  longitude,
+  altitude,
+  accuracy,
+  accuracySource: inferred,
+  inferred,
+  direction: null,
+  directionRef: null
+});
+
+// Location for one result from the track, or null when its capture time is not covered
+export const locateFromTrack = (result, track, settings) => {
+  const position = track && interpolateTrack(track.points, toTrackTime(result.captureTime, settings), settings.maxGapSeconds);
+  return position ? makeInferredLocation(position, 'gpx_track') : null;
+};
+
+// "12.9716, 77.5946" (also space or semicolon separated) -> { latitude, longitude } or null
+export const parseCoordinateInput = (text) => {
+  const parts = (text || '').trim().split(/[\s,;]+/).filter(Boolean).map(Number);
+  if (parts.length !== 2 || parts.some(value => !Number.isFinite(value))) return null;
+  const [latitude, longitude] = parts;
+  if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+  return { latitude, longitude };
+};
+
+export const loadGeotagSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored ? { ...DEFAULT_GEOTAG_SETTINGS, ...stored } : DEFAULT_GEOTAG_SETTINGS;
+  } catch (error) {
+    return DEFAULT_GEOTAG_SETTINGS;
+  }
+};
+
+export const saveGeotagSettings = (settings) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+};
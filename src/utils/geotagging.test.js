@@ -0,0 +1,61 @@
+import {
+  DEFAULT_GEOTAG_SETTINGS,
+  interpolateTrack,
+  locateFromTrack,
+  parseCoordinateInput,
+  parseGPX,
+  toTrackTime
+} from './geotagging';
+
+const GPX = `<?xml version="1.0"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Orchard walk</name><trkseg>
+    <trkpt lat="12.0010" lon="77.0010"><ele>910</ele><time>2024-05-01T06:01:00Z</time></trkpt>
+    <trkpt lat="12.0000" lon="77.0000"><ele>900</ele><time>2024-05-01T06:00:00Z</time></trkpt>
+    <trkpt lat="12.0020" lon="77.0020"><time>2024-05-01T06:20:00Z</time></trkpt>
+    <trkpt lat="12.5" lon="77.5"></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+test('parseGPX keeps timestamped points in time order', () => {
+  const track = parseGPX(GPX);
+  expect(track.name).toBe('Orchard walk');
+  expect(track.points.map(point => point.latitude)).toEqual([12, 12.001, 12.002]);
+  expect(track.points[0].altitude).toBe(900);
+  expect(() => parseGPX('<gpx></gpx>')).toThrow(/No timestamped/);
+});
+
+test('toTrackTime applies the camera time zone and clock drift', () => {
+  const settings = { ...DEFAULT_GEOTAG_SETTINGS, timezoneHours: 5.5, driftSeconds: 30 };
+  expect(toTrackTime('2024-05-01T11:30:30', settings)).toBe(Date.parse('2024-05-01T06:00:00Z'));
+  expect(toTrackTime('2024-05-01T06:00:30Z', settings)).toBe(Date.parse('2024-05-01T06:00:00Z'));
+  expect(toTrackTime(null, settings)).toBeNull();
+});
+
+test('interpolateTrack blends neighbouring fixes and refuses long gaps', () => {
+  const { points } = parseGPX(GPX);
+  const halfway = interpolateTrack(points, Date.parse('2024-05-01T06:00:30Z'));
+  expect(halfway.latitude).toBeCloseTo(12.0005);
+  expect(halfway.altitude).toBeCloseTo(905);
+  expect(halfway.accuracy).toBeGreaterThan(10);
+
+  // 19 minutes between the second and third fix
+  expect(interpolateTrack(points, Date.parse('2024-05-01T06:10:00Z'))).toBeNull();
+  expect(interpolateTrack(points, Date.parse('2024-05-01T06:10:00Z'), 1200)).not.toBeNull();
+  expect(interpolateTrack(points, Date.parse('2024-05-01T05:58:00Z')).latitude).toBe(12);
+  expect(interpolateTrack(points, Date.parse('2024-05-01T05:50:00Z'))).toBeNull();
+});
+
+test('locateFromTrack marks the location as inferred', () => {
+  const track = parseGPX(GPX);
+  const location = locateFromTrack({ captureTime: '2024-05-01T06:00:30' }, track, DEFAULT_GEOTAG_SETTINGS);
+  expect(location).toMatchObject({ inferred: 'gpx_track', accuracySource: 'gpx_track' });
+  expect(locateFromTrack({ captureTime: null }, track, DEFAULT_GEOTAG_SETTINGS)).toBeNull();
+});
+
+test('parseCoordinateInput accepts common separators and rejects out-of-range values', () => {
+  expect(parseCoordinateInput('12.9716, 77.5946')).toEqual({ latitude: 12.9716, longitude: 77.5946 });
+  expect(parseCoordinateInput('-33.8 151.2')).toEqual({ latitude: -33.8, longitude: 151.2 });
+  expect(parseCoordinateInput('95, 10')).toBeNull();
+  expect(parseCoordinateInput('north')).toBeNull();
+});
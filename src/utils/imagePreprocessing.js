@@ -0,0 +1,149 @@
+// Shared preprocessing for both classifiers: decode upright (EXIF orientation applied),
+// downscale, optionally crop or pad to the model's input aspect, and encode as JPEG.
+
+export const DEFAULT_PREPROCESSING = {
+  maxDimension: 1024,
+  fit: 'none', // 'none', 'crop' (center-crop) or 'pad' (letterbox)
+  aspectRatio: 1, // width / height of the model input; Teachable Machine image models use 224x224
+  jpegQuality: 0.9
+};
+
+const PREVIEW_DIMENSION = 160;
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not decode image'));
+  img.src = url;
+});
+
+// Decode the file upright: the browser applies the EXIF orientation itself. Rotating by hand
+// after decoding with `imageOrientation: 'none'` is unreliable, since that value is deprecated
+// and current browsers treat it as 'from-image', which would rotate the image twice.
+// Browsers without createImageBitmap fall back to an <img>, which is also drawn upright.
+const decodeSource = async (file, imageUrl) => {
+  if (typeof createImageBitmap === 'function') {
+    try {
+      const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+      return { source: bitmap, width: bitmap.width, height: bitmap.height };
+    } catch (error) {
+      // Fall through to the <img> decoder
+    }
+  }
+
+  const img = await loadImage(imageUrl);
+  return { source: img, width: img.naturalWidth, height: img.naturalHeight };
+};
+
+// Region of an upright image (width x height) that matches `aspectRatio`, plus output size
+export const computeFrame = (width, height, fit, aspectRatio) => {
+  if (fit === 'none' || !aspectRatio) {
+    return { sx: 0, sy: 0, sw: width, sh: height, outWidth: width, outHeight: height };
+  }
+
+  const imageAspect = width / height;
+
+  if (fit === 'crop') {
+    if (imageAspect > aspectRatio) {
+      const sw = height * aspectRatio;
+      return { sx: (width - sw) / 2, sy: 0, sw, sh: height, outWidth: sw, outHeight: height };
+    }
+    const sh = width / aspectRatio;
+    return { sx: 0, sy: (height - sh) / 2, sw: width, sh, outWidth: width, outHeight: sh };
+  }
+
+  // Pad: keep the whole image and letterbox it onto a canvas of the target aspect
+  if (imageAspect > aspectRatio) {
+    return { sx: 0, sy: 0, sw: width, sh: height, outWidth: width, outHeight: width / aspectRatio };
+  }
+  return { sx: 0, sy: 0, sw: width, sh: height, outWidth: height * aspectRatio, outHeight: height };
+};
+
+export const base64Bytes = (dataUrl) => {
+  const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+  const padding = base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0;
+  return Math.floor((base64.length * 3) / 4) - padding;
+};
+
+const makePreview = (canvas) => {
+  const scale = Math.min(1, PREVIEW_DIMENSION / Math.max(canvas.width, canvas.height));
+  const preview = document.createElement('canvas');
+  preview.width = Math.max(1, Math.round(canvas.width * scale));
+  preview.height = Math.max(1, Math.round(canvas.height * scale));
+  preview.getContext('2d').drawImage(canvas, 0, 0, preview.width, preview.height);
+  return preview.toDataURL('image/jpeg', 0.7);
+};
+
+// Produce the model input for one file.
+// Returns { canvas, dataUrl, info } where `canvas` feeds Teachable Machine, `dataUrl` is the
+// JPEG sent to /classify-image and `info` describes the result for display. `orientation` is
+// the EXIF tag, recorded in `info` only; the decoder has already applied it.
+export const preprocessImage = async (file, imageUrl, orientation = 1, options = DEFAULT_PREPROCESSING) => {
+  const { maxDimension, fit, aspectRatio, jpegQuality } = { ...DEFAULT_PREPROCESSING, ...options };
+  const decoded = await decodeSource(file, imageUrl);
+  const uprightWidth = decoded.width;
+  const uprightHeight = decoded.height;
+  const frame = computeFrame(uprightWidth, uprightHeight, fit, aspectRatio);
+  const scale = Math.min(1, maxDimension / Math.max(frame.outWidth, frame.outHeight));
+
+  // Draw the upright, scaled image first
+  const upright = document.createElement('canvas');
+  upright.width = Math.round(uprightWidth * scale);
+  upright.height = Math.round(uprightHeight * scale);
+  upright.getContext('2d').drawImage(decoded.source, 0, 0, upright.width, upright.height);
+
+  if (decoded.source.close) {
+    decoded.source.close();
+  }
+
+  // Then crop or pad it into the output frame
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(frame.outWidth * scale);
+  canvas.height = Math.round(frame.outHeight * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#000';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  const sw = frame.sw * scale;
+  const sh = frame.sh * scale;
+  ctx.drawImage(
+    upright,
+    frame.sx * scale, frame.sy * scale, sw, sh,
+    (canvas.width - sw) / 2, (canvas.height - sh) / 2, sw, sh
+  );
+
+  const dataUrl = canvas.toDataURL('image/jpeg', jpegQuality);
+
+  return {
+    canvas,
+    dataUrl,
+    info: {
+      previewUrl: makePreview(canvas),
+      width: canvas.width,
+      height: canvas.height,
+      originalWidth: uprightWidth,
+      originalHeight: uprightHeight,
+      orientation: orientation || 1,
+      payloadBytes: base64Bytes(dataUrl),
+      maxDimension,
+      fit,
+      aspectRatio,
+      jpegQuality
+    }
+  };
+};
+
+// Options that produced a preprocessed result, so the same model input can be rebuilt later.
+// Null when they were not all recorded (results classified before they were kept).
+export const getRecordedOptions = (info) => {
+  if (!info || [info.maxDimension, info.fit, info.aspectRatio, info.jpegQuality].some(value => value === undefined)) {
+    return null;
+  }
+  const { maxDimension, fit, aspectRatio, jpegQuality } = info;
+  return { maxDimension, fit, aspectRatio, jpegQuality };
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+};
@@ -0,0 +1,32 @@
+import { base64Bytes, computeFrame, getRecordedOptions } from './imagePreprocessing';
+
+test('computeFrame keeps the whole image when not fitting', () => {
+  expect(computeFrame(400, 300, 'none', 1)).toEqual({ sx: 0, sy: 0, sw: 400, sh: 300, outWidth: 400, outHeight: 300 });
+  expect(computeFrame(400, 300, 'crop', null)).toMatchObject({ outWidth: 400, outHeight: 300 });
+});
+
+test('computeFrame center-crops to the target aspect', () => {
+  expect(computeFrame(400, 300, 'crop', 1)).toEqual({ sx: 50, sy: 0, sw: 300, sh: 300, outWidth: 300, outHeight: 300 });
+  expect(computeFrame(300, 400, 'crop', 1)).toEqual({ sx: 0, sy: 50, sw: 300, sh: 300, outWidth: 300, outHeight: 300 });
+  expect(computeFrame(300, 300, 'crop', 1.5)).toEqual({ sx: 0, sy: 50, sw: 300, sh: 200, outWidth: 300, outHeight: 200 });
+});
+
+test('computeFrame letterboxes the whole image onto the target aspect', () => {
+  expect(computeFrame(400, 300, 'pad', 1)).toEqual({ sx: 0, sy: 0, sw: 400, sh: 300, outWidth: 400, outHeight: 400 });
+  expect(computeFrame(300, 400, 'pad', 1)).toEqual({ sx: 0, sy: 0, sw: 300, sh: 400, outWidth: 400, outHeight: 400 });
+});
+
+test('base64Bytes measures the decoded payload of a data URL', () => {
+  expect(base64Bytes('data:image/jpeg;base64,YWJj')).toBe(3);
+  expect(base64Bytes('data:image/jpeg;base64,YWI=')).toBe(2);
+  expect(base64Bytes('data:image/jpeg;base64,YQ==')).toBe(1);
+  expect(base64Bytes('data:image/jpeg;base64,YWJjZGVm')).toBe(6);
+  expect(base64Bytes('data:image/jpeg;base64,')).toBe(0);
+});
+
+test('getRecordedOptions returns the options a result was preprocessed with', () => {
+  const info = { width: 224, height: 224, orientation: 6, maxDimension: 512, fit: 'crop', aspectRatio: 1, jpegQuality: 0.8 };
+  expect(getRecordedOptions(info)).toEqual({ maxDimension: 512, fit: 'crop', aspectRatio: 1, jpegQuality: 0.8 });
+  expect(getRecordedOptions({ fit: 'none', jpegQuality: 0.9 })).toBeNull();
+  expect(getRecordedOptions(undefined)).toBeNull();
+});
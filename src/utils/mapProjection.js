@@ -0,0 +1,110 @@
+// Web Mercator helpers for the offline map view. Points are projected to the unit square
+// (0..1 across the world), fitted to the viewport, and optionally drawn over locally hosted
+// XYZ tiles, so the map works with no internet connection.
+
+const TILE_SIZE = 256;
+const MAX_LATITUDE = 85.05112878;
+
+// { latitude, longitude } -> { x, y } in the unit Mercator square
+export const project = ({ latitude, longitude }) => {
+  const lat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+  const sin = Math.sin((lat * Math.PI) / 180);
+  return {
+    x: (longitude + 180) / 360,
+    y: 0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)
+  };
+};
+
+// Inverse of project
+export const unproject = ({ x, y }) => ({
+  latitude: (Math.atan(Math.sinh(Math.PI * (1 - 2 * y))) * 180) / Math.PI,
+  longitude: x * 360 - 180
+});
+
+// View that fits projected points into width × height with `padding` pixels on each side.
+// `scale` is screen pixels per unit; a single point gets a ~200 m wide window and no points
+// show the whole world.
+export const fitView = (points, width, height, padding = 24) => {
+  if (points.length === 0) return { scale: Math.min(width, height), originX: 0.5, originY: 0.5, width, height };
+
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  const spanX = Math.max(maxX - minX, 0.000005);
+  const spanY = Math.max(maxY - minY, 0.000005);
+  const scale = Math.min((width - 2 * padding) / spanX, (height - 2 * padding) / spanY);
+
+  return { scale, originX: (minX + maxX) / 2, originY: (minY + maxY) / 2, width, height };
+};
+
+// Zoom around the viewport centre by `factor` and pan by screen pixels
+export const adjustView = (view, factor, panX = 0, panY = 0) => ({
+  ...view,
+  scale: view.scale * factor,
+  originX: view.originX - panX / (view.scale * factor),
+  originY: view.originY - panY / (view.scale * factor)
+});
+
+export const toScreen = (point, view) => ({
+  x: (point.x - view.originX) * view.scale + view.width / 2,
+  y: (point.y - view.originY) * view.scale + view.height / 2
+});
+
+export const fromScreen = (screen, view) => ({
+  x: (screen.x - view.width / 2) / view.scale + view.originX,
+  y: (screen.y - view.height / 2) / view.scale + view.originY
+});
+
+// Tiles covering the viewport at the zoom level closest to the current scale
+export const getVisibleTiles = (view) => {
+  const zoom = Math.max(0, Math.min(22, Math.round(Math.log2(view.scale / TILE_SIZE))));
+  const tileCount = 2 ** zoom;
+  const tileSize = view.scale / tileCount;
+  const left = view.originX - view.width / 2 / view.scale;
+  const top = view.originY - view.height / 2 / view.scale;
+  const firstX = Math.max(0, Math.floor(left * tileCount));
+  const firstY = Math.max(0, Math.floor(top * tileCount));
+  const lastX = Math.min(tileCount - 1, Math.floor((left + view.width / view.scale) * tileCount));
+  const lastY = Math.min(tileCount - 1, Math.floor((top + view.height / view.scale) * tileCount));
+
+  const tiles = [];
+  for (let x = firstX; x <= lastX; x++) {
+    for (let y = firstY; y <= lastY; y++) {
+      const corner = toScreen({ x: x / tileCount, y: y / tileCount }, view);
+      tiles.push({ z: zoom, x, y, left: corner.x, top: corner.y, size: tileSize });
+    }
+  }
+  return tiles;
+};
+
+// Fill an XYZ template such as /tiles/{z}/{x}/{y}.png
+export const getTileUrl = (template, tile) => template
+  .replace('{z}', tile.z)
+  .replace('{x}', tile.x)
+  .replace('{y}', tile.y);
+
+// Ground distance in meters covered by `pixels` at the view's centre, for the scale bar
+export const metersPerPixel = (view) => {
+  const { latitude } = unproject({ x: view.originX, y: view.originY });
+  return (40075016.686 * Math.cos((latitude * Math.PI) / 180)) / view.scale;
+};
+
+const TILE_STORAGE_KEY = 'mapTileTemplate';
+
+// Locally hosted tile URL template; empty means markers are drawn on a plain background
+export const loadTileTemplate = () => {
+  try {
+    const stored = localStorage.getItem(TILE_STORAGE_KEY);
+    if (stored !== null) return stored;
+  } catch (error) {
+    // Storage unavailable; fall through to the default
+  }
+  return process.env.REACT_APP_MAP_TILE_URL || '';
+};
+
+export const saveTileTemplate = (template) => {
+  localStorage.setItem(TILE_STORAGE_KEY, template);
+};
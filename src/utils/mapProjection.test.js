@@ -0,0 +1,55 @@
+import {
+  adjustView,
+  fitView,
+  fromScreen,
+  getTileUrl,
+  getVisibleTiles,
+  metersPerPixel,
+  project,
+  toScreen,
+  unproject
+} from './mapProjection';
+
+test('project maps the equator and prime meridian to the centre', () => {
+  expect(project({ latitude: 0, longitude: 0 })).toEqual({ x: 0.5, y: 0.5 });
+  expect(project({ latitude: 45, longitude: 90 }).y).toBeLessThan(0.5);
+});
+
+test('fitView keeps every point inside the padded viewport', () => {
+  const points = [
+    project({ latitude: 12.5, longitude: 77.25 }),
+    project({ latitude: 12.501, longitude: 77.252 })
+  ];
+  const view = fitView(points, 400, 300, 20);
+  points.map(point => toScreen(point, view)).forEach(({ x, y }) => {
+    expect(x).toBeGreaterThanOrEqual(19.999);
+    expect(x).toBeLessThanOrEqual(380.001);
+    expect(y).toBeGreaterThanOrEqual(19.999);
+    expect(y).toBeLessThanOrEqual(280.001);
+  });
+});
+
+test('adjustView zooms around the centre and pans in screen pixels', () => {
+  const view = fitView([project({ latitude: 10, longitude: 10 })], 400, 300);
+  const centre = toScreen({ x: view.originX, y: view.originY }, adjustView(view, 2));
+  expect(centre).toEqual({ x: 200, y: 150 });
+  const panned = toScreen({ x: view.originX, y: view.originY }, adjustView(view, 1, 30, -10));
+  expect(panned.x).toBeCloseTo(230);
+  expect(panned.y).toBeCloseTo(140);
+});
+
+test('getVisibleTiles covers the viewport and fills URL templates', () => {
+  const view = { scale: 512, originX: 0.5, originY: 0.5, width: 512, height: 512 };
+  const tiles = getVisibleTiles(view);
+  expect(tiles.map(tile => `${tile.z}/${tile.x}/${tile.y}`).sort()).toEqual(['1/0/0', '1/0/1', '1/1/0', '1/1/1']);
+  expect(getTileUrl('/tiles/{z}/{x}/{y}.png', tiles[0])).toBe('/tiles/1/0/0.png');
+  expect(metersPerPixel(view)).toBeCloseTo(40075016.686 / 512);
+});
+
+test('fromScreen and unproject invert toScreen and project', () => {
+  const view = fitView([project({ latitude: 12.5, longitude: 77.25 })], 400, 300);
+  const point = project({ latitude: 12.5004, longitude: 77.2497 });
+  const back = unproject(fromScreen(toScreen(point, view), view));
+  expect(back.latitude).toBeCloseTo(12.5004, 8);
+  expect(back.longitude).toBeCloseTo(77.2497, 8);
+});
@@ -0,0 +1,109 @@
+// In-browser stand-in for the classification backend, so the app can be demoed and developed
+// with no server. Requests are validated against the shared contract and answered like HTTP:
+// handleMockRequest resolves to { status, body }. Every exchange is kept in a traffic log for
+// the inspector.
+
+import { validateRequest } from './backendContract';
+import { findSimilarPairs } from './proximity';
+
+export const MOCK_CLASSES = ['mango_tree', 'not_mango_tree'];
+
+const MOCK_LATENCY_MS = 120;
+const MAX_TRAFFIC = 50;
+
+const decisions = [];
+const traffic = [];
+const listeners = new Set();
+let exchangeCounter = 0;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 32-bit FNV-1a, so the same image always gets the same classification
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+const handlers = {
+  '/classify-image': ({ image_data }) => {
+    const probability = 0.02 + (hashString(image_data) % 960) / 1000;
+    const predictions = [
+      { className: MOCK_CLASSES[0], probability },
+      { className: MOCK_CLASSES[1], probability: 1 - probability }
+    ];
+    return { predictions: predictions.sort((a, b) => b.probability - a.probability) };
+  },
+
+  '/check-proximity': ({ locations, radius }) => ({
+    similar_pairs: findSimilarPairs(locations, radius)
+  }),
+
+  '/save-decision': (body) => {
+    const decision = { ...body, decisionId: `mock_${decisions.length + 1}`, receivedAt: new Date().toISOString() };
+    decisions.push(decision);
+    return { status: 'ok', decisionId: decision.decisionId };
+  }
+};
+
+// Image payloads would swamp the inspector; keep their size instead
+const summarizeBody = (body) => {
+  if (!body || typeof body !== 'object') return body;
+  const summary = { ...body };
+  if (typeof summary.image_data === 'string' && summary.image_data.length > 80) {
+    summary.image_data = `${summary.image_data.slice(0, 40)}… (${summary.image_data.length} chars)`;
+  }
+  return summary;
+};
+
+const record = (exchange) => {
+  traffic.push(exchange);
+  if (traffic.length > MAX_TRAFFIC) traffic.shift();
+  listeners.forEach(listener => listener([...traffic]));
+};
+
+// Listen for traffic log updates; returns an unsubscribe function
+export const subscribeToMockTraffic = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const getMockTraffic = () => [...traffic];
+
+export const getMockDecisions = () => [...decisions];
+
+export const clearMockTraffic = () => {
+  traffic.length = 0;
+  listeners.forEach(listener => listener([]));
+};
+
+// Answer one request the way the real server would
+export const handleMockRequest = async (endpoint, body) => {
+  const startedAt = Date.now();
+  await sleep(MOCK_LATENCY_MS);
+
+  let response;
+  if (!handlers[endpoint]) {
+    response = { status: 404, body: { detail: `Unknown endpoint ${endpoint}` } };
+  } else {
+    const problems = validateRequest(endpoint, body);
+    response = problems.length > 0
+      ? { status: 400, body: { detail: problems.join('; ') } }
+      : { status: 200, body: handlers[endpoint](body) };
+  }
+
+  record({
+    id: ++exchangeCounter,
+    endpoint,
+    request: summarizeBody(body),
+    status: response.status,
+    response: response.body,
+    at: startedAt,
+    durationMs: Date.now() - startedAt
+  });
+
+  return response;
+};
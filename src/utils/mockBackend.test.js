@@ -0,0 +1,55 @@
+import { clearMockTraffic, getMockDecisions, getMockTraffic, handleMockRequest, MOCK_CLASSES } from './mockBackend';
+
+const location = (imageId, latitude, longitude) => ({ imageId, imageName: `${imageId}.jpg`, latitude, longitude, accuracy: 5 });
+
+test('handleMockRequest classifies the same image the same way every time', async () => {
+  const body = { image_data: 'data:image/jpeg;base64,AAAA', model_type: 'mobilenet' };
+  const first = await handleMockRequest('/classify-image', body);
+  const second = await handleMockRequest('/classify-image', { ...body });
+  const other = await handleMockRequest('/classify-image', { ...body, image_data: 'data:image/jpeg;base64,BBBB' });
+
+  expect(first.status).toBe(200);
+  expect(second.body).toEqual(first.body);
+  expect(other.body).not.toEqual(first.body);
+  expect(first.body.predictions.map(p => p.className).sort()).toEqual([...MOCK_CLASSES].sort());
+  expect(first.body.predictions[0].probability).toBeGreaterThanOrEqual(first.body.predictions[1].probability);
+  expect(first.body.predictions[0].probability + first.body.predictions[1].probability).toBeCloseTo(1);
+});
+
+test('handleMockRequest pairs only images within the radius', async () => {
+  // 0.0001 degrees of latitude is about 11 m
+  const { status, body } = await handleMockRequest('/check-proximity', {
+    locations: [location(1, 12.9, 77.5), location(2, 12.9001, 77.5), location(3, 12.91, 77.5)],
+    radius: 20
+  });
+
+  expect(status).toBe(200);
+  expect(body.similar_pairs).toHaveLength(1);
+  expect(body.similar_pairs[0]).toMatchObject({ imageId1: '1', imageId2: '2' });
+  expect(body.similar_pairs[0].distance).toBeLessThanOrEqual(20);
+});
+
+test('handleMockRequest records decisions and rejects requests that break the contract', async () => {
+  const saved = await handleMockRequest('/save-decision', { pairId: 'p1', action: 'remove_both', imageId1: 1, imageId2: 2 });
+  expect(saved).toEqual({ status: 200, body: { status: 'ok', decisionId: 'mock_1' } });
+
+  const rejected = await handleMockRequest('/save-decision', { pairId: 'p2', action: 'delete', imageId1: 1, imageId2: 2 });
+  expect(rejected.status).toBe(400);
+
+  expect(getMockDecisions()).toEqual([
+    expect.objectContaining({ pairId: 'p1', action: 'remove_both', decisionId: 'mock_1' })
+  ]);
+  expect((await handleMockRequest('/missing', {})).status).toBe(404);
+});
+
+test('the traffic log summarizes image payloads and can be cleared', async () => {
+  clearMockTraffic();
+  await handleMockRequest('/classify-image', { image_data: `data:image/jpeg;base64,${'A'.repeat(200)}`, model_type: 'mobilenet' });
+
+  const [exchange] = getMockTraffic();
+  expect(exchange).toMatchObject({ endpoint: '/classify-image', status: 200 });
+  expect(exchange.request.image_data).toMatch(/… \(223 chars\)$/);
+
+  clearMockTraffic();
+  expect(getMockTraffic()).toEqual([]);
+});
@@ -0,0 +1,67 @@
+// Load Teachable Machine image models from a hosted URL or from local export files.
+// Both paths go through the tmImage global loaded in public/index.html.
+
+// Teachable Machine shares models as a folder URL; make sure paths append cleanly
+export const normalizeModelUrl = (url) => {
+  const trimmed = url.trim();
+  const withoutFile = trimmed.replace(/(model|metadata)\.json$/, '');
+  return withoutFile.endsWith('/') ? withoutFile : `${withoutFile}/`;
+};
+
+export const createUrlModelConfig = (url, name) => {
+  const modelUrl = normalizeModelUrl(url);
+  return {
+    id: `url:${modelUrl}`,
+    name: name || modelUrl,
+    source: 'url',
+    url: modelUrl,
+    labels: []
+  };
+};
+
+// Sort the picked files into the three parts of a Teachable Machine export
+export const createFilesModelConfig = async (fileList) => {
+  const files = Array.from(fileList);
+  const modelFile = files.find(file => file.name === 'model.json');
+  const metadataFile = files.find(file => file.name === 'metadata.json');
+  const weightsFile = files.find(file => file.name.endsWith('.bin'));
+
+  if (!modelFile || !metadataFile || !weightsFile) {
+    throw new Error('Select model.json, metadata.json and the weights .bin file together.');
+  }
+
+  const metadata = JSON.parse(await metadataFile.text());
+  const name = metadata.modelName || 'Local model';
+
+  return {
+    id: `files:${name}:${metadata.timeStamp || weightsFile.size}`,
+    name,
+    source: 'files',
+    files: { model: modelFile, weights: weightsFile, metadata: metadataFile },
+    weightsName: weightsFile.name,
+    labels: metadata.labels || []
+  };
+};
+
+// Stored blobs may lose their File identity; tf.io matches weights by file name, so restore it
+const asFile = (blob, name) => (blob instanceof File ? blob : new File([blob], name));
+
+export const loadTeachableModel = async (config) => {
+  if (!window.tmImage) {
+    throw new Error('Teachable Machine library is not available.');
+  }
+
+  if (config.source === 'files') {
+    const { model, weights, metadata } = config.files;
+    return window.tmImage.loadFromFiles(
+      asFile(model, 'model.json'),
+      asFile(weights, config.weightsName || 'weights.bin'),
+      asFile(metadata, 'metadata.json')
+    );
+  }
+
+  return window.tmImage.load(config.url + 'model.json', config.url + 'metadata.json');
+};
+
+export const getModelLabels = (loadedModel) =>
+  loadedModel && typeof loadedModel.getClassLabels === 'function' ? loadedModel.getClassLabels() : [];
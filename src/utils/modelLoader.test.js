@@ -0,0 +1,39 @@
+import { createFilesModelConfig, createUrlModelConfig, normalizeModelUrl } from './modelLoader';
+
+const SHARE_URL = 'https://teachablemachine.withgoogle.com/models/AbC123xyz/';
+
+test('normalizeModelUrl turns every form of a model link into its folder URL', () => {
+  expect(normalizeModelUrl(SHARE_URL)).toBe(SHARE_URL);
+  expect(normalizeModelUrl('https://teachablemachine.withgoogle.com/models/AbC123xyz')).toBe(SHARE_URL);
+  expect(normalizeModelUrl(`  ${SHARE_URL}model.json `)).toBe(SHARE_URL);
+  expect(normalizeModelUrl(`${SHARE_URL}metadata.json`)).toBe(SHARE_URL);
+});
+
+test('createUrlModelConfig keys the model by its normalized URL', () => {
+  expect(createUrlModelConfig(`${SHARE_URL}model.json`)).toMatchObject({ id: `url:${SHARE_URL}`, name: SHARE_URL, url: SHARE_URL });
+  expect(createUrlModelConfig(SHARE_URL, 'Orchard').name).toBe('Orchard');
+});
+
+const metadataJson = JSON.stringify({ modelName: 'Orchard model', timeStamp: '2024-05-01', labels: ['mango_tree', 'other'] });
+// jsdom's File has no text(); browsers do
+const metadata = Object.assign(new File([metadataJson], 'metadata.json'), { text: async () => metadataJson });
+const model = new File(['{}'], 'model.json');
+const weights = new File(['weights'], 'model.weights.bin');
+
+test('createFilesModelConfig sorts the export files and reads the metadata', async () => {
+  const config = await createFilesModelConfig([weights, metadata, model]);
+  expect(config).toMatchObject({
+    id: 'files:Orchard model:2024-05-01',
+    name: 'Orchard model',
+    source: 'files',
+    weightsName: 'model.weights.bin',
+    labels: ['mango_tree', 'other']
+  });
+  expect(config.files).toEqual({ model, weights, metadata });
+});
+
+test('createFilesModelConfig rejects an incomplete export', async () => {
+  await expect(createFilesModelConfig([model, metadata])).rejects.toThrow(/weights \.bin/);
+  await expect(createFilesModelConfig([model, weights])).rejects.toThrow(/metadata\.json/);
+  await expect(createFilesModelConfig([metadata, weights])).rejects.toThrow(/model\.json/);
+});
@@ -0,0 +1,29 @@
+// Remembered Teachable Machine models.
+// URL models keep only their address; local models keep their model.json, weights and
+// metadata files so they can be reloaded without picking the files again.
+
+import { promisify, withStores, isPersistenceAvailable } from './database';
+
+const MODELS_STORE = 'models';
+
+export const listSavedModels = async () => {
+  if (!isPersistenceAvailable()) return [];
+  const models = await withStores([MODELS_STORE], 'readonly', tx =>
+    promisify(tx.objectStore(MODELS_STORE).getAll())
+  );
+  return models.sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+};
+
+export const saveModel = async (config) => {
+  if (!isPersistenceAvailable()) return;
+  await withStores([MODELS_STORE], 'readwrite', tx => {
+    tx.objectStore(MODELS_STORE).put({ ...config, lastUsedAt: Date.now() });
+  });
+};
+
+export const deleteSavedModel = async (id) => {
+  if (!isPersistenceAvailable()) return;
+  await withStores([MODELS_STORE], 'readwrite', tx => {
+    tx.objectStore(MODELS_STORE).delete(id);
+  });
+};
@@ -0,0 +1,112 @@
+// Occlusion-sensitivity explanations. A grey patch is slid over the model input one grid cell
+// at a time and the model re-run on each masked copy; the drop in the target class probability
+// tells how much that part of the image contributed. Runs on CPU with the loaded model, so the
+// cost is gridSize² + 1 predictions per image.
+
+import { findPrediction } from './classification';
+import { getTopPrediction } from './predictions';
+
+export const DEFAULT_OCCLUSION = {
+  gridSize: 8,
+  fill: '#808080'
+};
+
+// Largest side of the rendered heatmap; the browser smooths it when scaling up
+const HEATMAP_DIMENSION = 256;
+const MAX_ALPHA = 160;
+
+const getProbability = (predictions, className) => {
+  const match = predictions.find(prediction => prediction.className === className);
+  return match ? match.probability : 0;
+};
+
+// The model's own label for `className` (matched like classification.js does), or its top
+// class when the model has no such label
+export const resolveTargetClass = (predictions, className) => {
+  const target = (className && findPrediction(predictions, className)) || getTopPrediction(predictions);
+  return target ? target.className : null;
+};
+
+// `predict(canvas)` returns [{ className, probability }]. Resolves to
+// { className, gridSize, baseline, values, width, height } where `className` is the model label
+// that was explained and `values` holds, row by row, how much its probability fell when that
+// cell was hidden (negative when it rose).
+export const computeOcclusionMap = async (predict, canvas, targetClass, options = {}) => {
+  const { gridSize, fill, onProgress } = { ...DEFAULT_OCCLUSION, ...options };
+  const original = await predict(canvas);
+  const className = resolveTargetClass(original, targetClass);
+  const baseline = getProbability(original, className);
+
+  const masked = document.createElement('canvas');
+  masked.width = canvas.width;
+  masked.height = canvas.height;
+  const ctx = masked.getContext('2d');
+  const cellWidth = canvas.width / gridSize;
+  const cellHeight = canvas.height / gridSize;
+
+  const values = [];
+  for (let row = 0; row < gridSize; row++) {
+    for (let col = 0; col < gridSize; col++) {
+      ctx.drawImage(canvas, 0, 0);
+      ctx.fillStyle = fill;
+      ctx.fillRect(Math.floor(col * cellWidth), Math.floor(row * cellHeight), Math.ceil(cellWidth), Math.ceil(cellHeight));
+      values.push(baseline - getProbability(await predict(masked), className));
+      if (onProgress) onProgress(values.length / (gridSize * gridSize));
+    }
+  }
+
+  return { className, gridSize, baseline, values, width: canvas.width, height: canvas.height };
+};
+
+// RGBA pixels for a gridSize × gridSize image: red where hiding a cell lowered the class
+// probability (evidence for it), blue where it raised it. Opacity scales with the largest change.
+export const toHeatmapPixels = (values) => {
+  const maxChange = Math.max(...values.map(Math.abs), 1e-6);
+  const pixels = new Uint8ClampedArray(values.length * 4);
+
+  values.forEach((value, index) => {
+    const strength = Math.abs(value) / maxChange;
+    pixels.set(value >= 0 ? [239, 68, 68] : [59, 130, 246], index * 4);
+    pixels[index * 4 + 3] = Math.round(strength * MAX_ALPHA);
+  });
+
+  return pixels;
+};
+
+// Draw the map at the model input's aspect ratio and return it as a PNG data URL
+export const renderHeatmap = (map) => {
+  const cells = document.createElement('canvas');
+  cells.width = map.gridSize;
+  cells.height = map.gridSize;
+  cells.getContext('2d').putImageData(new ImageData(toHeatmapPixels(map.values), map.gridSize, map.gridSize), 0, 0);
+
+  const scale = HEATMAP_DIMENSION / Math.max(map.width, map.height);
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(map.width * scale));
+  output.height = Math.max(1, Math.round(map.height * scale));
+  const ctx = output.getContext('2d');
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(cells, 0, 0, output.width, output.height);
+  return output.toDataURL('image/png');
+};
+
+// Share of the supporting evidence in the top, middle and bottom thirds of the image.
+// A large top share in a tree photo usually means the model is looking at sky; a large
+// bottom share, at ground.
+export const summarizeRegions = (map) => {
+  const bands = { top: 0, middle: 0, bottom: 0 };
+  map.values.forEach((value, index) => {
+    if (value <= 0) return;
+    const row = Math.floor(index / map.gridSize);
+    const band = row < map.gridSize / 3 ? 'top' : row < (2 * map.gridSize) / 3 ? 'middle' : 'bottom';
+    bands[band] += value;
+  });
+
+  const total = bands.top + bands.middle + bands.bottom;
+  if (total === 0) return null;
+  return {
+    top: bands.top / total,
+    middle: bands.middle / total,
+    bottom: bands.bottom / total
+  };
+};
@@ -0,0 +1,30 @@
+import { resolveTargetClass, summarizeRegions, toHeatmapPixels } from './occlusion';
+
+test('toHeatmapPixels colours supporting cells red and opposing cells blue', () => {
+  const pixels = toHeatmapPixels([0.4, -0.2, 0, 0.1]);
+  expect(Array.from(pixels.slice(0, 4))).toEqual([239, 68, 68, 160]);
+  expect(Array.from(pixels.slice(4, 8))).toEqual([59, 130, 246, 80]);
+  expect(pixels[11]).toBe(0);
+  expect(pixels[15]).toBe(40);
+});
+
+test('summarizeRegions splits supporting evidence into horizontal thirds', () => {
+  const values = [
+    0.3, 0.3, 0.0,
+    0.1, 0.1, -0.5,
+    0.0, 0.2, 0.0
+  ];
+  const regions = summarizeRegions({ gridSize: 3, values });
+  expect(regions.top).toBeCloseTo(0.6);
+  expect(regions.middle).toBeCloseTo(0.2);
+  expect(regions.bottom).toBeCloseTo(0.2);
+  expect(summarizeRegions({ gridSize: 2, values: [0, -1, 0, 0] })).toBeNull();
+});
+
+test('resolveTargetClass uses the model label, falling back to its top class', () => {
+  const predictions = [{ className: 'Mango Tree', probability: 0.3 }, { className: 'Other', probability: 0.7 }];
+  expect(resolveTargetClass(predictions, 'mango tree')).toBe('Mango Tree');
+  expect(resolveTargetClass(predictions, 'coconut_tree')).toBe('Other');
+  expect(resolveTargetClass(predictions, null)).toBe('Other');
+  expect(resolveTargetClass([], 'mango tree')).toBeNull();
+});
@@ -0,0 +1,61 @@
+// Persistent outbox for backend writes that could not be delivered (offline, server down).
+// Entries live in localStorage and are replayed in order once the backend is reachable again.
+
+import { postToBackend } from './backendClient';
+
+const STORAGE_KEY = 'backendOutbox';
+
+export const getOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const setOutbox = (entries) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+export const enqueue = (endpoint, body, key) => {
+  const entry = {
+    id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+    key: key || null,
+    endpoint,
+    body,
+    queuedAt: new Date().toISOString()
+  };
+  setOutbox([...getOutbox(), entry]);
+  return entry;
+};
+
+let flushing = null;
+
+// Replay queued requests in order. Stops at the first retryable failure (still offline) and
+// drops entries the backend rejects outright. Resolves with { delivered, rejected, remaining }.
+export const flushOutbox = () => {
+  if (flushing) return flushing;
+
+  flushing = (async () => {
+    const delivered = [];
+    const rejected = [];
+
+    for (const entry of getOutbox()) {
+      try {
+        await postToBackend(entry.endpoint, entry.body, { retries: 0 });
+        delivered.push(entry);
+      } catch (error) {
+        if (error.retryable) break;
+        rejected.push({ ...entry, error: error.message });
+      }
+      const handled = new Set([...delivered, ...rejected].map(e => e.id));
+      setOutbox(getOutbox().filter(e => !handled.has(e.id)));
+    }
+
+    return { delivered, rejected, remaining: getOutbox().length };
+  })().finally(() => {
+    flushing = null;
+  });
+
+  return flushing;
+};
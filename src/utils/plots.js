@@ -0,0 +1,116 @@
+// Orchard plot boundaries imported from GeoJSON. Each geotagged result is assigned to the
+// plot whose polygon contains it, so trees can be counted per plot and duplicate checks can
+// be kept from pairing trees across a plot boundary.
+
+const STORAGE_KEY = 'plotBoundaries';
+
+const getPlotName = (properties, index) => {
+  const props = properties || {};
+  return String(props.name || props.Name || props.plot || props.plot_name || props.id || `Plot ${index + 1}`);
+};
+
+// GeoJSON Polygon / MultiPolygon geometry as a list of polygons, each a list of rings
+// (outer ring first, then holes) of [longitude, latitude] positions
+const toPolygons = (geometry) => {
+  if (!geometry) return [];
+  if (geometry.type === 'Polygon') return [geometry.coordinates];
+  if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+};
+
+// Parse a GeoJSON FeatureCollection, Feature or bare geometry into
+// [{ id, name, polygons }]. Throws when no polygon is found.
+export const parsePlotBoundaries = (text) => {
+  const geojson = typeof text === 'string' ? JSON.parse(text) : text;
+  const features = geojson.type === 'FeatureCollection'
+    ? geojson.features
+    : geojson.type === 'Feature' ? [geojson] : [{ type: 'Feature', properties: {}, geometry: geojson }];
+
+  const plots = features
+    .map((feature, index) => ({
+      id: `plot_${index}`,
+      name: getPlotName(feature.properties, index),
+      polygons: toPolygons(feature.geometry)
+    }))
+    .filter(plot => plot.polygons.length > 0);
+
+  if (plots.length === 0) {
+    throw new Error('No Polygon or MultiPolygon features found');
+  }
+  return plots;
+};
+
+// Ray casting over one ring; points exactly on an edge may fall either way
+const isInsideRing = (longitude, latitude, ring) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > latitude) !== (yj > latitude) && longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+const isInsidePolygon = (longitude, latitude, [outer, ...holes]) =>
+  isInsideRing(longitude, latitude, outer) && !holes.some(hole => isInsideRing(longitude, latitude, hole));
+
+// The first plot containing a { latitude, longitude } location, or null
+export const findPlot = (location, plots) => {
+  if (!location) return null;
+  return plots.find(plot =>
+    plot.polygons.some(polygon => isInsidePolygon(location.longitude, location.latitude, polygon))
+  ) || null;
+};
+
+// Map of image id (string) -> plot id, or null for geotagged images outside every plot.
+// Images without GPS are left out.
+export const assignPlots = (results, plots) => {
+  const assignments = new Map();
+  if (plots.length === 0) return assignments;
+  results.forEach(result => {
+    if (!result.location) return;
+    const plot = findPlot(result.location, plots);
+    assignments.set(String(result.id), plot ? plot.id : null);
+  });
+  return assignments;
+};
+
+// Per-plot totals: [{ plot, total, detected }] plus the geotagged images outside every plot
+export const countByPlot = (results, plots, assignments, isDetected) => {
+  const counts = new Map(plots.map(plot => [plot.id, { plot, total: 0, detected: 0 }]));
+  const outside = { total: 0, detected: 0 };
+
+  results.forEach(result => {
+    if (!assignments.has(String(result.id))) return;
+    const plotId = assignments.get(String(result.id));
+    const bucket = plotId === null ? outside : counts.get(plotId);
+    bucket.total += 1;
+    if (isDetected(result)) bucket.detected += 1;
+  });
+
+  return { plots: [...counts.values()], outside };
+};
+
+// Keep only pairs whose images share a plot. Two images outside every plot count as sharing
+// one; pairs involving an image without GPS (visual matches) are kept.
+export const filterPairsWithinPlots = (pairs, assignments) => pairs.filter(pair => {
+  const id1 = String(pair.imageId1);
+  const id2 = String(pair.imageId2);
+  if (!assignments.has(id1) || !assignments.has(id2)) return true;
+  return assignments.get(id1) === assignments.get(id2);
+});
+
+export const loadPlotBoundaries = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const savePlotBoundaries = (plots) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(plots));
+};
@@ -0,0 +1,51 @@
+import { assignPlots, countByPlot, filterPairsWithinPlots, findPlot, parsePlotBoundaries } from './plots';
+
+const square = (x0, y0, size) => [[x0, y0], [x0 + size, y0], [x0 + size, y0 + size], [x0, y0 + size], [x0, y0]];
+
+const plots = parsePlotBoundaries(JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    // North block with a pond cut out of the middle
+    { type: 'Feature', properties: { name: 'North' }, geometry: { type: 'Polygon', coordinates: [square(0, 0, 10), square(4, 4, 2)] } },
+    { type: 'Feature', properties: {}, geometry: { type: 'MultiPolygon', coordinates: [[square(20, 0, 5)], [square(30, 0, 5)]] } },
+    { type: 'Feature', properties: { name: 'Well' }, geometry: { type: 'Point', coordinates: [1, 1] } }
+  ]
+}));
+
+const at = (longitude, latitude) => ({ latitude, longitude });
+
+test('parsePlotBoundaries keeps polygon features and names them', () => {
+  expect(plots.map(plot => plot.name)).toEqual(['North', 'Plot 2']);
+  expect(() => parsePlotBoundaries('{"type":"Point","coordinates":[0,0]}')).toThrow(/No Polygon/);
+});
+
+test('findPlot handles holes and multipolygons', () => {
+  expect(findPlot(at(1, 1), plots).name).toBe('North');
+  expect(findPlot(at(5, 5), plots)).toBeNull();
+  expect(findPlot(at(32, 2), plots).name).toBe('Plot 2');
+  expect(findPlot(at(15, 2), plots)).toBeNull();
+});
+
+test('assignPlots, countByPlot and filterPairsWithinPlots work per plot', () => {
+  const results = [
+    { id: 1, location: at(1, 1), detected: true },
+    { id: 2, location: at(2, 2), detected: false },
+    { id: 3, location: at(21, 1), detected: true },
+    { id: 4, location: at(15, 2), detected: true },
+    { id: 5, location: null, detected: true }
+  ];
+  const assignments = assignPlots(results, plots);
+  expect(assignments.get('5')).toBeUndefined();
+  expect(assignments.get('4')).toBeNull();
+
+  const counts = countByPlot(results, plots, assignments, result => result.detected);
+  expect(counts.plots.map(({ total, detected }) => [total, detected])).toEqual([[2, 1], [1, 1]]);
+  expect(counts.outside).toEqual({ total: 1, detected: 1 });
+
+  const pairs = [
+    { imageId1: '1', imageId2: '2' },
+    { imageId1: '2', imageId2: '3' },
+    { imageId1: '3', imageId2: '5' }
+  ];
+  expect(filterPairsWithinPlots(pairs, assignments)).toEqual([pairs[0], pairs[2]]);
+});
@@ -0,0 +1,31 @@
+// Helpers for working with prediction lists ([{ className, probability }]).
+
+export const getTopPrediction = (predictions) =>
+  (predictions || []).reduce((top, pred) => (!top || pred.probability > top.probability ? pred : top), null);
+
+// Compare the top classes of the Teachable Machine and MobileNetV2 predictions for one image.
+// `agree` is null when either model produced no result.
+export const compareModelPredictions = (teachablePredictions, mobilenetPredictions) => {
+  const teachableTop = getTopPrediction(teachablePredictions);
+  const mobilenetTop = getTopPrediction(mobilenetPredictions);
+
+  return {
+    teachable_machine: teachablePredictions || null,
+    mobilenet: mobilenetPredictions || null,
+    agree: teachableTop && mobilenetTop
+      ? teachableTop.className.toLowerCase() === mobilenetTop.className.toLowerCase()
+      : null
+  };
+};
+
+// Agreement rate across every result that was classified by both models
+export const getAgreementSummary = (imageResults) => {
+  const compared = imageResults.filter(result => result.comparison && result.comparison.agree !== null);
+  const agreed = compared.filter(result => result.comparison.agree).length;
+
+  return {
+    compared: compared.length,
+    agreed,
+    rate: compared.length > 0 ? agreed / compared.length : null
+  };
+};
@@ -0,0 +1,37 @@
+import { compareModelPredictions, getAgreementSummary, getTopPrediction } from './predictions';
+
+const mango = [{ className: 'mango_tree', probability: 0.8 }, { className: 'other', probability: 0.2 }];
+const other = [{ className: 'mango_tree', probability: 0.3 }, { className: 'other', probability: 0.7 }];
+
+test('getTopPrediction picks the most probable class', () => {
+  expect(getTopPrediction(other).className).toBe('other');
+  expect(getTopPrediction([])).toBeNull();
+  expect(getTopPrediction(null)).toBeNull();
+});
+
+test('compareModelPredictions agrees when the top classes match', () => {
+  expect(compareModelPredictions(mango, mango)).toEqual({ teachable_machine: mango, mobilenet: mango, agree: true });
+  expect(compareModelPredictions(mango, other).agree).toBe(false);
+});
+
+test('compareModelPredictions ignores class name case', () => {
+  const upper = [{ className: 'Mango_Tree', probability: 0.6 }, { className: 'Other', probability: 0.4 }];
+  expect(compareModelPredictions(mango, upper).agree).toBe(true);
+});
+
+test('compareModelPredictions leaves agreement open when a model has no result', () => {
+  expect(compareModelPredictions(mango, null)).toEqual({ teachable_machine: mango, mobilenet: null, agree: null });
+  expect(compareModelPredictions(undefined, mango)).toEqual({ teachable_machine: null, mobilenet: mango, agree: null });
+  expect(compareModelPredictions(mango, []).agree).toBeNull();
+});
+
+test('getAgreementSummary counts only images both models classified', () => {
+  const results = [
+    { comparison: compareModelPredictions(mango, mango) },
+    { comparison: compareModelPredictions(mango, other) },
+    { comparison: compareModelPredictions(mango, null) },
+    { comparison: null }
+  ];
+  expect(getAgreementSummary(results)).toEqual({ compared: 2, agreed: 1, rate: 0.5 });
+  expect(getAgreementSummary([])).toEqual({ compared: 0, agreed: 0, rate: null });
+});
@@ -0,0 +1,29 @@
+// Bounded-concurrency work queue for batch image processing.
+// Items are started in order with at most `concurrency` in flight. Aborting the signal
+// stops new items from starting; items already in flight are allowed to finish.
+
+export const runWithConcurrency = async (items, worker, { concurrency = 3, signal, onStart, onSettled } = {}) => {
+  const outcomes = new Array(items.length);
+  let nextIndex = 0;
+
+  const runNext = async () => {
+    while (nextIndex < items.length && !(signal && signal.aborted)) {
+      const index = nextIndex++;
+      const item = items[index];
+      if (onStart) onStart(item, index);
+
+      try {
+        outcomes[index] = { status: 'fulfilled', value: await worker(item, index) };
+      } catch (error) {
+        outcomes[index] = { status: 'rejected', reason: error };
+      }
+      if (onSettled) onSettled(item, outcomes[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runNext));
+
+  // Items never started because of cancellation stay undefined
+  return outcomes;
+};
@@ -0,0 +1,48 @@
+import { runWithConcurrency } from './processingQueue';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+test('runWithConcurrency never exceeds the concurrency limit', async () => {
+  let active = 0;
+  let maxActive = 0;
+
+  const outcomes = await runWithConcurrency([1, 2, 3, 4, 5], async (item) => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise(resolve => setTimeout(resolve, 1));
+    active--;
+    if (item === 4) throw new Error('bad item');
+    return item * 2;
+  }, { concurrency: 2 });
+
+  expect(maxActive).toBe(2);
+  expect(outcomes.map(outcome => outcome.status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled', 'rejected', 'fulfilled']);
+  expect(outcomes[4].value).toBe(10);
+});
+
+test('runWithConcurrency stops starting items once aborted but keeps finished ones', async () => {
+  const controller = new AbortController();
+  const gates = [deferred(), deferred(), deferred()];
+  const started = [];
+
+  const run = runWithConcurrency([0, 1, 2], async (item) => {
+    started.push(item);
+    await gates[item].promise;
+    return item;
+  }, { concurrency: 1, signal: controller.signal });
+
+  gates[0].resolve();
+  await Promise.resolve();
+  controller.abort();
+  gates[1].resolve();
+  gates[2].resolve();
+
+  const outcomes = await run;
+  expect(outcomes[0]).toEqual({ status: 'fulfilled', value: 0 });
+  expect(outcomes.filter(Boolean).length).toBe(started.length);
+  expect(started).not.toContain(2);
+});
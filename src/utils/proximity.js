@@ -0,0 +1,85 @@
+// Client-side proximity engine.
+// Produces the same `similar_pairs` shape as the backend /check-proximity endpoint
+// so either source can feed the duplicate resolution UI.
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in meters between two { latitude, longitude } points
+export const haversineDistance = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+// Stable pair id so the same two images always map to the same pair
+export const makePairId = (imageId1, imageId2) => `local_${imageId1}_${imageId2}`;
+
+// Find every pair of locations within `radiusMeters` of each other.
+// `locations` use the /check-proximity payload shape: { imageId, imageName, latitude, longitude }.
+// When `newImageIds` is given, only pairs involving at least one new image are returned,
+// so images from earlier batches are compared against new uploads but not re-paired with each other.
+export const findSimilarPairs = (locations, radiusMeters, newImageIds = null) => {
+  const isNew = (id) => !newImageIds || newImageIds.has(String(id));
+  const pairs = [];
+
+  for (let i = 0; i < locations.length; i++) {
+    for (let j = i + 1; j < locations.length; j++) {
+      const first = locations[i];
+      const second = locations[j];
+      if (!isNew(first.imageId) && !isNew(second.imageId)) continue;
+
+      const distance = haversineDistance(first, second);
+      if (distance <= radiusMeters) {
+        pairs.push({
+          pairId: makePairId(first.imageId, second.imageId),
+          imageId1: String(first.imageId),
+          imageId2: String(second.imageId),
+          distance
+        });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => a.distance - b.distance);
+};
+
+// Merge freshly found pairs into an existing list, skipping pairs for image combinations already present
+export const mergePairs = (existingPairs, incomingPairs) => {
+  const pairKey = (pair) => [String(pair.imageId1), String(pair.imageId2)].sort().join('|');
+  const seen = new Set(existingPairs.map(pairKey));
+  const merged = [...existingPairs];
+
+  incomingPairs.forEach(pair => {
+    const key = pairKey(pair);
+    if (!seen.has(key)) {
+      seen.add(key);
+      merged.push(pair);
+    }
+  });
+
+  return merged;
+};
+
+// Attach GPS accuracy to pairs. A pair is marked `lowAccuracy` when either fix is less
+// precise than the search radius, since the two points may not really be that close.
+export const annotatePairAccuracy = (pairs, locations, radiusMeters) => {
+  const accuracyById = new Map(locations.map(location => [String(location.imageId), location.accuracy]));
+
+  return pairs.map(pair => {
+    const accuracies = [accuracyById.get(String(pair.imageId1)), accuracyById.get(String(pair.imageId2))]
+      .filter(accuracy => typeof accuracy === 'number');
+    const accuracy = accuracies.length > 0 ? Math.max(...accuracies) : null;
+
+    return {
+      ...pair,
+      accuracy,
+      lowAccuracy: accuracy !== null && accuracy > radiusMeters
+    };
+  });
+};
@@ -0,0 +1,58 @@
+import { haversineDistance, findSimilarPairs, mergePairs, annotatePairAccuracy } from './proximity';
+
+const location = (imageId, latitude, longitude) => ({ imageId, imageName: `${imageId}.jpg`, latitude, longitude });
+
+test('haversineDistance measures meters between coordinates', () => {
+  // 0.00001 degrees of latitude is roughly 1.11 meters
+  const distance = haversineDistance({ latitude: 12.0, longitude: 77.0 }, { latitude: 12.00001, longitude: 77.0 });
+  expect(distance).toBeCloseTo(1.11, 1);
+});
+
+test('findSimilarPairs returns pairs within the radius in the backend shape', () => {
+  const pairs = findSimilarPairs([
+    location('a', 12.0, 77.0),
+    location('b', 12.000005, 77.0),
+    location('c', 12.001, 77.0)
+  ], 1);
+
+  expect(pairs).toHaveLength(1);
+  expect(pairs[0]).toMatchObject({ imageId1: 'a', imageId2: 'b' });
+  expect(pairs[0].pairId).toBeDefined();
+  expect(pairs[0].distance).toBeLessThan(1);
+});
+
+test('findSimilarPairs only pairs earlier images with new ones', () => {
+  const pairs = findSimilarPairs([
+    location('old1', 12.0, 77.0),
+    location('old2', 12.0, 77.0),
+    location('new', 12.0, 77.0)
+  ], 1, new Set(['new']));
+
+  expect(pairs.map(pair => [pair.imageId1, pair.imageId2])).toEqual([['old1', 'new'], ['old2', 'new']]);
+});
+
+test('mergePairs skips image combinations already listed', () => {
+  const existing = [{ pairId: 'p1', imageId1: 'a', imageId2: 'b', distance: 0.5 }];
+  const merged = mergePairs(existing, [
+    { pairId: 'p2', imageId1: 'b', imageId2: 'a', distance: 0.5 },
+    { pairId: 'p3', imageId1: 'a', imageId2: 'c', distance: 0.7 }
+  ]);
+  expect(merged.map(pair => pair.pairId)).toEqual(['p1', 'p3']);
+});
+
+test('annotatePairAccuracy flags pairs whose fixes are less precise than the radius', () => {
+  const locations = [
+    { ...location('a', 12.0, 77.0), accuracy: 0.5 },
+    { ...location('b', 12.0, 77.0), accuracy: 8 },
+    { ...location('c', 12.0, 77.0), accuracy: null }
+  ];
+  const [precise, imprecise, unknown] = annotatePairAccuracy([
+    { pairId: 'p1', imageId1: 'a', imageId2: 'c', distance: 0.2 },
+    { pairId: 'p2', imageId1: 'a', imageId2: 'b', distance: 0.2 },
+    { pairId: 'p3', imageId1: 'c', imageId2: 'c', distance: 0.2 }
+  ], locations, 1);
+
+  expect(precise).toMatchObject({ accuracy: 0.5, lowAccuracy: false });
+  expect(imprecise).toMatchObject({ accuracy: 8, lowAccuracy: true });
+  expect(unknown).toMatchObject({ accuracy: null, lowAccuracy: false });
+});
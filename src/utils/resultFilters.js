@@ -0,0 +1,115 @@
+// Filtering, search and sorting for the results grid. Everything works on plain result
+// objects so it stays fast enough for batches of several thousand images.
+
+import { getCaptureTimeMs } from './exif';
+import { getTopPrediction } from './predictions';
+
+export const DEFAULT_FILTERS = {
+  search: '',
+  topClass: 'all',
+  minConfidence: 0,
+  maxConfidence: 1,
+  gps: 'all', // 'all', 'with' or 'without'
+  duplicates: 'all', // 'all' or 'unresolved'
+  relabeled: 'all', // 'all', 'relabeled' or 'not_relabeled'
+  plot: 'all', // 'all', a plot id or 'outside'
+  evaluation: 'all', // 'all', 'correct' or 'misclassified' against ground-truth labels
+  evaluationCell: 'all' // 'all' or a confusion matrix cell key from getCellKey
+};
+
+export const SORT_OPTIONS = {
+  capture_desc: 'Capture time (newest first)',
+  capture_asc: 'Capture time (oldest first)',
+  confidence_desc: 'Confidence (highest first)',
+  confidence_asc: 'Confidence (lowest first)',
+  name_asc: 'File name (A-Z)',
+  processed_desc: 'Recently processed'
+};
+
+export const DEFAULT_SORT = 'capture_desc';
+
+const getConfidence = (result) => {
+  const top = getTopPrediction(result.predictions);
+  return top ? top.probability : 0;
+};
+
+const getTopClass = (result) => {
+  const top = getTopPrediction(result.predictions);
+  return top ? top.className : '';
+};
+
+// Top classes present in the results, for the class filter
+export const getTopClasses = (results) =>
+  [...new Set(results.map(getTopClass).filter(Boolean))].sort();
+
+export const getCellKey = (truth, predicted) => `${truth}|${predicted}`;
+
+export const isFiltered = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(key => filters[key] !== DEFAULT_FILTERS[key]);
+
+// `unresolvedIds` is the set of image ids (as strings) still in an open duplicate pair,
+// `plotAssignments` maps image ids to their plot id (null outside every plot) and
+// `evaluationById` maps labeled image ids to { truth, predicted } in evaluation mode
+export const filterResults = (results, filters, { unresolvedIds = new Set(), plotAssignments = new Map(), evaluationById = new Map() } = {}) => {
+  const search = filters.search.trim().toLowerCase();
+
+  return results.filter(result => {
+    if (search && !result.file.name.toLowerCase().includes(search)) return false;
+    if (filters.topClass !== 'all' && getTopClass(result) !== filters.topClass) return false;
+
+    const confidence = getConfidence(result);
+    if (confidence < filters.minConfidence || confidence > filters.maxConfidence) return false;
+
+    if (filters.gps === 'with' && !result.location) return false;
+    if (filters.gps === 'without' && result.location) return false;
+    if (filters.duplicates === 'unresolved' && !unresolvedIds.has(String(result.id))) return false;
+    if (filters.relabeled === 'relabeled' && !result.humanLabel) return false;
+    if (filters.relabeled === 'not_relabeled' && result.humanLabel) return false;
+    if (filters.plot === 'outside' && plotAssignments.get(String(result.id)) !== null) return false;
+    if (filters.plot !== 'all' && filters.plot !== 'outside' && plotAssignments.get(String(result.id)) !== filters.plot) return false;
+
+    if (filters.evaluation !== 'all' || filters.evaluationCell !== 'all') {
+      const item = evaluationById.get(String(result.id));
+      if (!item) return false;
+      if (filters.evaluation === 'correct' && item.truth !== item.predicted) return false;
+      if (filters.evaluation === 'misclassified' && item.truth === item.predicted) return false;
+      if (filters.evaluationCell !== 'all' && getCellKey(item.truth, item.predicted) !== filters.evaluationCell) return false;
+    }
+    return true;
+  });
+};
+
+// Key extractor and direction per sort order. Keys are computed once per result rather
+// than on every comparison, which matters for thousands of results.
+const sortKeys = {
+  capture_desc: [getCaptureTimeMs, -1],
+  capture_asc: [getCaptureTimeMs, 1],
+  confidence_desc: [getConfidence, -1],
+  confidence_asc: [getConfidence, 1],
+  name_asc: [result => result.file.name, 1],
+  processed_desc: [result => result.processedAt || 0, -1]
+};
+
+const nameCollator = new Intl.Collator(undefined, { numeric: true });
+
+const compareKeys = (a, b) => (typeof a === 'string' ? nameCollator.compare(a, b) : a - b);
+
+// Sorted copy; the input array is left untouched
+export const sortResults = (results, sortOrder) => {
+  const [getKey, direction] = sortKeys[sortOrder] || sortKeys[DEFAULT_SORT];
+  return results
+    .map(result => ({ result, key: getKey(result) }))
+    .sort((a, b) => direction * compareKeys(a.key, b.key))
+    .map(entry => entry.result);
+};
+
+// Slice of one page plus the page actually shown (clamped when results shrink)
+export const paginate = (items, page, pageSize) => {
+  const pageCount = Math.max(1, Math.ceil(items.length / pageSize));
+  const currentPage = Math.min(Math.max(0, page), pageCount - 1);
+  return {
+    items: items.slice(currentPage * pageSize, (currentPage + 1) * pageSize),
+    page: currentPage,
+    pageCount
+  };
+};
@@ -0,0 +1,66 @@
+import { DEFAULT_FILTERS, filterResults, getCellKey, isFiltered, paginate, sortResults } from './resultFilters';
+
+const makeResult = (id, name, probability, extra = {}) => ({
+  id,
+  file: { name, lastModified: 0 },
+  predictions: [
+    { className: 'mango_tree', probability },
+    { className: 'not_mango_tree', probability: 1 - probability }
+  ],
+  location: null,
+  ...extra
+});
+
+const results = [
+  makeResult(1, 'IMG_10.jpg', 0.9, { location: { latitude: 1, longitude: 2 } }),
+  makeResult(2, 'IMG_2.jpg', 0.3, { humanLabel: 'mango_tree' }),
+  makeResult(3, 'field.jpg', 0.6)
+];
+
+test('filterResults combines search, class, confidence, GPS, duplicate and relabel filters', () => {
+  const ids = (filters, context) => filterResults(results, { ...DEFAULT_FILTERS, ...filters }, context).map(r => r.id);
+
+  expect(ids({ search: 'img' })).toEqual([1, 2]);
+  expect(ids({ topClass: 'not_mango_tree' })).toEqual([2]);
+  expect(ids({ minConfidence: 0.65, maxConfidence: 0.95 })).toEqual([1, 2]);
+  expect(ids({ gps: 'without' })).toEqual([2, 3]);
+  expect(ids({ duplicates: 'unresolved' }, { unresolvedIds: new Set(['3']) })).toEqual([3]);
+  expect(ids({ relabeled: 'relabeled' })).toEqual([2]);
+  const plotAssignments = new Map([['1', 'plot_0']]);
+  expect(ids({ plot: 'plot_0' }, { plotAssignments })).toEqual([1]);
+  expect(ids({ plot: 'outside' }, { plotAssignments: new Map([['1', null], ['2', 'plot_0']]) })).toEqual([1]);
+  const evaluationById = new Map([
+    ['1', { truth: 'mango_tree', predicted: 'mango_tree' }],
+    ['2', { truth: 'mango_tree', predicted: 'not_mango_tree' }]
+  ]);
+  expect(ids({ evaluation: 'misclassified' }, { evaluationById })).toEqual([2]);
+  expect(ids({ evaluationCell: getCellKey('mango_tree', 'mango_tree') }, { evaluationById })).toEqual([1]);
+  expect(isFiltered(DEFAULT_FILTERS)).toBe(false);
+  expect(isFiltered({ ...DEFAULT_FILTERS, gps: 'with' })).toBe(true);
+});
+
+test('sortResults returns a sorted copy with natural file name order', () => {
+  const sorted = sortResults(results, 'name_asc');
+  expect(sorted.map(r => r.file.name)).toEqual(['field.jpg', 'IMG_2.jpg', 'IMG_10.jpg']);
+  expect(results[0].id).toBe(1);
+  // Confidence is the top class probability, whichever class that is
+  expect(sortResults(results, 'confidence_desc').map(r => r.id)).toEqual([1, 2, 3]);
+});
+
+test('sortResults orders by capture time in both directions', () => {
+  const captured = [
+    makeResult(1, 'a.jpg', 0.5, { captureTime: '2024-05-02T08:00:00Z' }),
+    makeResult(2, 'b.jpg', 0.5, { captureTime: '2024-05-01T08:00:00Z' }),
+    makeResult(3, 'c.jpg', 0.5, { captureTime: '2024-05-03T08:00:00Z' })
+  ];
+  expect(sortResults(captured, 'capture_asc').map(r => r.id)).toEqual([2, 1, 3]);
+  expect(sortResults(captured, 'capture_desc').map(r => r.id)).toEqual([3, 1, 2]);
+  expect(sortResults(captured, 'unknown').map(r => r.id)).toEqual([3, 1, 2]);
+});
+
+test('paginate clamps the page when results shrink', () => {
+  const items = Array.from({ length: 10 }, (_, index) => index);
+  expect(paginate(items, 1, 4)).toEqual({ items: [4, 5, 6, 7], page: 1, pageCount: 3 });
+  expect(paginate(items, 5, 4)).toEqual({ items: [8, 9], page: 2, pageCount: 3 });
+  expect(paginate([], 2, 4)).toEqual({ items: [], page: 0, pageCount: 1 });
+});
@@ -0,0 +1,103 @@
+// IndexedDB persistence for review sessions.
+// A session holds its duplicate pairs and decisions; images are stored separately
+// (one record per result, including the original file blob) so large batches
+// can be written incrementally.
+
+import { promisify, withStores } from './database';
+
+export { isPersistenceAvailable } from './database';
+
+const SESSIONS_STORE = 'sessions';
+const IMAGES_STORE = 'images';
+
+// Convert an in-memory result into a storable record (blob URLs do not survive a reload)
+export const toImageRecord = (sessionId, result) => {
+  const { file, imageUrl, ...rest } = result;
+  return {
+    ...rest,
+    sessionId,
+    blob: file,
+    fileName: file.name,
+    fileType: file.type,
+    lastModified: file.lastModified
+  };
+};
+
+// Rebuild an in-memory result from a stored record, recreating the File and its object URL
+export const fromImageRecord = (record) => {
+  const { blob, fileName, fileType, lastModified, sessionId, ...rest } = record;
+  const file = new File([blob], fileName, { type: fileType, lastModified });
+  return {
+    ...rest,
+    file,
+    imageUrl: URL.createObjectURL(file)
+  };
+};
+
+export const listSessions = async () => {
+  const sessions = await withStores([SESSIONS_STORE], 'readonly', tx =>
+    promisify(tx.objectStore(SESSIONS_STORE).getAll())
+  );
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const createSession = async (name) => {
+  const now = Date.now();
+  const session = {
+    id: `session_${now}_${Math.random().toString(36).slice(2, 8)}`,
+    name: name || `Session ${new Date(now).toLocaleString()}`,
+    createdAt: now,
+    updatedAt: now,
+    imageCount: 0,
+    duplicatePairs: [],
+    duplicateDecisions: []
+  };
+  await withStores([SESSIONS_STORE], 'readwrite', tx => {
+    tx.objectStore(SESSIONS_STORE).put(session);
+  });
+  return session;
+};
+
+// Persist session-level state (everything except the images themselves)
+export const saveSessionState = (sessionId, state) =>
+  withStores([SESSIONS_STORE], 'readwrite', async tx => {
+    const store = tx.objectStore(SESSIONS_STORE);
+    const session = await promisify(store.get(sessionId));
+    if (!session) return;
+    store.put({ ...session, ...state, updatedAt: Date.now() });
+  });
+
+export const saveImages = (sessionId, results) =>
+  withStores([IMAGES_STORE], 'readwrite', tx => {
+    const store = tx.objectStore(IMAGES_STORE);
+    results.forEach(result => store.put(toImageRecord(sessionId, result)));
+  });
+
+export const deleteImages = (ids) =>
+  withStores([IMAGES_STORE], 'readwrite', tx => {
+    const store = tx.objectStore(IMAGES_STORE);
+    ids.forEach(id => store.delete(id));
+  });
+
+// Load a session and its images; images come back with fresh object URLs and their original ids
+export const loadSession = async (sessionId) => {
+  const { session, records } = await withStores([SESSIONS_STORE, IMAGES_STORE], 'readonly', async tx => ({
+    session: await promisify(tx.objectStore(SESSIONS_STORE).get(sessionId)),
+    records: await promisify(tx.objectStore(IMAGES_STORE).index('sessionId').getAll(sessionId))
+  }));
+
+  if (!session) return null;
+
+  return {
+    session,
+    images: records.map(fromImageRecord)
+  };
+};
+
+export const deleteSession = (sessionId) =>
+  withStores([SESSIONS_STORE, IMAGES_STORE], 'readwrite', async tx => {
+    tx.objectStore(SESSIONS_STORE).delete(sessionId);
+    const keys = await promisify(tx.objectStore(IMAGES_STORE).index('sessionId').getAllKeys(sessionId));
+    const images = tx.objectStore(IMAGES_STORE);
+    keys.forEach(key => images.delete(key));
+  });
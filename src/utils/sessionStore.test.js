@@ -0,0 +1,46 @@
+import { fromImageRecord, toImageRecord } from './sessionStore';
+
+const originalCreateObjectURL = URL.createObjectURL;
+
+beforeEach(() => {
+  URL.createObjectURL = () => 'blob:restored';
+});
+
+afterEach(() => {
+  URL.createObjectURL = originalCreateObjectURL;
+});
+
+const result = {
+  id: 'img_1',
+  file: new File(['jpeg bytes'], 'IMG_001.jpg', { type: 'image/jpeg', lastModified: 1714550400000 }),
+  imageUrl: 'blob:original',
+  predictions: [{ className: 'mango_tree', probability: 0.9 }],
+  location: { latitude: 12.97, longitude: 77.59 }
+};
+
+test('toImageRecord stores the file as a blob and drops the object URL', () => {
+  const record = toImageRecord('session_1', result);
+  expect(record).toMatchObject({
+    id: 'img_1',
+    sessionId: 'session_1',
+    fileName: 'IMG_001.jpg',
+    fileType: 'image/jpeg',
+    lastModified: 1714550400000,
+    predictions: result.predictions,
+    location: result.location
+  });
+  expect(record.blob).toBe(result.file);
+  expect(record).not.toHaveProperty('file');
+  expect(record).not.toHaveProperty('imageUrl');
+});
+
+test('fromImageRecord rebuilds the File and a fresh object URL', () => {
+  const restored = fromImageRecord(toImageRecord('session_1', result));
+  expect(restored.file).toBeInstanceOf(File);
+  expect(restored.file).toMatchObject({ name: 'IMG_001.jpg', type: 'image/jpeg', lastModified: 1714550400000 });
+  expect(restored.file.size).toBe(result.file.size);
+  expect(restored.imageUrl).toBe('blob:restored');
+  expect(restored).toMatchObject({ id: 'img_1', predictions: result.predictions, location: result.location });
+  expect(restored).not.toHaveProperty('sessionId');
+  expect(restored).not.toHaveProperty('blob');
+});
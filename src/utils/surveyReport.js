@@ -0,0 +1,257 @@
+// Printable survey summary. buildReportData gathers the numbers from the results and duplicate
+// decisions; toReportHTML turns them into one self-contained HTML page (inline styles,
+// thumbnails as data URLs) that opens offline and prints or saves cleanly as PDF.
+
+import { OUTCOME_LABELS, getOutcome } from './classification';
+import { DECISION_LABELS } from './decisionHistory';
+import { INFERRED_LABELS } from './geotagging';
+import { getAgreementSummary, getTopPrediction } from './predictions';
+
+export const HISTOGRAM_BINS = 10;
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+const MAX_THUMBNAILS = 24;
+
+const getConfidence = (result) => {
+  const top = getTopPrediction(result.predictions);
+  return top ? top.probability : 0;
+};
+
+const countBy = (items, getKey) => {
+  const counts = new Map();
+  items.forEach(item => {
+    const key = getKey(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return counts;
+};
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Plain numbers for the report. `removedCount` is the number of images removed by duplicate
+// decisions that have not been undone.
+export const buildReportData = (imageResults, {
+  duplicatePairs = [],
+  duplicateDecisions = [],
+  removedCount = 0,
+  classificationConfig,
+  lowConfidenceThreshold = LOW_CONFIDENCE_THRESHOLD,
+  generatedAt = new Date()
+} = {}) => {
+  const confidences = imageResults.map(getConfidence);
+
+  const classTotals = [...countBy(imageResults, result => {
+    const top = getTopPrediction(result.predictions);
+    return top ? top.className : 'unclassified';
+  })]
+    .map(([className, count]) => ({ className, count }))
+    .sort((a, b) => b.count - a.count || a.className.localeCompare(b.className));
+
+  const outcomes = countBy(imageResults, result => getOutcome(result.predictions, classificationConfig).outcome);
+
+  const histogram = Array.from({ length: HISTOGRAM_BINS }, (_, i) => ({
+    from: i / HISTOGRAM_BINS,
+    to: (i + 1) / HISTOGRAM_BINS,
+    count: 0
+  }));
+  confidences.forEach(confidence => {
+    histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor(confidence * HISTOGRAM_BINS))].count++;
+  });
+
+  const located = imageResults.filter(result => result.location);
+  const activeDecisions = duplicateDecisions.filter(decision => !decision.undoneAt);
+
+  const models = [...countBy(imageResults, result => result.modelName || 'Unknown model')].map(([name, count]) => {
+    const results = imageResults.filter(result => (result.modelName || 'Unknown model') === name);
+    const withUncertainty = results.filter(result => result.uncertainty);
+    return {
+      name,
+      count,
+      meanConfidence: mean(results.map(getConfidence)),
+      detected: results.filter(result => getOutcome(result.predictions, classificationConfig).outcome === 'detected').length,
+      meanUncertainty: mean(withUncertainty.map(result => result.uncertainty.std))
+    };
+  });
+
+  const lowConfidence = imageResults
+    .map((result, index) => ({ result, confidence: confidences[index] }))
+    .filter(({ confidence }) => confidence < lowConfidenceThreshold)
+    .sort((a, b) => a.confidence - b.confidence);
+
+  return {
+    generatedAt: generatedAt.toISOString(),
+    total: imageResults.length,
+    classTotals,
+    outcomes: Object.keys(OUTCOME_LABELS).map(outcome => ({ outcome, count: outcomes.get(outcome) || 0 })),
+    relabeled: imageResults.filter(result => result.humanLabel).length,
+    histogram,
+    meanConfidence: mean(confidences),
+    gps: {
+      withLocation: located.length,
+      withoutLocation: imageResults.length - located.length,
+      inferred: Object.keys(INFERRED_LABELS).map(source => ({
+        source,
+        count: located.filter(result => result.location.inferred === source).length
+      }))
+    },
+    duplicates: {
+      pending: duplicatePairs.length,
+      resolved: activeDecisions.length,
+      undone: duplicateDecisions.length - activeDecisions.length,
+      removedImages: removedCount,
+      byAction: [...countBy(activeDecisions, decision => decision.action)].map(([action, count]) => ({ action, count }))
+    },
+    models,
+    agreement: getAgreementSummary(imageResults),
+    lowConfidenceThreshold,
+    lowConfidenceCount: lowConfidence.length,
+    lowConfidence: lowConfidence.slice(0, MAX_THUMBNAILS).map(({ result, confidence }) => {
+      const top = getTopPrediction(result.predictions);
+      return {
+        id: String(result.id),
+        fileName: result.file.name,
+        className: top ? top.className : '',
+        confidence
+      };
+    })
+  };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const table = (headers, rows) => `
+  <table>
+    <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+    <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${escapeHtml(cell)}</td>`).join('')}</tr>`).join('')}</tbody>
+  </table>`;
+
+const renderHistogram = (histogram) => {
+  const max = Math.max(1, ...histogram.map(bin => bin.count));
+  return `
+  <div class="histogram">
+    ${histogram.map(bin => `
+    <div class="bin">
+      <span class="count">${bin.count}</span>
+      <div class="bar" style="height: ${((bin.count / max) * 100).toFixed(1)}%"></div>
+      <span class="label">${Math.round(bin.from * 100)}–${Math.round(bin.to * 100)}%</span>
+    </div>`).join('')}
+  </div>`;
+};
+
+const STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 32px; }
+  h1 { margin-bottom: 4px; }
+  h2 { margin-top: 28px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; font-size: 1.1rem; }
+  .meta { color: #6b7280; font-size: 0.875rem; }
+  .summary { display: flex; flex-wrap: wrap; gap: 12px; margin-top: 16px; }
+  .stat { border: 1px solid #e5e7eb; border-radius: 8px; padding: 8px 16px; }
+  .stat strong { display: block; font-size: 1.4rem; }
+  table { border-collapse: collapse; font-size: 0.875rem; margin-top: 8px; }
+  th, td { border: 1px solid #e5e7eb; padding: 4px 10px; text-align: left; }
+  th { background: #f9fafb; }
+  .histogram { display: flex; align-items: flex-end; gap: 6px; height: 160px; margin-top: 12px; }
+  .bin { flex: 1; display: flex; flex-direction: column; align-items: center; justify-content: flex-end; height: 100%; font-size: 0.7rem; }
+  .bar { width: 100%; background: #10b981; min-height: 1px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+  .thumbnails { display: grid; grid-template-columns: repeat(auto-fill, minmax(140px, 1fr)); gap: 12px; margin-top: 12px; }
+  figure { margin: 0; break-inside: avoid; font-size: 0.75rem; }
+  figure img { width: 100%; height: 110px; object-fit: cover; border-radius: 4px; background: #f3f4f6; }
+  figcaption { word-break: break-all; }
+  .print-button { margin-top: 12px; padding: 6px 14px; }
+  @media print { body { margin: 12mm; } .print-button { display: none; } h2 { break-after: avoid; } }
+`;
+
+// Self-contained HTML for the report; `thumbnails` maps image ids to data URLs
+export const toReportHTML = (data, thumbnails = new Map(), title = 'Mango tree survey report') => {
+  const generated = new Date(data.generatedAt).toLocaleString();
+  const duplicateRows = data.duplicates.byAction.map(({ action, count }) => [DECISION_LABELS[action] || action, count]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Generated ${escapeHtml(generated)} · ${data.total} images</p>
+  <button class="print-button" onclick="window.print()">Print / Save as PDF</button>
+
+  <div class="summary">
+    ${data.outcomes.map(({ outcome, count }) => `<div class="stat"><strong>${count}</strong>${escapeHtml(OUTCOME_LABELS[outcome])}</div>`).join('')}
+    <div class="stat"><strong>${data.gps.withLocation}</strong>With location</div>
+    <div class="stat"><strong>${data.duplicates.resolved + data.duplicates.pending}</strong>Duplicate pairs found</div>
+  </div>
+
+  <h2>Totals per class</h2>
+  ${table(['Top class', 'Images', 'Share'], data.classTotals.map(({ className, count }) => [
+    className, count, percent(data.total > 0 ? count / data.total : null)
+  ]))}
+  ${data.relabeled > 0 ? `<p class="meta">${data.relabeled} image(s) were relabeled by reviewers; totals use the model's top class.</p>` : ''}
+
+  <h2>Confidence</h2>
+  <p class="meta">Top-class confidence per image · mean ${percent(data.meanConfidence)}</p>
+  ${renderHistogram(data.histogram)}
+
+  <h2>Location</h2>
+  ${table(['', 'Images'], [
+    ['With location', data.gps.withLocation],
+    ...data.gps.inferred.filter(({ count }) => count > 0).map(({ source, count }) => [`of which ${INFERRED_LABELS[source].toLowerCase()}`, count]),
+    ['Without location', data.gps.withoutLocation]
+  ])}
+
+  <h2>Duplicates</h2>
+  ${table(['', 'Pairs'], [
+    ['Resolved', data.duplicates.resolved],
+    ...duplicateRows.map(([label, count]) => [`– ${label}`, count]),
+    ['Still awaiting review', data.duplicates.pending],
+    ['Undone decisions', data.duplicates.undone]
+  ])}
+  <p class="meta">${data.duplicates.removedImages} image(s) removed as duplicates.</p>
+
+  <h2>Models</h2>
+  ${table(['Model', 'Images', 'Mean confidence', 'Detected', 'Mean uncertainty'], data.models.map(model => [
+    model.name,
+    model.count,
+    percent(model.meanConfidence),
+    model.detected,
+    model.meanUncertainty === null ? '—' : `±${(model.meanUncertainty * 100).toFixed(1)}%`
+  ]))}
+  ${data.agreement.compared > 0
+    ? `<p class="meta">Teachable Machine and MobileNetV2 agreed on ${data.agreement.agreed} of ${data.agreement.compared} images (${percent(data.agreement.rate)}).</p>`
+    : ''}
+
+  <h2>Low-confidence images</h2>
+  <p class="meta">${data.lowConfidenceCount} image(s) below ${percent(data.lowConfidenceThreshold)} confidence${data.lowConfidenceCount > data.lowConfidence.length ? `; the ${data.lowConfidence.length} least confident are shown` : ''}.</p>
+  <div class="thumbnails">
+    ${data.lowConfidence.map(item => `
+    <figure>
+      ${thumbnails.has(item.id) ? `<img src="${thumbnails.get(item.id)}" alt="${escapeHtml(item.fileName)}">` : ''}
+      <figcaption>${escapeHtml(item.fileName)}<br>${escapeHtml(item.className)} ${percent(item.confidence)}</figcaption>
+    </figure>`).join('')}
+  </div>
+</body>
+</html>
+`;
+};
+
+// Small JPEG data URL of an image, so the report does not depend on blob URLs
+export const makeThumbnail = (imageUrl, size = 200) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => {
+    const scale = Math.min(1, size / Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+    canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    resolve(canvas.toDataURL('image/jpeg', 0.75));
+  };
+  img.onerror = () => reject(new Error('Could not decode image'));
+  img.src = imageUrl;
+});
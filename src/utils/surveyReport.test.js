@@ -0,0 +1,56 @@
+import { DEFAULT_CLASSIFICATION_CONFIG } from './classification';
+import { buildReportData, toReportHTML } from './surveyReport';
+
+const makeResult = (id, name, probability, extra = {}) => ({
+  id,
+  file: { name },
+  modelName: 'Orchard model',
+  predictions: [
+    { className: 'mango_tree', probability },
+    { className: 'other', probability: 1 - probability }
+  ],
+  location: null,
+  ...extra
+});
+
+const results = [
+  makeResult(1, 'a.jpg', 0.95, { location: { latitude: 1, longitude: 2 } }),
+  makeResult(2, 'b.jpg', 0.55, { location: { latitude: 1, longitude: 2, inferred: 'gpx_track' } }),
+  makeResult(3, '<c>.jpg', 0.2, { modelName: 'MobileNetV2', uncertainty: { std: 0.1 } })
+];
+
+const data = buildReportData(results, {
+  duplicatePairs: [{ pairId: 'open' }],
+  duplicateDecisions: [
+    { action: 'keep_first_remove_second' },
+    { action: 'save_both', undoneAt: '2024-05-01T00:00:00Z' }
+  ],
+  removedCount: 1,
+  classificationConfig: DEFAULT_CLASSIFICATION_CONFIG,
+  generatedAt: new Date('2024-05-01T08:00:00Z')
+});
+
+test('buildReportData summarizes classes, confidence, location and duplicates', () => {
+  expect(data.classTotals).toEqual([{ className: 'mango_tree', count: 2 }, { className: 'other', count: 1 }]);
+  expect(data.outcomes.find(entry => entry.outcome === 'detected').count).toBe(2);
+  expect(data.histogram.map(bin => bin.count)).toEqual([0, 0, 0, 0, 0, 1, 0, 0, 1, 1]);
+  expect(data.gps).toEqual({
+    withLocation: 2,
+    withoutLocation: 1,
+    inferred: [{ source: 'gpx_track', count: 1 }, { source: 'manual', count: 0 }]
+  });
+  expect(data.duplicates).toMatchObject({ pending: 1, resolved: 1, undone: 1, removedImages: 1 });
+  expect(data.models.map(model => [model.name, model.count])).toEqual([['Orchard model', 2], ['MobileNetV2', 1]]);
+  expect(data.models[1].meanUncertainty).toBe(0.1);
+  // b.jpg's top class is mango_tree at 55%, c.jpg's is other at 80%
+  expect(data.lowConfidence.map(item => item.fileName)).toEqual(['b.jpg']);
+});
+
+test('toReportHTML produces an escaped, self-contained page', () => {
+  const html = toReportHTML(data, new Map([['2', 'data:image/jpeg;base64,AAAA']]));
+  expect(html).toMatch(/^<!DOCTYPE html>/);
+  expect(html).toContain('<img src="data:image/jpeg;base64,AAAA" alt="b.jpg">');
+  expect(html).toContain('Kept first, removed second');
+  expect(html).not.toContain('<c>.jpg');
+  expect(html).not.toMatch(/<(script|link)\b/);
+});
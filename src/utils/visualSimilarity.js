@@ -0,0 +1,133 @@
+// Visual duplicate detection with a perceptual hash (pHash).
+// Each image gets a 64-bit fingerprint from the low frequencies of a 32x32 grayscale DCT;
+// similar-looking photos differ in few bits, which catches re-shots of the same tree
+// whether or not they carry GPS.
+
+import { haversineDistance } from './proximity';
+
+const HASH_SIZE = 32;
+const LOW_FREQUENCIES = 8;
+
+// Precomputed DCT-II cosine terms for the low frequencies
+const COSINES = Array.from({ length: LOW_FREQUENCIES }, (_, u) =>
+  Array.from({ length: HASH_SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * HASH_SIZE)))
+);
+
+// Hash a HASH_SIZE x HASH_SIZE grayscale image given as a flat array (row-major)
+export const hashFromGrayscale = (pixels) => {
+  const coefficients = [];
+  for (let v = 0; v < LOW_FREQUENCIES; v++) {
+    for (let u = 0; u < LOW_FREQUENCIES; u++) {
+      let sum = 0;
+      for (let y = 0; y < HASH_SIZE; y++) {
+        for (let x = 0; x < HASH_SIZE; x++) {
+          sum += pixels[y * HASH_SIZE + x] * COSINES[u][x] * COSINES[v][y];
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  // The DC term only reflects overall brightness; leave it out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+
+  let hex = '';
+  for (let i = 0; i < coefficients.length; i += 4) {
+    let nibble = 0;
+    for (let bit = 0; bit < 4; bit++) {
+      nibble = (nibble << 1) | (coefficients[i + bit] > median ? 1 : 0);
+    }
+    hex += nibble.toString(16);
+  }
+  return hex;
+};
+
+// Fingerprint a canvas or image element
+export const computePerceptualHash = (source) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = HASH_SIZE;
+  canvas.height = HASH_SIZE;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(source, 0, 0, HASH_SIZE, HASH_SIZE);
+  const { data } = ctx.getImageData(0, 0, HASH_SIZE, HASH_SIZE);
+
+  const pixels = new Float32Array(HASH_SIZE * HASH_SIZE);
+  for (let i = 0; i < pixels.length; i++) {
+    pixels[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return hashFromGrayscale(pixels);
+};
+
+const popcount4 = (nibble) => (nibble & 1) + ((nibble >> 1) & 1) + ((nibble >> 2) & 1) + ((nibble >> 3) & 1);
+
+// 1 for identical fingerprints, 0 when every bit differs
+export const hashSimilarity = (hashA, hashB) => {
+  if (!hashA || !hashB || hashA.length !== hashB.length) return null;
+  let distance = 0;
+  for (let i = 0; i < hashA.length; i++) {
+    distance += popcount4(parseInt(hashA[i], 16) ^ parseInt(hashB[i], 16));
+  }
+  return 1 - distance / (hashA.length * 4);
+};
+
+// Pairs of visually similar images in the `similar_pairs` shape. Images may carry a
+// `location` ({ latitude, longitude, accuracy }); when both do, the pair gets its real
+// `distance` and is dropped if the fixes are further apart than `radiusMeters` plus the worse
+// reported accuracy, since look-alike canopies at different spots are different trees.
+// Otherwise `distance` is null. As with GPS pairs, only pairs involving a new image count.
+export const findVisualPairs = (images, threshold, newImageIds = null, radiusMeters = null) => {
+  const isNew = (id) => !newImageIds || newImageIds.has(String(id));
+  const withHash = images.filter(image => image.fingerprint);
+  const pairs = [];
+
+  for (let i = 0; i < withHash.length; i++) {
+    for (let j = i + 1; j < withHash.length; j++) {
+      const first = withHash[i];
+      const second = withHash[j];
+      if (!isNew(first.imageId) && !isNew(second.imageId)) continue;
+
+      const similarity = hashSimilarity(first.fingerprint, second.fingerprint);
+      if (similarity === null || similarity < threshold) continue;
+
+      const distance = first.location && second.location ? haversineDistance(first.location, second.location) : null;
+      if (distance !== null && radiusMeters !== null) {
+        const tolerance = Math.max(first.location.accuracy || 0, second.location.accuracy || 0);
+        if (distance > radiusMeters + tolerance) continue;
+      }
+
+      pairs.push({
+        pairId: `visual_${first.imageId}_${second.imageId}`,
+        imageId1: String(first.imageId),
+        imageId2: String(second.imageId),
+        distance
+      });
+    }
+  }
+
+  return pairs;
+};
+
+// Closeness within the search radius: 1 at the same spot, 0.5 at the radius, 0 beyond it
+const spatialScore = (distance, radiusMeters) => {
+  if (typeof distance !== 'number') return null;
+  return distance <= radiusMeters ? 1 - 0.5 * (distance / radiusMeters) : 0;
+};
+
+// Add `visualSimilarity` and a combined `confidence` (0-1) to each pair.
+// With both signals the score is their average; otherwise whichever one is available.
+export const scoreDuplicatePairs = (pairs, fingerprintsById, radiusMeters) =>
+  pairs.map(pair => {
+    const visualSimilarity = hashSimilarity(
+      fingerprintsById.get(String(pair.imageId1)),
+      fingerprintsById.get(String(pair.imageId2))
+    );
+    const spatial = spatialScore(pair.distance, radiusMeters);
+    const scores = [spatial, visualSimilarity].filter(score => score !== null);
+
+    return {
+      ...pair,
+      visualSimilarity,
+      confidence: scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null
+    };
+  });
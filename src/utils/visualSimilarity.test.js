@@ -0,0 +1,69 @@
+import { hashFromGrayscale, hashSimilarity, findVisualPairs, scoreDuplicatePairs } from './visualSimilarity';
+
+// 32x32 textured test pattern from a seeded generator, optionally brightened
+const texture = (seed, offset = 0) => {
+  let state = seed;
+  return Float32Array.from({ length: 32 * 32 }, () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return (state / 2147483648) * 200 + offset;
+  });
+};
+
+test('hashFromGrayscale is stable under brightness changes but separates different scenes', () => {
+  const scene = texture(1);
+  const brighter = texture(1, 30);
+  const other = texture(2);
+
+  const hash = hashFromGrayscale(scene);
+  expect(hash).toHaveLength(16);
+  expect(hashSimilarity(hash, hashFromGrayscale(brighter))).toBe(1);
+  expect(hashSimilarity(hash, hashFromGrayscale(other))).toBeLessThan(0.8);
+});
+
+test('findVisualPairs matches images without location', () => {
+  const pairs = findVisualPairs([
+    { imageId: 'a', fingerprint: 'ffffffff00000000' },
+    { imageId: 'b', fingerprint: 'ffffffff00000001' },
+    { imageId: 'c', fingerprint: '00000000ffffffff' }
+  ], 0.9);
+
+  expect(pairs).toHaveLength(1);
+  expect(pairs[0]).toMatchObject({ imageId1: 'a', imageId2: 'b', distance: null });
+});
+
+test('findVisualPairs drops look-alikes whose GPS fixes are far apart', () => {
+  const fingerprint = 'ffffffff00000000';
+  const pairs = findVisualPairs([
+    { imageId: 'a', fingerprint, location: { latitude: 12.97, longitude: 77.59, accuracy: 5 } },
+    // about 2 m north of a
+    { imageId: 'b', fingerprint, location: { latitude: 12.970018, longitude: 77.59, accuracy: 4 } },
+    // about 300 m north of a
+    { imageId: 'c', fingerprint, location: { latitude: 12.9727, longitude: 77.59, accuracy: 5 } },
+    { imageId: 'd', fingerprint, location: null }
+  ], 0.9, null, 1);
+
+  expect(pairs.map(pair => `${pair.imageId1}-${pair.imageId2}`)).toEqual(['a-b', 'a-d', 'b-d', 'c-d']);
+  expect(pairs[0].distance).toBeCloseTo(2, 0);
+  expect(pairs[1].distance).toBeNull();
+
+  // Without a radius located pairs are kept but still carry their distance
+  const unbounded = findVisualPairs([
+    { imageId: 'a', fingerprint, location: { latitude: 12.97, longitude: 77.59 } },
+    { imageId: 'c', fingerprint, location: { latitude: 12.9727, longitude: 77.59 } }
+  ], 0.9);
+  expect(unbounded[0].distance).toBeGreaterThan(250);
+});
+
+test('scoreDuplicatePairs combines distance and visual similarity', () => {
+  const fingerprints = new Map([['a', 'ffffffff00000000'], ['b', 'ffffffff00000000'], ['c', '00000000ffffffff']]);
+  const [same, different, visualOnly] = scoreDuplicatePairs([
+    { imageId1: 'a', imageId2: 'b', distance: 0 },
+    { imageId1: 'a', imageId2: 'c', distance: 0 },
+    { imageId1: 'a', imageId2: 'b', distance: null }
+  ], fingerprints, 1);
+
+  expect(same).toMatchObject({ visualSimilarity: 1, confidence: 1 });
+  expect(different.visualSimilarity).toBe(0);
+  expect(different.confidence).toBe(0.5);
+  expect(visualOnly.confidence).toBe(1);
+});